@@ -0,0 +1,146 @@
+/**
+ * Aggregation Registry
+ * Server-side counterparts of the chart helpers in src/Dataprocessing.js.
+ * Each dimension returns exactly the shape of the helper it mirrors.
+ */
+
+import * as DataProcessing from "../src/Dataprocessing.js";
+
+/**
+ * Dimension -> Dataprocessing helper. `limit` is the helper's default top-N;
+ * `basis` is the unit basis of the unit totals (see UNIT_BASES).
+ */
+export const AGGREGATIONS = {
+  month: {
+    aggregate: (records, limit, basis) =>
+      DataProcessing.aggregateByMonth(records, basis),
+  },
+  commodity: {
+    aggregate: (records, limit, basis) =>
+      DataProcessing.aggregateByCommodity(records, basis),
+  },
+  consignors: {
+    limit: 10,
+    aggregate: (records, limit, basis) =>
+      DataProcessing.getTopConsignors(records, limit, basis),
+  },
+  destinations: {
+    limit: 10,
+    aggregate: (records, limit, basis) =>
+      DataProcessing.getTopDestinations(records, limit, basis),
+  },
+  zone: {
+    aggregate: (records, limit, basis) =>
+      DataProcessing.aggregateByZone(records, basis),
+  },
+  "rake-type": {
+    limit: 10,
+    aggregate: (records, limit, basis) =>
+      DataProcessing.aggregateByRakeType(records, limit, basis),
+  },
+  division: {
+    aggregate: (records, limit, basis) =>
+      DataProcessing.aggregateByDivision(records, basis),
+  },
+  consignees: {
+    limit: 10,
+    aggregate: (records, limit, basis) =>
+      DataProcessing.getConsigneeAnalysis(records, limit, basis),
+  },
+  "query-type": {
+    aggregate: (records, limit, basis) =>
+      DataProcessing.getQueryTypeDistribution(records, basis),
+  },
+  hourly: {
+    aggregate: (records) => DataProcessing.getTimeDistribution(records),
+  },
+  priority: {
+    aggregate: (records) => DataProcessing.getPriorityDistribution(records),
+  },
+  summary: {
+    aggregate: (records, limit, basis) =>
+      DataProcessing.calculateSummaryStats(records, basis),
+  },
+  routes: {
+    limit: 15,
+    aggregate: (records, limit, basis) =>
+      DataProcessing.getRouteAnalysis(records, limit, basis),
+  },
+};
+
+/**
+ * Look up a dimension, throwing a 404-tagged error for unknown ones
+ */
+export const getAggregation = (dimension) => {
+  const aggregation = AGGREGATIONS[dimension];
+
+  if (!aggregation) {
+    const error = new Error(
+      `Unknown aggregate dimension "${dimension}". Expected one of: ${Object.keys(
+        AGGREGATIONS
+      ).join(", ")}`
+    );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return aggregation;
+};
+
+/**
+ * Resolve the top-N limit for a dimension
+ */
+export const resolveLimit = (dimension, limit) => {
+  const size = parseInt(limit, 10);
+  return Number.isFinite(size) && size > 0
+    ? size
+    : AGGREGATIONS[dimension].limit;
+};
+
+/**
+ * Resolve the unit basis, throwing a 400-tagged error for unknown ones
+ */
+export const resolveBasis = (basis = "units") => {
+  if (!DataProcessing.UNIT_BASES[basis]) {
+    const error = new Error(
+      `Unknown unit basis "${basis}". Expected one of: ${Object.keys(
+        DataProcessing.UNIT_BASES
+      ).join(", ")}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return basis;
+};
+
+/**
+ * Server-side equivalent of RailwayDatabaseService.processData: the demand
+ * date is the calendar day (see toDemandDate), so months match SQL MONTH()
+ * and the client's buckets
+ */
+export const toProcessedRecord = (row) => {
+  const date = DataProcessing.toDemandDate(row.dmnddate);
+
+  return {
+    ...row,
+    demandDateObj: date,
+    month: date ? date.getMonth() : null,
+    year: date ? date.getFullYear() : null,
+    rakeUnits: parseInt(row.indtunit || 0, 10),
+    rake8w: parseInt(row.indt8w || 0, 10),
+    outstandingUnits: parseInt(row.ostgunit || 0, 10),
+    outstanding8w: parseInt(row.ostg8w || 0, 10),
+    suppliedUnits: parseInt(row.spldunit || 0, 10),
+    zone: row.zone || row.dvsn,
+  };
+};
+
+/**
+ * Tables included by the `qry` filter (ODR_RK_OTSG, MATURED_INDENTS or both)
+ */
+export const tablesForQueryType = (qry) => {
+  if (qry === "ODR_RK_OTSG") return ["odr"];
+  if (qry === "MATURED_INDENTS") return ["matured"];
+  return ["odr", "matured"];
+};
@@ -0,0 +1,494 @@
+/**
+ * CSV Data Source
+ * Reads FOIS railway data from local CSV exports of the ODR_Indents and
+ * Matured_Indents tables, so the server can run offline and in CI
+ */
+
+import { readFile, access } from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { normalizePageSize, decodeCursor, toPage } from "./pagination.js";
+import { buildRowPredicate } from "./filter-builder.js";
+import { startOfUtcDay } from "./sync.js";
+import {
+  getAggregation,
+  resolveBasis,
+  resolveLimit,
+  tablesForQueryType,
+  toProcessedRecord,
+} from "./aggregations.js";
+
+const CSV_CONFIG = {
+  dataDir: process.env.CSV_DATA_DIR || "./data/sample",
+  odrFile: "ODR_Indents.csv",
+  maturedFile: "Matured_Indents.csv",
+};
+
+// Columns holding SQL date/datetime values, returned as Date objects like mssql
+const DATE_COLUMNS = new Set(["Demand_Date", "MetwithDate", "Supplied_Time"]);
+
+/**
+ * Output alias -> source column, in the same order as the SQL SELECT lists.
+ * `null` mirrors a `NULL as alias` column.
+ */
+const ODR_COLUMNS = {
+  dvsn: "Division",
+  sttnfrom: "Station_From",
+  dmndno: "Demand_No",
+  dmnddate: "Demand_Date",
+  dmndtime: null,
+  csnr: "Consignor",
+  cnsg: "Consignee",
+  cmdt: "Commodity",
+  tt: "Traffic_Type",
+  pc: "PC",
+  pbf: "PBF",
+  via: "VIA",
+  rakecmdt: "Rake_Commodity",
+  dstn: "Destination",
+  indttype: "Indented_Type",
+  indtunit: "Indented_Units",
+  indt8w: "Indented_8W",
+  ostgunit: "Outstanding_Units",
+  ostg8w: "Outstanding_8W",
+  spldunit: "Supplied_Units",
+  spldtime: "Supplied_Time",
+  zone: "Zone",
+};
+
+const MATURED_COLUMNS = {
+  ...ODR_COLUMNS,
+  dmndtime: "Demand_Time",
+  ostgunit: null,
+  ostg8w: null,
+  spldunit: null,
+  spldtime: "MetwithDate",
+};
+
+const TABLE_COLUMNS = { odr: ODR_COLUMNS, matured: MATURED_COLUMNS };
+
+const QUERY_TYPES = { odr: "ODR_RK_OTSG", matured: "MATURED_INDENTS" };
+
+// Column that moves when a row is supplied or matures
+const CHANGED_AT = { odr: "Supplied_Time", matured: "MetwithDate" };
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row.
+ * Supports quoted fields, escaped quotes and CRLF line endings.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(
+    (r) => r.length > 1 || r[0] !== ""
+  );
+
+  return body.map((values) =>
+    Object.fromEntries(header.map((column, idx) => [column, values[idx]]))
+  );
+};
+
+/**
+ * Convert a CSV cell to the value mssql would return: empty cells are NULL,
+ * date columns are Dates (SQL Server datetimes are read as UTC)
+ */
+const toSqlValue = (column, value) => {
+  if (value === undefined || value === "") return null;
+  if (!DATE_COLUMNS.has(column)) return value;
+
+  const iso = value.includes("T") ? value : value.replace(" ", "T");
+  const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Compare two values the way ORDER BY ... DESC does (NULLs last)
+ */
+const compareDesc = (a, b) => {
+  if (a === null || b === null) {
+    return a === b ? 0 : a === null ? 1 : -1;
+  }
+  if (a.valueOf() === b.valueOf()) return 0;
+  return a < b ? 1 : -1;
+};
+
+/**
+ * Keyset order shared with the SQL adapter: Demand_Date DESC, Demand_No DESC
+ */
+const compareKeyset = (a, b) =>
+  compareDesc(a.Demand_Date, b.Demand_Date) ||
+  compareDesc(a.Demand_No, b.Demand_No);
+
+/**
+ * True when `row` sorts after the cursor position
+ */
+const isAfterCursor = (row, cursor) =>
+  compareKeyset(row, {
+    Demand_Date: cursor.demandDate,
+    Demand_No: cursor.demandNo,
+  }) > 0;
+
+const sumUnits = (rows) =>
+  rows.length === 0
+    ? null
+    : rows.reduce(
+        (sum, row) => sum + (parseInt(row.Indented_Units, 10) || 0),
+        0
+      );
+
+const countDistinct = (rows, getValue) =>
+  new Set(rows.map(getValue).filter((value) => value !== null)).size;
+
+class CsvDataSource {
+  constructor(config = CSV_CONFIG) {
+    this.name = "csv";
+    this.config = config;
+    this.tables = null;
+    this.isConnected = false;
+  }
+
+  /**
+   * Load both CSV files into memory
+   */
+  async connect() {
+    if (this.tables && this.isConnected) {
+      return this.tables;
+    }
+
+    try {
+      console.log(`Loading CSV data from ${this.config.dataDir}...`);
+      const [odr, matured] = await Promise.all([
+        this.loadTable(this.config.odrFile),
+        this.loadTable(this.config.maturedFile),
+      ]);
+      this.tables = { odr, matured };
+      this.isConnected = true;
+      console.log(
+        `✅ Loaded ${odr.length} ODR and ${matured.length} Matured Indents rows from CSV`
+      );
+      return this.tables;
+    } catch (error) {
+      console.error("❌ CSV data source error:", error);
+      this.isConnected = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Release the in-memory tables
+   */
+  async disconnect() {
+    if (this.tables) {
+      this.tables = null;
+      this.isConnected = false;
+      console.log("CSV data source closed");
+    }
+  }
+
+  /**
+   * Read one table export; rows keep the SQL column names
+   */
+  async loadTable(fileName) {
+    const filePath = path.resolve(this.config.dataDir, fileName);
+    const text = await readFile(filePath, "utf8");
+
+    return parseCsv(text).map((record) => {
+      const row = {};
+      for (const [column, value] of Object.entries(record)) {
+        row[column] = toSqlValue(column, value);
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Select rows from a table with the same WHERE semantics as the SQL adapter
+   */
+  selectRows(rows, filters = {}) {
+    const matchesFilters = buildRowPredicate(filters);
+
+    return rows.filter(
+      (row) =>
+        row.Division !== null && row.Division !== "TOTAL" && matchesFilters(row)
+    );
+  }
+
+  /**
+   * Map source columns to the aliased shape returned by the SQL queries
+   */
+  projectRow(row, columns, qry) {
+    const record = {};
+    for (const [alias, column] of Object.entries(columns)) {
+      record[alias] = column ? (row[column] ?? null) : null;
+    }
+    record.qry = qry;
+    return record;
+  }
+
+  /**
+   * Select one keyset page from a table and project it to the SQL aliases
+   */
+  selectPage(table, filters, page, columns, qry) {
+    const pageSize = normalizePageSize(page.pageSize);
+    const cursor = decodeCursor(page.cursor);
+
+    const rows = this.selectRows(table, filters)
+      .filter((row) => !cursor || isAfterCursor(row, cursor))
+      .sort(compareKeyset)
+      .slice(0, pageSize + 1)
+      .map((row) => this.projectRow(row, columns, qry));
+
+    return toPage(rows, pageSize);
+  }
+
+  /**
+   * Stream every matching row of a table in keyset order
+   */
+  streamRows(table, filters, columns, qry) {
+    const rows = this.selectRows(table, filters).sort(compareKeyset);
+    const project = (row) => this.projectRow(row, columns, qry);
+
+    // Project lazily so only the rows being written are materialized
+    return Readable.from(
+      (function* () {
+        for (const row of rows) yield project(row);
+      })()
+    );
+  }
+
+  /**
+   * Fetch one page of ODR (Outstanding Orders) data
+   */
+  async fetchODRData(filters = {}, page = {}) {
+    const { odr } = await this.connect();
+    return this.selectPage(odr, filters, page, ODR_COLUMNS, "ODR_RK_OTSG");
+  }
+
+  /**
+   * Fetch one page of Matured Indents data
+   */
+  async fetchMaturedIndentsData(filters = {}, page = {}) {
+    const { matured } = await this.connect();
+    return this.selectPage(
+      matured,
+      filters,
+      page,
+      MATURED_COLUMNS,
+      "MATURED_INDENTS"
+    );
+  }
+
+  /**
+   * Stream all ODR rows
+   */
+  async streamODRData(filters = {}) {
+    const { odr } = await this.connect();
+    return this.streamRows(odr, filters, ODR_COLUMNS, "ODR_RK_OTSG");
+  }
+
+  /**
+   * Stream all Matured Indents rows
+   */
+  async streamMaturedIndentsData(filters = {}) {
+    const { matured } = await this.connect();
+    return this.streamRows(
+      matured,
+      filters,
+      MATURED_COLUMNS,
+      "MATURED_INDENTS"
+    );
+  }
+
+  /**
+   * Run one of the registered aggregations over the matching rows,
+   * using the same Dataprocessing helpers as the dashboard
+   */
+  async aggregate(dimension, filters = {}, options = {}) {
+    const aggregation = getAggregation(dimension);
+    const basis = resolveBasis(options.basis);
+    const tables = await this.connect();
+
+    const records = tablesForQueryType(filters.qry).flatMap((table) =>
+      this.selectRows(tables[table], filters).map((row) =>
+        toProcessedRecord(
+          this.projectRow(row, TABLE_COLUMNS[table], QUERY_TYPES[table])
+        )
+      )
+    );
+
+    return aggregation.aggregate(
+      records,
+      resolveLimit(dimension, options.limit),
+      basis
+    );
+  }
+
+  /**
+   * Fetch rows changed since the watermark and the Demand_No of every ODR
+   * row still outstanding (null when the filters exclude ODR)
+   */
+  async fetchChanges(filters = {}, since) {
+    const tables = await this.connect();
+    const sinceDate = startOfUtcDay(since);
+    const tableNames = tablesForQueryType(filters.qry);
+
+    const upserts = tableNames.flatMap((table) =>
+      this.selectRows(tables[table], filters)
+        .filter((row) => {
+          const changedAt = row[CHANGED_AT[table]];
+          return (
+            (row.Demand_Date !== null && row.Demand_Date >= sinceDate) ||
+            (changedAt !== null && changedAt >= since)
+          );
+        })
+        .sort(compareKeyset)
+        .map((row) =>
+          this.projectRow(row, TABLE_COLUMNS[table], QUERY_TYPES[table])
+        )
+    );
+
+    const odrIds = tableNames.includes("odr")
+      ? this.selectRows(tables.odr, filters)
+          .map((row) => row.Demand_No)
+          .filter((dmndno) => dmndno !== null)
+      : null;
+
+    return { upserts, odrIds };
+  }
+
+  /**
+   * Fetch the ODR and Matured Indents rows of one demand
+   */
+  async fetchDemandRecords(dmndno) {
+    const tables = await this.connect();
+
+    return ["odr", "matured"].flatMap((table) =>
+      this.selectRows(tables[table])
+        .filter((row) => row.Demand_No === dmndno)
+        .map((row) =>
+          this.projectRow(row, TABLE_COLUMNS[table], QUERY_TYPES[table])
+        )
+    );
+  }
+
+  /**
+   * Count matching ODR and Matured Indents rows
+   */
+  async countAllData(filters = {}) {
+    const { odr, matured } = await this.connect();
+    return {
+      odr: this.selectRows(odr, filters).length,
+      matured: this.selectRows(matured, filters).length,
+    };
+  }
+
+  /**
+   * Get summary statistics in the same shape as the SQL UNION query
+   */
+  async getSummaryStats() {
+    const { odr, matured } = await this.connect();
+
+    return [
+      ["ODR", odr],
+      ["MATURED", matured],
+    ].map(([source, table]) => {
+      const rows = this.selectRows(table);
+      return {
+        source,
+        totalOrders: rows.length,
+        totalUnits: sumUnits(rows),
+        uniqueConsignors: countDistinct(rows, (r) => r.Consignor),
+        uniqueConsignees: countDistinct(rows, (r) => r.Consignee),
+        uniqueDestinations: countDistinct(rows, (r) => r.Destination),
+        uniqueCommodities: countDistinct(
+          rows,
+          (r) => r.Commodity ?? r.Rake_Commodity
+        ),
+        uniqueDivisions: countDistinct(rows, (r) => r.Division),
+      };
+    });
+  }
+
+  /**
+   * Get distinct zones
+   */
+  async getDistinctZones() {
+    const { odr, matured } = await this.connect();
+
+    const zones = new Set(
+      [...this.selectRows(odr), ...this.selectRows(matured)]
+        .map((row) => row.Zone)
+        .filter((zone) => zone !== null)
+    );
+    return [...zones].sort();
+  }
+
+  /**
+   * Get distinct commodities
+   */
+  async getDistinctCommodities() {
+    const { odr, matured } = await this.connect();
+
+    const commodities = new Set();
+    [...odr, ...matured].forEach((row) => {
+      if (row.Commodity) commodities.add(row.Commodity);
+      if (row.Rake_Commodity) commodities.add(row.Rake_Commodity);
+    });
+    return [...commodities].sort();
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      await Promise.all([
+        access(path.resolve(this.config.dataDir, this.config.odrFile)),
+        access(path.resolve(this.config.dataDir, this.config.maturedFile)),
+      ]);
+      await this.connect();
+      return { status: "healthy", connected: true };
+    } catch (error) {
+      return { status: "unhealthy", connected: false, error: error.message };
+    }
+  }
+}
+
+export default CsvDataSource;
+export { CSV_CONFIG, parseCsv };
@@ -0,0 +1,185 @@
+/**
+ * Filter Builder
+ * Turns request filters into parameterized SQL conditions (MSSQL) or a row
+ * predicate (CSV) from one field specification, so both backends agree.
+ *
+ * Every field accepts a single value, an include list and an exclude list:
+ *   { zone: "SR" }  { zones: ["SR", "SCR"] }  { excludeZones: ["NR"] }
+ * plus the date range { startDate, endDate } on Demand_Date.
+ * Exclusions keep rows where the column is NULL.
+ */
+
+export const MAX_FILTER_VALUES = 500;
+
+export const FILTER_FIELDS = [
+  { name: "zone", plural: "zones", columns: ["Zone"] },
+  { name: "division", plural: "divisions", columns: ["Division"] },
+  { name: "stationFrom", plural: "stationsFrom", columns: ["Station_From"] },
+  { name: "destination", plural: "destinations", columns: ["Destination"] },
+  { name: "consignor", plural: "consignors", columns: ["Consignor"] },
+  { name: "consignee", plural: "consignees", columns: ["Consignee"] },
+  { name: "trafficType", plural: "trafficTypes", columns: ["Traffic_Type"] },
+  { name: "pc", plural: "pcs", columns: ["PC"] },
+  {
+    name: "indentedType",
+    plural: "indentedTypes",
+    columns: ["Indented_Type"],
+  },
+  {
+    name: "commodity",
+    plural: "commodities",
+    columns: ["Commodity", "Rake_Commodity"],
+  },
+];
+
+const excludeKey = (field) =>
+  `exclude${field.plural[0].toUpperCase()}${field.plural.slice(1)}`;
+
+const filterError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Collect the values given for one filter key as a de-duplicated list
+ */
+const toValueList = (key, value) => {
+  if (value === undefined || value === null || value === "") return [];
+
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some((v) => typeof v !== "string" && typeof v !== "number")) {
+    throw filterError(`Filter "${key}" must be a string or a list of strings`);
+  }
+  if (values.length > MAX_FILTER_VALUES) {
+    throw filterError(
+      `Filter "${key}" accepts at most ${MAX_FILTER_VALUES} values`
+    );
+  }
+
+  return [...new Set(values.map(String).filter((v) => v !== ""))];
+};
+
+const toDate = (key, value) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw filterError(`Filter "${key}" is not a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Normalize raw filters into
+ * { include: { field: [values] }, exclude: { field: [values] }, startDate, endDate }
+ */
+export const normalizeFilters = (filters = {}) => {
+  const include = {};
+  const exclude = {};
+
+  FILTER_FIELDS.forEach((field) => {
+    const included = [
+      ...new Set([
+        ...toValueList(field.name, filters[field.name]),
+        ...toValueList(field.plural, filters[field.plural]),
+      ]),
+    ];
+    const excluded = toValueList(excludeKey(field), filters[excludeKey(field)]);
+
+    if (included.length > 0) include[field.name] = included;
+    if (excluded.length > 0) exclude[field.name] = excluded;
+  });
+
+  return {
+    include,
+    exclude,
+    startDate: toDate("startDate", filters.startDate),
+    endDate: toDate("endDate", filters.endDate),
+  };
+};
+
+/**
+ * Build the SQL conditions for `filters`.
+ * Returns { conditions, params } where conditions starts with " AND" (or is
+ * empty) and params are { name, type: "VarChar" | "Date", value }.
+ */
+export const buildSqlFilter = (filters = {}) => {
+  const { include, exclude, startDate, endDate } = normalizeFilters(filters);
+  const params = [];
+  let conditions = "";
+
+  const addList = (prefix, values) =>
+    values
+      .map((value, idx) => {
+        const name = `${prefix}${idx}`;
+        params.push({ name, type: "VarChar", value });
+        return `@${name}`;
+      })
+      .join(", ");
+
+  FILTER_FIELDS.forEach((field) => {
+    if (include[field.name]) {
+      const list = addList(field.name, include[field.name]);
+      const clauses = field.columns.map((column) => `${column} IN (${list})`);
+      conditions += ` AND (${clauses.join(" OR ")})`;
+    }
+
+    if (exclude[field.name]) {
+      const list = addList(`${field.name}Excluded`, exclude[field.name]);
+      const clauses = field.columns.map(
+        (column) => `(${column} IS NULL OR ${column} NOT IN (${list}))`
+      );
+      conditions += ` AND ${clauses.join(" AND ")}`;
+    }
+  });
+
+  if (startDate) {
+    conditions += ` AND Demand_Date >= @startDate`;
+    params.push({ name: "startDate", type: "Date", value: startDate });
+  }
+
+  if (endDate) {
+    conditions += ` AND Demand_Date <= @endDate`;
+    params.push({ name: "endDate", type: "Date", value: endDate });
+  }
+
+  return { conditions, params };
+};
+
+/**
+ * Build a predicate over rows keyed by SQL column name with the same
+ * semantics as buildSqlFilter
+ */
+export const buildRowPredicate = (filters = {}) => {
+  const { include, exclude, startDate, endDate } = normalizeFilters(filters);
+
+  const checks = FILTER_FIELDS.flatMap((field) => {
+    const fieldChecks = [];
+
+    if (include[field.name]) {
+      const values = new Set(include[field.name]);
+      fieldChecks.push((row) =>
+        field.columns.some(
+          (column) => row[column] !== null && values.has(String(row[column]))
+        )
+      );
+    }
+
+    if (exclude[field.name]) {
+      const values = new Set(exclude[field.name]);
+      fieldChecks.push((row) =>
+        field.columns.every(
+          (column) => row[column] === null || !values.has(String(row[column]))
+        )
+      );
+    }
+
+    return fieldChecks;
+  });
+
+  if (startDate) checks.push((row) => row.Demand_Date >= startDate);
+  if (endDate) checks.push((row) => row.Demand_Date <= endDate);
+
+  return (row) => checks.every((check) => check(row));
+};
@@ -0,0 +1,43 @@
+/**
+ * Data Source Registry
+ * Picks the backend used by DatabaseService from the DATA_SOURCE env var
+ *
+ * Every data source implements the same interface:
+ *   name, isConnected
+ *   connect(), disconnect()
+ *   fetchODRData(filters, page), fetchMaturedIndentsData(filters, page)
+ *   streamODRData(filters), streamMaturedIndentsData(filters)
+ *   countAllData(filters)
+ *   fetchChanges(filters, since) - see sync.js
+ *   fetchDemandRecords(dmndno)
+ *   aggregate(dimension, filters, options) - see aggregations.js
+ *   getSummaryStats(), getDistinctZones(), getDistinctCommodities()
+ *   healthCheck()
+ */
+
+import MssqlDataSource from "./mssql-data-source.js";
+import CsvDataSource from "./csv-data-source.js";
+
+const DATA_SOURCES = {
+  mssql: MssqlDataSource,
+  csv: CsvDataSource,
+};
+
+/**
+ * Create the data source registered under `type` (defaults to mssql)
+ */
+export const createDataSource = (type = "mssql") => {
+  const DataSource = DATA_SOURCES[type.toLowerCase()];
+
+  if (!DataSource) {
+    throw new Error(
+      `Unknown DATA_SOURCE "${type}". Expected one of: ${Object.keys(
+        DATA_SOURCES
+      ).join(", ")}`
+    );
+  }
+
+  return new DataSource();
+};
+
+export { DATA_SOURCES };
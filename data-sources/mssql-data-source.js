@@ -0,0 +1,664 @@
+/**
+ * MSSQL Data Source
+ * Reads FOIS railway data from the Azure SQL Database
+ */
+
+import { Readable } from "stream";
+import sql from "mssql";
+import { normalizePageSize, decodeCursor, toPage } from "./pagination.js";
+import { buildSqlFilter } from "./filter-builder.js";
+import { startOfUtcDay } from "./sync.js";
+import { MONTH_LABELS } from "../src/Dataprocessing.js";
+import {
+  getAggregation,
+  resolveBasis,
+  resolveLimit,
+  tablesForQueryType,
+} from "./aggregations.js";
+
+const DB_CONFIG = {
+  server: process.env.DB_SERVER || "tmilldb.database.windows.net",
+  database: process.env.DB_NAME || "FOIS",
+  user: process.env.DB_USER || "tmilfoisadmin",
+  password: process.env.DB_PASSWORD || "fois$123*",
+  options: {
+    encrypt: true,
+    trustServerCertificate: false,
+    enableArithAbort: true,
+    connectionTimeout: 60000,
+    requestTimeout: 180000,
+    connectRetryCount: 3,
+    connectRetryInterval: 2000,
+  },
+  pool: {
+    max: 5, // Reduced for VPN stability
+    min: 1,
+    idleTimeoutMillis: 30000,
+  },
+};
+
+const ODR_SELECT = `
+    Division as dvsn,
+    Station_From as sttnfrom,
+    Demand_No as dmndno,
+    Demand_Date as dmnddate,
+    NULL as dmndtime,
+    Consignor as csnr,
+    Consignee as cnsg,
+    Commodity as cmdt,
+    Traffic_Type as tt,
+    PC as pc,
+    PBF as pbf,
+    VIA as via,
+    Rake_Commodity as rakecmdt,
+    Destination as dstn,
+    Indented_Type as indttype,
+    Indented_Units as indtunit,
+    Indented_8W as indt8w,
+    Outstanding_Units as ostgunit,
+    Outstanding_8W as ostg8w,
+    Supplied_Units as spldunit,
+    Supplied_Time as spldtime,
+    Zone as zone,
+    'ODR_RK_OTSG' as qry
+  FROM dbo.ODR_Indents
+  WHERE Division != 'TOTAL'
+`;
+
+const MATURED_SELECT = `
+    Division as dvsn,
+    Station_From as sttnfrom,
+    Demand_No as dmndno,
+    Demand_Date as dmnddate,
+    Demand_Time as dmndtime,
+    Consignor as csnr,
+    Consignee as cnsg,
+    Commodity as cmdt,
+    Traffic_Type as tt,
+    PC as pc,
+    PBF as pbf,
+    VIA as via,
+    Rake_Commodity as rakecmdt,
+    Destination as dstn,
+    Indented_Type as indttype,
+    Indented_Units as indtunit,
+    Indented_8W as indt8w,
+    NULL as ostgunit,
+    NULL as ostg8w,
+    NULL as spldunit,
+    MetwithDate as spldtime,
+    Zone as zone,
+    'MATURED_INDENTS' as qry
+  FROM dbo.Matured_Indents
+  WHERE Division != 'TOTAL'
+`;
+
+// `changedAt` is the column that moves when a row is supplied or matures
+const TABLES = {
+  odr: {
+    select: ODR_SELECT,
+    from: "dbo.ODR_Indents",
+    changedAt: "Supplied_Time",
+  },
+  matured: {
+    select: MATURED_SELECT,
+    from: "dbo.Matured_Indents",
+    changedAt: "MetwithDate",
+  },
+};
+
+const SQL_TYPES = { VarChar: sql.VarChar, Date: sql.Date };
+
+/**
+ * Append the request filters as parameterized conditions.
+ * Safe to call once per branch of a UNION: parameters are declared only once.
+ */
+const addFilters = (request, filters) => {
+  const { conditions, params } = buildSqlFilter(filters);
+
+  params.forEach(({ name, type, value }) => {
+    if (!request.parameters[name]) {
+      request.input(name, SQL_TYPES[type], value);
+    }
+  });
+
+  return conditions;
+};
+
+/**
+ * Append the keyset condition that resumes after `cursor`.
+ * SQL Server sorts NULL dates last in DESC order, so they form the final pages.
+ */
+const addKeysetCondition = (request, cursor) => {
+  if (!cursor) return "";
+
+  request.input("cursorNo", sql.VarChar, cursor.demandNo);
+
+  if (cursor.demandDate === null) {
+    return ` AND Demand_Date IS NULL AND Demand_No < @cursorNo`;
+  }
+
+  request.input("cursorDate", sql.DateTime2, cursor.demandDate);
+  return ` AND (Demand_Date < @cursorDate OR (Demand_Date = @cursorDate AND Demand_No < @cursorNo) OR Demand_Date IS NULL)`;
+};
+
+// Aggregations run over a `records` CTE holding the aliased rows plus
+// `basisUnits`, the indented quantity in the requested unit basis
+const UNITS = "basisUnits";
+
+const UNIT_COLUMNS = { units: "indtunit", "8w": "indt8w" };
+
+const orUnknown = (column) => `COALESCE(NULLIF(${column}, ''), 'Unknown')`;
+
+// COUNT(DISTINCT) plus one for NULL, matching `new Set(values).size`
+const distinctCount = (expr) =>
+  `ISNULL(COUNT(DISTINCT ${expr}) + MAX(CASE WHEN ${expr} IS NULL THEN 1 ELSE 0 END), 0)`;
+
+/**
+ * GROUP BY a key, returning { [keyAlias], [countAlias], units }
+ */
+const groupQuery = (
+  key,
+  { keyAlias = "name", count, orderBy = count, top }
+) => `
+  SELECT ${top ? "TOP (@limit) " : ""}${key} as ${keyAlias},
+    COUNT(*) as ${count},
+    SUM(${UNITS}) as units
+  FROM records
+  GROUP BY ${key}
+  ORDER BY ${orderBy} DESC
+`;
+
+const AGGREGATE_QUERIES = {
+  month: {
+    query: `
+      SELECT YEAR(dmnddate) as year,
+        MONTH(dmnddate) - 1 as monthNum,
+        COUNT(*) as demands,
+        SUM(${UNITS}) as units
+      FROM records
+      WHERE dmnddate IS NOT NULL
+      GROUP BY YEAR(dmnddate), MONTH(dmnddate)
+      ORDER BY year, monthNum
+    `,
+    shape: (rows) =>
+      rows.map((row) => ({
+        month: MONTH_LABELS[row.monthNum],
+        year: row.year,
+        monthNum: row.monthNum,
+        demands: row.demands,
+        units: row.units,
+      })),
+  },
+  commodity: {
+    query: groupQuery(
+      `COALESCE(NULLIF(cmdt, ''), NULLIF(rakecmdt, ''), 'Unknown')`,
+      { count: "value" }
+    ),
+  },
+  consignors: {
+    query: groupQuery(orUnknown("csnr"), { count: "orders", top: true }),
+  },
+  destinations: {
+    query: groupQuery(orUnknown("dstn"), { count: "shipments", top: true }),
+  },
+  zone: {
+    query: groupQuery(
+      `COALESCE(NULLIF(zone, ''), NULLIF(dvsn, ''), 'Unknown')`,
+      { keyAlias: "zone", count: "orders" }
+    ),
+  },
+  "rake-type": {
+    query: groupQuery(orUnknown("indttype"), {
+      count: "count",
+      orderBy: "units",
+      top: true,
+    }),
+    shape: (rows) =>
+      rows.map((row) => ({
+        name: row.name,
+        units: row.units,
+        count: row.count,
+      })),
+  },
+  division: {
+    query: groupQuery(orUnknown("dvsn"), {
+      keyAlias: "division",
+      count: "orders",
+    }),
+    shape: (rows) =>
+      rows.map((row) => ({
+        division: row.division,
+        orders: row.orders,
+        totalUnits: row.units,
+        avgUnits: row.orders > 0 ? Math.round(row.units / row.orders) : 0,
+      })),
+  },
+  consignees: {
+    query: groupQuery(orUnknown("cnsg"), { count: "orders", top: true }),
+  },
+  "query-type": {
+    query: groupQuery(orUnknown("qry"), { count: "count" }),
+  },
+  hourly: {
+    query: `
+      SELECT hour, COUNT(*) as orders
+      FROM (
+        SELECT TRY_CAST(
+          CASE WHEN CHARINDEX(':', t) > 0 THEN LEFT(t, CHARINDEX(':', t) - 1) ELSE t END
+          AS INT) as hour
+        FROM (SELECT CAST(dmndtime AS VARCHAR(32)) as t FROM records) times
+        WHERE t <> ''
+      ) hours
+      WHERE hour BETWEEN 0 AND 23
+      GROUP BY hour
+    `,
+    shape: (rows) => {
+      const counts = new Map(rows.map((row) => [row.hour, row.orders]));
+      return Array.from({ length: 24 }, (_, hour) => ({
+        hour: `${String(hour).padStart(2, "0")}:00`,
+        orders: counts.get(hour) || 0,
+      }));
+    },
+  },
+  priority: {
+    query: groupQuery(orUnknown("pc"), { count: "count" }),
+    shape: (rows) => rows.map((row) => ({ name: row.name, count: row.count })),
+  },
+  summary: {
+    query: `
+      SELECT COUNT(*) as totalOrders,
+        ISNULL(SUM(${UNITS}), 0) as totalUnits,
+        ${distinctCount("csnr")} as uniqueConsignors,
+        ${distinctCount("cnsg")} as uniqueConsignees,
+        ${distinctCount("dstn")} as uniqueDestinations,
+        ${distinctCount("COALESCE(NULLIF(cmdt, ''), rakecmdt)")} as uniqueCommodities,
+        ${distinctCount("dvsn")} as uniqueDivisions,
+        ${distinctCount("COALESCE(NULLIF(zone, ''), dvsn)")} as uniqueZones
+      FROM records
+    `,
+    shape: ([row]) => ({
+      totalOrders: row.totalOrders,
+      totalUnits: row.totalUnits,
+      avgUnitsPerOrder:
+        row.totalOrders > 0
+          ? parseFloat((row.totalUnits / row.totalOrders).toFixed(2))
+          : 0,
+      uniqueConsignors: row.uniqueConsignors,
+      uniqueConsignees: row.uniqueConsignees,
+      uniqueDestinations: row.uniqueDestinations,
+      uniqueCommodities: row.uniqueCommodities,
+      uniqueDivisions: row.uniqueDivisions,
+      uniqueZones: row.uniqueZones,
+    }),
+  },
+  routes: {
+    query: `
+      SELECT TOP (@limit) ${orUnknown("sttnfrom")} as origin,
+        ${orUnknown("dstn")} as destination,
+        COUNT(*) as shipments,
+        SUM(${UNITS}) as units
+      FROM records
+      GROUP BY ${orUnknown("sttnfrom")}, ${orUnknown("dstn")}
+      ORDER BY shipments DESC
+    `,
+    shape: (rows) =>
+      rows.map((row) => ({
+        route: `${row.origin} → ${row.destination}`,
+        origin: row.origin,
+        destination: row.destination,
+        shipments: row.shipments,
+        units: row.units,
+      })),
+  },
+};
+
+class MssqlDataSource {
+  constructor(config = DB_CONFIG) {
+    this.name = "mssql";
+    this.config = config;
+    this.pool = null;
+    this.isConnected = false;
+  }
+
+  /**
+   * Initialize database connection pool
+   */
+  async connect() {
+    if (this.pool && this.isConnected) {
+      return this.pool;
+    }
+
+    try {
+      console.log("Connecting to Azure SQL Database...");
+      this.pool = await sql.connect(this.config);
+      this.isConnected = true;
+      console.log("✅ Successfully connected to Azure SQL Database");
+      return this.pool;
+    } catch (error) {
+      console.error("❌ Database connection error:", error);
+      this.isConnected = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Close database connection
+   */
+  async disconnect() {
+    if (this.pool) {
+      await this.pool.close();
+      this.isConnected = false;
+      console.log("Database connection closed");
+    }
+  }
+
+  /**
+   * Fetch one keyset page from a table
+   */
+  async fetchPage(table, filters, page) {
+    await this.connect();
+    const request = this.pool.request();
+    const pageSize = normalizePageSize(page.pageSize);
+    const cursor = decodeCursor(page.cursor);
+
+    let query = `SELECT TOP (@limit) ${TABLES[table].select}`;
+    query += addFilters(request, filters);
+    query += addKeysetCondition(request, cursor);
+    query += ` ORDER BY Demand_Date DESC, Demand_No DESC`;
+    request.input("limit", sql.Int, pageSize + 1);
+
+    const result = await request.query(query);
+    return toPage(result.recordset, pageSize);
+  }
+
+  /**
+   * Stream every matching row of a table through mssql row events.
+   * Returns an object-mode Readable; the request is paused while the
+   * consumer applies backpressure and cancelled if the stream is destroyed.
+   */
+  async streamTable(table, filters) {
+    await this.connect();
+    const request = this.pool.request();
+    request.stream = true;
+
+    const stream = new Readable({
+      objectMode: true,
+      highWaterMark: 500,
+      read() {
+        request.resume();
+      },
+      destroy(error, callback) {
+        request.cancel();
+        callback(error);
+      },
+    });
+
+    let query = `SELECT ${TABLES[table].select}`;
+    query += addFilters(request, filters);
+    query += ` ORDER BY Demand_Date DESC, Demand_No DESC`;
+
+    request.on("row", (row) => {
+      if (!stream.push(row)) request.pause();
+    });
+    request.on("error", (error) => stream.destroy(error));
+    request.on("done", () => stream.push(null));
+    request.query(query);
+
+    return stream;
+  }
+
+  /**
+   * Fetch the rows of a table demanded, supplied or matured since `since`
+   */
+  async fetchChangedRows(table, filters, since) {
+    await this.connect();
+    const request = this.pool.request();
+    request.input("since", sql.DateTime2, since);
+    request.input("sinceDate", sql.Date, startOfUtcDay(since));
+
+    let query = `SELECT ${TABLES[table].select}`;
+    query += addFilters(request, filters);
+    query += ` AND (Demand_Date >= @sinceDate OR ${TABLES[table].changedAt} >= @since)`;
+    query += ` ORDER BY Demand_Date DESC, Demand_No DESC`;
+
+    const result = await request.query(query);
+    return result.recordset;
+  }
+
+  /**
+   * Fetch the Demand_No of every ODR row matching the filters
+   */
+  async fetchOdrIds(filters) {
+    await this.connect();
+    const request = this.pool.request();
+
+    let query = `SELECT Demand_No as dmndno FROM dbo.ODR_Indents`;
+    query += ` WHERE Division != 'TOTAL' AND Demand_No IS NOT NULL`;
+    query += addFilters(request, filters);
+
+    const result = await request.query(query);
+    return result.recordset.map((row) => row.dmndno);
+  }
+
+  /**
+   * Fetch rows changed since the watermark and the Demand_No of every ODR
+   * row still outstanding (null when the filters exclude ODR)
+   */
+  async fetchChanges(filters = {}, since) {
+    await this.connect();
+    const tables = tablesForQueryType(filters.qry);
+    const [odrIds, ...changed] = await Promise.all([
+      tables.includes("odr") ? this.fetchOdrIds(filters) : null,
+      ...tables.map((table) => this.fetchChangedRows(table, filters, since)),
+    ]);
+
+    return { upserts: changed.flat(), odrIds };
+  }
+
+  /**
+   * Fetch the ODR and Matured Indents rows of one demand
+   */
+  async fetchDemandRecords(dmndno) {
+    await this.connect();
+    const request = this.pool.request();
+    request.input("dmndno", sql.VarChar, dmndno);
+
+    const result = await request.query(`
+      SELECT ${ODR_SELECT} AND Demand_No = @dmndno
+      UNION ALL
+      SELECT ${MATURED_SELECT} AND Demand_No = @dmndno
+    `);
+    return result.recordset;
+  }
+
+  /**
+   * Count the rows of a table matching the filters
+   */
+  async countRows(table, filters) {
+    await this.connect();
+    const request = this.pool.request();
+
+    let query = `SELECT COUNT(*) as total FROM ${TABLES[table].from} WHERE Division != 'TOTAL'`;
+    query += addFilters(request, filters);
+
+    const result = await request.query(query);
+    return result.recordset[0].total;
+  }
+
+  /**
+   * Run one of the registered aggregations with GROUP BY in SQL
+   */
+  async aggregate(dimension, filters = {}, options = {}) {
+    getAggregation(dimension);
+    const spec = AGGREGATE_QUERIES[dimension];
+    const unitColumn = UNIT_COLUMNS[resolveBasis(options.basis)];
+
+    await this.connect();
+    const request = this.pool.request();
+
+    const records = tablesForQueryType(filters.qry)
+      .map(
+        (table) =>
+          `SELECT ${TABLES[table].select}${addFilters(request, filters)}`
+      )
+      .join(" UNION ALL ");
+    request.input(
+      "limit",
+      sql.Int,
+      resolveLimit(dimension, options.limit) || 0
+    );
+
+    const result = await request.query(`
+      WITH source AS (${records}),
+      records AS (
+        SELECT *, ISNULL(TRY_CAST(${unitColumn} AS INT), 0) as basisUnits
+        FROM source
+      )
+      ${spec.query}
+    `);
+    return spec.shape ? spec.shape(result.recordset) : result.recordset;
+  }
+
+  /**
+   * Fetch one page of ODR (Outstanding Orders) data
+   */
+  async fetchODRData(filters = {}, page = {}) {
+    return this.fetchPage("odr", filters, page);
+  }
+
+  /**
+   * Fetch one page of Matured Indents data
+   */
+  async fetchMaturedIndentsData(filters = {}, page = {}) {
+    return this.fetchPage("matured", filters, page);
+  }
+
+  /**
+   * Stream all ODR rows
+   */
+  async streamODRData(filters = {}) {
+    return this.streamTable("odr", filters);
+  }
+
+  /**
+   * Stream all Matured Indents rows
+   */
+  async streamMaturedIndentsData(filters = {}) {
+    return this.streamTable("matured", filters);
+  }
+
+  /**
+   * Count matching ODR and Matured Indents rows
+   */
+  async countAllData(filters = {}) {
+    const [odr, matured] = await Promise.all([
+      this.countRows("odr", filters),
+      this.countRows("matured", filters),
+    ]);
+    return { odr, matured };
+  }
+
+  /**
+   * Get summary statistics directly from database
+   */
+  async getSummaryStats() {
+    await this.connect();
+    const request = this.pool.request();
+
+    const query = `
+      SELECT
+        'ODR' as source,
+        COUNT(*) as totalOrders,
+        SUM(CAST(Indented_Units as INT)) as totalUnits,
+        COUNT(DISTINCT Consignor) as uniqueConsignors,
+        COUNT(DISTINCT Consignee) as uniqueConsignees,
+        COUNT(DISTINCT Destination) as uniqueDestinations,
+        COUNT(DISTINCT COALESCE(Commodity, Rake_Commodity)) as uniqueCommodities,
+        COUNT(DISTINCT Division) as uniqueDivisions
+      FROM dbo.ODR_Indents
+      WHERE Division != 'TOTAL'
+
+      UNION ALL
+
+      SELECT
+        'MATURED' as source,
+        COUNT(*) as totalOrders,
+        SUM(CAST(Indented_Units as INT)) as totalUnits,
+        COUNT(DISTINCT Consignor) as uniqueConsignors,
+        COUNT(DISTINCT Consignee) as uniqueConsignees,
+        COUNT(DISTINCT Destination) as uniqueDestinations,
+        COUNT(DISTINCT COALESCE(Commodity, Rake_Commodity)) as uniqueCommodities,
+        COUNT(DISTINCT Division) as uniqueDivisions
+      FROM dbo.Matured_Indents
+      WHERE Division != 'TOTAL'
+    `;
+
+    const result = await request.query(query);
+    return result.recordset;
+  }
+
+  /**
+   * Get distinct zones/divisions
+   */
+  async getDistinctZones() {
+    await this.connect();
+    const request = this.pool.request();
+
+    const query = `
+      SELECT DISTINCT Zone as zone
+      FROM (
+        SELECT Zone FROM dbo.ODR_Indents WHERE Division != 'TOTAL' AND Zone IS NOT NULL
+        UNION
+        SELECT Zone FROM dbo.Matured_Indents WHERE Division != 'TOTAL' AND Zone IS NOT NULL
+      ) as zones
+      ORDER BY zone
+    `;
+
+    const result = await request.query(query);
+    return result.recordset.map((row) => row.zone);
+  }
+
+  /**
+   * Get distinct commodities
+   */
+  async getDistinctCommodities() {
+    await this.connect();
+    const request = this.pool.request();
+
+    const query = `
+      SELECT DISTINCT commodity
+      FROM (
+        SELECT Commodity as commodity FROM dbo.ODR_Indents WHERE Commodity IS NOT NULL
+        UNION
+        SELECT Rake_Commodity as commodity FROM dbo.ODR_Indents WHERE Rake_Commodity IS NOT NULL
+        UNION
+        SELECT Commodity as commodity FROM dbo.Matured_Indents WHERE Commodity IS NOT NULL
+        UNION
+        SELECT Rake_Commodity as commodity FROM dbo.Matured_Indents WHERE Rake_Commodity IS NOT NULL
+      ) as commodities
+      WHERE commodity != ''
+      ORDER BY commodity
+    `;
+
+    const result = await request.query(query);
+    return result.recordset.map((row) => row.commodity);
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      await this.connect();
+      const request = this.pool.request();
+      await request.query("SELECT 1 as health");
+      return { status: "healthy", connected: true };
+    } catch (error) {
+      return { status: "unhealthy", connected: false, error: error.message };
+    }
+  }
+}
+
+export default MssqlDataSource;
+export { DB_CONFIG };
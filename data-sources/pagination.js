@@ -0,0 +1,66 @@
+/**
+ * Keyset Pagination Helpers
+ * Pages are ordered by (Demand_Date DESC, Demand_No DESC); the cursor is an
+ * opaque token holding the sort key of the last row on the previous page
+ */
+
+export const MAX_PAGE_SIZE = 250000;
+export const DEFAULT_PAGE_SIZE = MAX_PAGE_SIZE;
+
+/**
+ * Clamp a requested page size to 1..MAX_PAGE_SIZE
+ */
+export const normalizePageSize = (pageSize) => {
+  const size = parseInt(pageSize, 10);
+  if (!Number.isFinite(size) || size <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(size, MAX_PAGE_SIZE);
+};
+
+/**
+ * Build the cursor pointing just after `row` (an aliased record)
+ */
+export const encodeCursor = (row) => {
+  const date = row.dmnddate ? new Date(row.dmnddate).toISOString() : null;
+  return Buffer.from(JSON.stringify([date, row.dmndno])).toString("base64url");
+};
+
+/**
+ * Decode a cursor into `{ demandDate, demandNo }`, or null for the first page
+ */
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const [date, demandNo] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const demandDate = date === null ? null : new Date(date);
+
+    if (
+      demandNo === undefined ||
+      (demandDate !== null && isNaN(demandDate.getTime()))
+    ) {
+      throw new Error("malformed cursor");
+    }
+    return { demandDate, demandNo: String(demandNo) };
+  } catch {
+    const error = new Error("Invalid pagination cursor");
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Split a result fetched with `pageSize + 1` rows into a page
+ */
+export const toPage = (rows, pageSize) => {
+  const hasMore = rows.length > pageSize;
+  const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+
+  return {
+    rows: pageRows,
+    pageSize,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null,
+  };
+};
@@ -0,0 +1,96 @@
+/**
+ * Reference Data
+ * Station, division and zone master tables and the commodity taxonomy,
+ * loaded from local CSV or JSON files (REFERENCE_DATA_DIR) whichever data
+ * source serves the FOIS rows
+ */
+
+import { readFile } from "fs/promises";
+import path from "path";
+import { parseCsv } from "./csv-data-source.js";
+
+export const REFERENCE_CONFIG = {
+  dataDir: process.env.REFERENCE_DATA_DIR || "./data/reference",
+};
+
+/**
+ * Table -> master file (.csv or .json) and the columns kept from it
+ */
+export const REFERENCE_TABLES = {
+  stations: {
+    file: "stations.csv",
+    columns: ["code", "name", "division", "zone"],
+  },
+  divisions: { file: "divisions.csv", columns: ["code", "name", "zone"] },
+  zones: { file: "zones.json", columns: ["code", "name", "headquarters"] },
+  commodities: {
+    file: "commodities.csv",
+    columns: ["code", "name", "group", "family"],
+  },
+};
+
+let loading = null;
+
+/**
+ * Read one master file into rows of its columns, dropping rows without a
+ * code and trimming stray whitespace
+ */
+const readTable = async ({ file, columns }) => {
+  const text = await readFile(
+    path.resolve(REFERENCE_CONFIG.dataDir, file),
+    "utf8"
+  );
+  const rows = file.endsWith(".json") ? JSON.parse(text) : parseCsv(text);
+
+  return rows
+    .map((row) =>
+      Object.fromEntries(
+        columns.map((column) => [
+          column,
+          row[column] === undefined || row[column] === null
+            ? null
+            : String(row[column]).trim() || null,
+        ])
+      )
+    )
+    .filter((row) => row.code);
+};
+
+/**
+ * Load every master table once; later calls share the result. A failed
+ * load is not kept, so the next call retries.
+ */
+export const loadReferenceData = (reload = false) => {
+  if (!loading || reload) {
+    loading = Promise.all(
+      Object.entries(REFERENCE_TABLES).map(async ([table, config]) => [
+        table,
+        await readTable(config),
+      ])
+    )
+      .then(Object.fromEntries)
+      .catch((error) => {
+        loading = null;
+        throw error;
+      });
+  }
+
+  return loading;
+};
+
+/**
+ * One master table, throwing a 404-tagged error for unknown tables
+ */
+export const getReferenceTable = async (table) => {
+  if (!REFERENCE_TABLES[table]) {
+    const error = new Error(
+      `Unknown reference table "${table}". Expected one of: ${Object.keys(
+        REFERENCE_TABLES
+      ).join(", ")}`
+    );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return (await loadReferenceData())[table];
+};
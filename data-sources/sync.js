@@ -0,0 +1,36 @@
+/**
+ * Incremental Sync
+ * A client that already holds the data sends the `since` watermark it last
+ * saw (see getSyncWatermark in src/Dataprocessing.js) and receives only the
+ * rows demanded, supplied or matured since then, plus the Demand_No of
+ * every ODR row still in the ODR table. Held ODR rows missing from that
+ * list have left it, whether they matured, were cancelled or withdrawn.
+ *
+ * Demand_Date has no time part, so rows from the watermark's whole day are
+ * resent; merging them is idempotent.
+ */
+
+/**
+ * Parse the `since` watermark, throwing a 400-tagged error when invalid
+ */
+export const parseSince = (since) => {
+  const date = since ? new Date(since) : null;
+
+  if (!date || isNaN(date.getTime())) {
+    const error = new Error(
+      `Invalid sync watermark "${since}". Expected an ISO date`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return date;
+};
+
+/**
+ * Midnight UTC of the watermark's day, compared against Demand_Date
+ */
+export const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
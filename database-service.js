@@ -1,135 +1,54 @@
 /**
  * Database Service for FOIS Railway Data
- * Connects directly to Azure SQL Database
- * Replaces unreliable API calls with direct database queries
+ * Fronts a pluggable data source (Azure SQL or local CSV files)
+ * selected with the DATA_SOURCE environment variable
  */
 
-import sql from "mssql";
-
-const DB_CONFIG = {
-  server: process.env.DB_SERVER || "tmilldb.database.windows.net",
-  database: process.env.DB_NAME || "FOIS",
-  user: process.env.DB_USER || "tmilfoisadmin",
-  password: process.env.DB_PASSWORD || "fois$123*",
-  options: {
-    encrypt: true,
-    trustServerCertificate: false,
-    enableArithAbort: true,
-    connectionTimeout: 60000,
-    requestTimeout: 180000,
-    connectRetryCount: 3,
-    connectRetryInterval: 2000,
-  },
-  pool: {
-    max: 5, // Reduced for VPN stability
-    min: 1,
-    idleTimeoutMillis: 30000,
-  },
-};
+import { createDataSource } from "./data-sources/index.js";
+import { parseSince } from "./data-sources/sync.js";
+import {
+  buildDemandLifecycles,
+  getSyncWatermark,
+} from "./src/Dataprocessing.js";
 
 class DatabaseService {
-  constructor() {
-    this.pool = null;
-    this.isConnected = false;
+  constructor(dataSource = createDataSource(process.env.DATA_SOURCE)) {
+    this.dataSource = dataSource;
+  }
+
+  get isConnected() {
+    return this.dataSource.isConnected;
   }
 
   /**
-   * Initialize database connection pool
+   * Initialize the data source connection
    */
   async connect() {
-    if (this.pool && this.isConnected) {
-      return this.pool;
-    }
-
-    try {
-      console.log("Connecting to Azure SQL Database...");
-      this.pool = await sql.connect(DB_CONFIG);
-      this.isConnected = true;
-      console.log("✅ Successfully connected to Azure SQL Database");
-      return this.pool;
-    } catch (error) {
-      console.error("❌ Database connection error:", error);
-      this.isConnected = false;
-      throw error;
-    }
+    return this.dataSource.connect();
   }
 
   /**
-   * Close database connection
+   * Close the data source connection
    */
   async disconnect() {
-    if (this.pool) {
-      await this.pool.close();
-      this.isConnected = false;
-      console.log("Database connection closed");
-    }
+    await this.dataSource.disconnect();
   }
 
   /**
-   * Fetch ODR (Outstanding Orders) data
+   * Fetch one page of ODR (Outstanding Orders) data
+   * Returns { rows, pageSize, hasMore, nextCursor }
    */
-  async fetchODRData(filters = {}) {
+  async fetchODRData(filters = {}, page = {}) {
     try {
-      await this.connect();
-      const request = this.pool.request();
-
-      let query = `
-      SELECT TOP 250000
-        Division as dvsn,
-        Station_From as sttnfrom,
-        Demand_No as dmndno,
-        Demand_Date as dmnddate,
-        NULL as dmndtime,
-        Consignor as csnr,
-        Consignee as cnsg,
-        Commodity as cmdt,
-        Traffic_Type as tt,
-        PC as pc,
-        PBF as pbf,
-        VIA as via,
-        Rake_Commodity as rakecmdt,
-        Destination as dstn,
-        Indented_Type as indttype,
-        Indented_Units as indtunit,
-        Indented_8W as indt8w,
-        Outstanding_Units as ostgunit,
-        Outstanding_8W as ostg8w,
-        Supplied_Units as spldunit,
-        Supplied_Time as spldtime,
-        Zone as zone,
-        'ODR_RK_OTSG' as qry
-      FROM dbo.ODR_Indents
-      WHERE Division != 'TOTAL'
-    `;
-
-      // Add filters if provided
-      if (filters.zone) {
-        query += ` AND Zone = @zone`;
-        request.input("zone", sql.VarChar, filters.zone);
-      }
-
-      if (filters.startDate) {
-        query += ` AND Demand_Date >= @startDate`;
-        request.input("startDate", sql.Date, filters.startDate);
-      }
-
-      if (filters.endDate) {
-        query += ` AND Demand_Date <= @endDate`;
-        request.input("endDate", sql.Date, filters.endDate);
-      }
-
-      if (filters.commodity) {
-        query += ` AND (Commodity = @commodity OR Rake_Commodity = @commodity)`;
-        request.input("commodity", sql.VarChar, filters.commodity);
-      }
-
-      query += ` ORDER BY Demand_Date DESC`;
-
       console.log("Executing ODR query...");
-      const result = await request.query(query);
-      console.log(`✅ Fetched ${result.recordset.length} ODR records`);
+      const result = await this.dataSource.fetchODRData(filters, page);
+      console.log(
+        `✅ Fetched ${result.rows.length} ODR records${
+          result.hasMore ? " (more pages available)" : ""
+        }`
+      );
 
-      return result.recordset;
+      return result;
     } catch (error) {
       console.error("Error fetching ODR data:", error);
       throw error;
@@ -137,72 +56,23 @@ class DatabaseService {
   }
 
   /**
-   * Fetch Matured Indents data
+   * Fetch one page of Matured Indents data
+   * Returns { rows, pageSize, hasMore, nextCursor }
    */
-  async fetchMaturedIndentsData(filters = {}) {
+  async fetchMaturedIndentsData(filters = {}, page = {}) {
     try {
-      await this.connect();
-      const request = this.pool.request();
-
-      let query = `
-      SELECT TOP 250000
-        Division as dvsn,
-        Station_From as sttnfrom,
-        Demand_No as dmndno,
-        Demand_Date as dmnddate,
-        Demand_Time as dmndtime,
-        Consignor as csnr,
-        Consignee as cnsg,
-        Commodity as cmdt,
-        Traffic_Type as tt,
-        PC as pc,
-        PBF as pbf,
-        VIA as via,
-        Rake_Commodity as rakecmdt,
-        Destination as dstn,
-        Indented_Type as indttype,
-        Indented_Units as indtunit,
-        Indented_8W as indt8w,
-        NULL as ostgunit,
-        NULL as ostg8w,
-        NULL as spldunit,
-        MetwithDate as spldtime,
-        Zone as zone,
-        'MATURED_INDENTS' as qry
-      FROM dbo.Matured_Indents
-      WHERE Division != 'TOTAL'
-    `;
-
-      // Add filters
-      if (filters.zone) {
-        query += ` AND Zone = @zone`;
-        request.input("zone", sql.VarChar, filters.zone);
-      }
-
-      if (filters.startDate) {
-        query += ` AND Demand_Date >= @startDate`;
-        request.input("startDate", sql.Date, filters.startDate);
-      }
-
-      if (filters.endDate) {
-        query += ` AND Demand_Date <= @endDate`;
-        request.input("endDate", sql.Date, filters.endDate);
-      }
-
-      if (filters.commodity) {
-        query += ` AND (Commodity = @commodity OR Rake_Commodity = @commodity)`;
-        request.input("commodity", sql.VarChar, filters.commodity);
-      }
-
-      query += ` ORDER BY Demand_Date DESC, Demand_Time DESC`;
-
       console.log("Executing Matured Indents query...");
-      const result = await request.query(query);
+      const result = await this.dataSource.fetchMaturedIndentsData(
+        filters,
+        page
+      );
       console.log(
-        `✅ Fetched ${result.recordset.length} Matured Indents records`
+        `✅ Fetched ${result.rows.length} Matured Indents records${
+          result.hasMore ? " (more pages available)" : ""
+        }`
       );
 
-      return result.recordset;
+      return result;
     } catch (error) {
       console.error("Error fetching Matured Indents data:", error);
       throw error;
@@ -216,16 +86,22 @@ class DatabaseService {
     try {
       console.log("Fetching all railway data from database...");
 
-      const [odrData, maturedData] = await Promise.all([
+      const [odrPage, maturedPage] = await Promise.all([
         this.fetchODRData(filters),
         this.fetchMaturedIndentsData(filters),
       ]);
 
+      const odrData = odrPage.rows;
+      const maturedData = maturedPage.rows;
       const allData = [...odrData, ...maturedData];
+      const truncated = odrPage.hasMore || maturedPage.hasMore;
 
       console.log(`✅ Total records fetched: ${allData.length}`);
       console.log(`   - ODR records: ${odrData.length}`);
       console.log(`   - Matured Indents: ${maturedData.length}`);
+      if (truncated) {
+        console.warn("⚠️  Result truncated at the maximum page size");
+      }
 
       return {
         success: true,
@@ -233,6 +109,7 @@ class DatabaseService {
         totalRecords: allData.length,
         odrCount: odrData.length,
         maturedCount: maturedData.length,
+        truncated,
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
@@ -240,50 +117,131 @@ class DatabaseService {
       return {
         success: false,
         error: error.message,
+        statusCode: error.statusCode,
         data: [],
         totalRecords: 0,
       };
     }
   }
 
+  /**
+   * Stream all data (ODR then Matured Indents) without buffering it.
+   * Yields a `{ $meta: "start" }` header with the expected row count, every
+   * row as it arrives, and a `{ $meta: "end" }` trailer with the totals.
+   */
+  async *streamAllData(filters = {}) {
+    console.log("Streaming all railway data from database...");
+
+    const expected = await this.dataSource.countAllData(filters);
+    yield {
+      $meta: "start",
+      expectedRecords: expected.odr + expected.matured,
+      expectedOdrCount: expected.odr,
+      expectedMaturedCount: expected.matured,
+    };
+
+    let odrCount = 0;
+    for await (const row of await this.dataSource.streamODRData(filters)) {
+      odrCount++;
+      yield row;
+    }
+
+    let maturedCount = 0;
+    for await (const row of await this.dataSource.streamMaturedIndentsData(
+      filters
+    )) {
+      maturedCount++;
+      yield row;
+    }
+
+    console.log(`✅ Total records streamed: ${odrCount + maturedCount}`);
+    console.log(`   - ODR records: ${odrCount}`);
+    console.log(`   - Matured Indents: ${maturedCount}`);
+
+    yield {
+      $meta: "end",
+      totalRecords: odrCount + maturedCount,
+      odrCount,
+      maturedCount,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Fetch the delta since the `since` watermark.
+   * Returns { upserts, odrIds, watermark } where odrIds lists the ODR rows
+   * still outstanding and watermark is the value to send on the next sync.
+   */
+  async fetchChanges(filters = {}, since) {
+    const sinceDate = parseSince(since);
+
+    try {
+      console.log(`Fetching changes since ${sinceDate.toISOString()}...`);
+      const { upserts, odrIds } = await this.dataSource.fetchChanges(
+        filters,
+        sinceDate
+      );
+      const latest = getSyncWatermark(upserts);
+      const watermark =
+        latest && new Date(latest) > sinceDate
+          ? latest
+          : sinceDate.toISOString();
+
+      console.log(
+        `✅ Fetched ${upserts.length} changed records, ${odrIds?.length ?? 0} outstanding ODR records`
+      );
+
+      return { upserts, odrIds, watermark };
+    } catch (error) {
+      console.error("Error fetching changes:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the lifecycle of one demand (ODR and Matured Indents rows joined
+   * by demand number). Returns { demand, records }.
+   */
+  async getDemandLifecycle(dmndno) {
+    let records;
+    try {
+      console.log(`Fetching lifecycle of demand ${dmndno}...`);
+      records = await this.dataSource.fetchDemandRecords(dmndno);
+    } catch (error) {
+      console.error(`Error fetching demand ${dmndno}:`, error);
+      throw error;
+    }
+
+    if (records.length === 0) {
+      const error = new Error(`Demand "${dmndno}" not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const [demand] = buildDemandLifecycles(records);
+    return { demand, records };
+  }
+
+  /**
+   * Aggregate by a chart dimension without shipping the raw rows.
+   * Returns the same shape as the matching Dataprocessing.js helper.
+   */
+  async aggregate(dimension, filters = {}, options = {}) {
+    try {
+      console.log(`Executing ${dimension} aggregation...`);
+      return await this.dataSource.aggregate(dimension, filters, options);
+    } catch (error) {
+      console.error(`Error aggregating by ${dimension}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get summary statistics directly from database
    */
   async getSummaryStats() {
     try {
-      await this.connect();
-      const request = this.pool.request();
-
-      const query = `
-      SELECT 
-        'ODR' as source,
-        COUNT(*) as totalOrders,
-        SUM(CAST(Indented_Units as INT)) as totalUnits,
-        COUNT(DISTINCT Consignor) as uniqueConsignors,
-        COUNT(DISTINCT Consignee) as uniqueConsignees,
-        COUNT(DISTINCT Destination) as uniqueDestinations,
-        COUNT(DISTINCT COALESCE(Commodity, Rake_Commodity)) as uniqueCommodities,
-        COUNT(DISTINCT Division) as uniqueDivisions
-      FROM dbo.ODR_Indents
-      WHERE Division != 'TOTAL'
-      
-      UNION ALL
-      
-      SELECT 
-        'MATURED' as source,
-        COUNT(*) as totalOrders,
-        SUM(CAST(Indented_Units as INT)) as totalUnits,
-        COUNT(DISTINCT Consignor) as uniqueConsignors,
-        COUNT(DISTINCT Consignee) as uniqueConsignees,
-        COUNT(DISTINCT Destination) as uniqueDestinations,
-        COUNT(DISTINCT COALESCE(Commodity, Rake_Commodity)) as uniqueCommodities,
-        COUNT(DISTINCT Division) as uniqueDivisions
-      FROM dbo.Matured_Indents
-      WHERE Division != 'TOTAL'
-    `;
-
-      const result = await request.query(query);
-      return result.recordset;
+      return await this.dataSource.getSummaryStats();
     } catch (error) {
       console.error("Error fetching summary stats:", error);
       throw error;
@@ -295,21 +253,7 @@ class DatabaseService {
    */
   async getDistinctZones() {
     try {
-      await this.connect();
-      const request = this.pool.request();
-
-      const query = `
-      SELECT DISTINCT Zone as zone
-      FROM (
-        SELECT Zone FROM dbo.ODR_Indents WHERE Division != 'TOTAL' AND Zone IS NOT NULL
-        UNION
-        SELECT Zone FROM dbo.Matured_Indents WHERE Division != 'TOTAL' AND Zone IS NOT NULL
-      ) as zones
-      ORDER BY zone
-    `;
-
-      const result = await request.query(query);
-      return result.recordset.map((row) => row.zone);
+      return await this.dataSource.getDistinctZones();
     } catch (error) {
       console.error("Error fetching zones:", error);
       return [];
@@ -321,26 +265,7 @@ class DatabaseService {
    */
   async getDistinctCommodities() {
     try {
-      await this.connect();
-      const request = this.pool.request();
-
-      const query = `
-      SELECT DISTINCT commodity
-      FROM (
-        SELECT Commodity as commodity FROM dbo.ODR_Indents WHERE Commodity IS NOT NULL
-        UNION
-        SELECT Rake_Commodity as commodity FROM dbo.ODR_Indents WHERE Rake_Commodity IS NOT NULL
-        UNION
-        SELECT Commodity as commodity FROM dbo.Matured_Indents WHERE Commodity IS NOT NULL
-        UNION
-        SELECT Rake_Commodity as commodity FROM dbo.Matured_Indents WHERE Rake_Commodity IS NOT NULL
-      ) as commodities
-      WHERE commodity != ''
-      ORDER BY commodity
-    `;
-
-      const result = await request.query(query);
-      return result.recordset.map((row) => row.commodity);
+      return await this.dataSource.getDistinctCommodities();
     } catch (error) {
       console.error("Error fetching commodities:", error);
       return [];
@@ -351,14 +276,8 @@ class DatabaseService {
    * Health check
    */
   async healthCheck() {
-    try {
-      await this.connect();
-      const request = this.pool.request();
-      await request.query("SELECT 1 as health");
-      return { status: "healthy", connected: true };
-    } catch (error) {
-      return { status: "unhealthy", connected: false, error: error.message };
-    }
+    const health = await this.dataSource.healthCheck();
+    return { ...health, source: this.dataSource.name };
   }
 }
 
@@ -366,3 +285,4 @@ class DatabaseService {
 const databaseService = new DatabaseService();
 
 export default databaseService;
+export { DatabaseService };
@@ -26,4 +26,10 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['server.js', 'database-service.js', 'test-database.js', 'tests/**/*.js', 'response-cache.js', 'data-sources/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -4,9 +4,16 @@
  * Replaces unreliable API calls with direct database queries
  */
 
+import {
+  getSyncWatermark,
+  mergeSyncDelta,
+  toDemandDate,
+} from "./src/Dataprocessing.js";
+
 const API_CONFIG = {
   baseUrl: import.meta.env.VITE_API_BASE_URL || "http://localhost:3001",
   timeout: 60000,
+  pageSize: 50000,
 };
 
 class RailwayDatabaseService {
@@ -14,29 +21,69 @@ class RailwayDatabaseService {
     this.cache = new Map();
     this.isFetching = false;
     this.abortController = null;
+    this.baselineController = null;
+    // Data held for incremental sync
+    this.records = null;
+    this.recordFilters = {};
+    this.watermark = null;
   }
 
   /**
    * Process raw database records into dashboard format
    */
   processData(records) {
-    return records.map((row) => ({
-      ...row,
-      // Parse date for better sorting/filtering
-      demandDateObj: row.dmnddate ? new Date(row.dmnddate) : null,
-      // Extract month and year
-      month: row.dmnddate ? new Date(row.dmnddate).getMonth() : null,
-      year: row.dmnddate ? new Date(row.dmnddate).getFullYear() : null,
-      // Convert units to numbers - handle both ODR and Matured data
-      rakeUnits: parseInt(row.indtunit || 0, 10),
-      rake8w: parseInt(row.indt8w || 0, 10),
-      // Add zone field for compatibility (already aliased from Zone column)
-      zone: row.zone || row.dvsn,
-    }));
+    return records.map((row) => {
+      // Calendar day of the demand, bucketed the same way as the server
+      const demandDateObj = toDemandDate(row.dmnddate);
+
+      return {
+        ...row,
+        demandDateObj,
+        // Extract month and year
+        month: demandDateObj ? demandDateObj.getMonth() : null,
+        year: demandDateObj ? demandDateObj.getFullYear() : null,
+        // Convert units to numbers - handle both ODR and Matured data
+        rakeUnits: parseInt(row.indtunit || 0, 10),
+        rake8w: parseInt(row.indt8w || 0, 10),
+        // Outstanding and supplied quantities (ODR only; NULL for matured)
+        outstandingUnits: parseInt(row.ostgunit || 0, 10),
+        outstanding8w: parseInt(row.ostg8w || 0, 10),
+        suppliedUnits: parseInt(row.spldunit || 0, 10),
+        // Add zone field for compatibility (already aliased from Zone column)
+        zone: row.zone || row.dvsn,
+      };
+    });
+  }
+
+  /**
+   * Read an NDJSON response body line by line, calling onLine with each
+   * parsed object as soon as its line is complete
+   */
+  async readNdjson(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach((line) => {
+        if (line.trim()) onLine(JSON.parse(line));
+      });
+
+      if (done) break;
+    }
+
+    if (buffer.trim()) onLine(JSON.parse(buffer));
   }
 
   /**
    * Fetch all data from database
+   * Rows are streamed as NDJSON and processed as they arrive, so onProgress
+   * reports the real number of records received
    */
   async fetchAllData(filters = {}, onProgress = null) {
     this.isFetching = true;
@@ -55,8 +102,9 @@ class RailwayDatabaseService {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          Accept: "application/x-ndjson",
         },
-        body: JSON.stringify({ filters }),
+        body: JSON.stringify({ filters, stream: true }),
         signal: this.abortController.signal,
       });
 
@@ -64,41 +112,74 @@ class RailwayDatabaseService {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      if (onProgress) {
-        onProgress({
-          status: "processing",
-          message: "Processing data...",
-          percentage: 50,
-        });
-      }
-
-      const result = await response.json();
+      const processedData = [];
+      let batch = [];
+      let expectedRecords = 0;
+      let summary = null;
 
-      if (result.success) {
-        const processedData = this.processData(result.data);
+      const flushBatch = () => {
+        processedData.push(...this.processData(batch));
+        batch = [];
 
         if (onProgress) {
           onProgress({
-            status: "complete",
-            message: `Successfully loaded ${result.totalRecords} records`,
-            percentage: 100,
-            odrCount: result.odrCount,
-            maturedCount: result.maturedCount,
+            status: "streaming",
+            message: `Received ${processedData.length.toLocaleString()} of ${expectedRecords.toLocaleString()} records...`,
+            percentage: expectedRecords
+              ? Math.min(
+                  99,
+                  Math.round((processedData.length / expectedRecords) * 100)
+                )
+              : 0,
+            receivedRecords: processedData.length,
+            expectedRecords,
           });
         }
+      };
 
-        this.isFetching = false;
-        return {
-          success: true,
-          data: processedData,
-          totalRecords: result.totalRecords,
-          odrCount: result.odrCount,
-          maturedCount: result.maturedCount,
-          timestamp: result.timestamp,
-        };
-      } else {
-        throw new Error(result.error || "Failed to fetch data");
+      await this.readNdjson(response, (item) => {
+        if (item.$meta === "start") {
+          expectedRecords = item.expectedRecords;
+        } else if (item.$meta === "end") {
+          summary = item;
+        } else if (item.$meta === "error") {
+          throw new Error(item.error);
+        } else {
+          batch.push(item);
+          if (batch.length >= 5000) flushBatch();
+        }
+      });
+      flushBatch();
+
+      if (!summary) {
+        throw new Error("Data stream ended unexpectedly");
+      }
+
+      if (onProgress) {
+        onProgress({
+          status: "complete",
+          message: `Successfully loaded ${summary.totalRecords} records`,
+          percentage: 100,
+          odrCount: summary.odrCount,
+          maturedCount: summary.maturedCount,
+        });
       }
+
+      this.records = processedData;
+      this.recordFilters = filters;
+      this.watermark = getSyncWatermark(processedData);
+
+      this.isFetching = false;
+      return {
+        success: true,
+        data: processedData,
+        totalRecords: summary.totalRecords,
+        odrCount: summary.odrCount,
+        maturedCount: summary.maturedCount,
+        timestamp: summary.timestamp,
+        cached: Boolean(summary.cached),
+        cacheAge: summary.cacheAge || 0,
+      };
     } catch (error) {
       this.isFetching = false;
 
@@ -132,16 +213,133 @@ class RailwayDatabaseService {
   }
 
   /**
-   * Fetch ODR data only
+   * Refresh the held data with only the rows changed since the last load
+   * or sync, merged in by demand number. Falls back to fetchAllData when
+   * nothing is held yet or the filters have changed.
+   */
+  async syncData(filters = this.recordFilters, onProgress = null) {
+    if (
+      !this.records ||
+      !this.watermark ||
+      JSON.stringify(filters) !== JSON.stringify(this.recordFilters)
+    ) {
+      return this.fetchAllData(filters, onProgress);
+    }
+
+    this.isFetching = true;
+    this.abortController = new AbortController();
+
+    try {
+      if (onProgress) {
+        onProgress({
+          status: "syncing",
+          message: `Fetching changes since ${new Date(
+            this.watermark
+          ).toLocaleString()}...`,
+          percentage: 0,
+        });
+      }
+
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/railway/sync`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          filters: this.recordFilters,
+          since: this.watermark,
+        }),
+        signal: this.abortController.signal,
+      });
+
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(
+          result.error || `HTTP error! status: ${response.status}`
+        );
+      }
+
+      const { data, added, updated, removed } = mergeSyncDelta(
+        this.records,
+        this.processData(result.upserts),
+        result.odrIds
+      );
+      this.records = data;
+      this.watermark = result.watermark;
+
+      if (onProgress) {
+        onProgress({
+          status: "complete",
+          message: `Synced ${added} new, ${updated} updated and ${removed} removed records`,
+          percentage: 100,
+        });
+      }
+
+      const odrCount = data.filter((d) => d.qry === "ODR_RK_OTSG").length;
+
+      this.isFetching = false;
+      return {
+        success: true,
+        data,
+        totalRecords: data.length,
+        odrCount,
+        maturedCount: data.length - odrCount,
+        timestamp: result.timestamp,
+        cached: false,
+        cacheAge: 0,
+        added,
+        updated,
+        removed,
+      };
+    } catch (error) {
+      this.isFetching = false;
+
+      if (error.name === "AbortError") {
+        console.log("Sync cancelled by user");
+        return {
+          success: false,
+          error: "Cancelled",
+          data: [],
+          totalRecords: 0,
+        };
+      }
+
+      console.error("Error syncing data:", error);
+
+      if (onProgress) {
+        onProgress({
+          status: "error",
+          message: `Error: ${error.message}`,
+          percentage: 0,
+        });
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        data: [],
+        totalRecords: 0,
+      };
+    }
+  }
+
+  /**
+   * Fetch one page of ODR data
+   * Pass the returned nextCursor as `page.cursor` to continue
    */
-  async fetchODRData(filters = {}) {
+  async fetchODRData(filters = {}, page = {}) {
     try {
       const response = await fetch(`${API_CONFIG.baseUrl}/api/railway/odr`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ filters }),
+        body: JSON.stringify({
+          filters,
+          pageSize: page.pageSize,
+          cursor: page.cursor,
+        }),
       });
 
       if (!response.ok) {
@@ -155,6 +353,8 @@ class RailwayDatabaseService {
           success: true,
           data: this.processData(result.data),
           totalRecords: result.totalRecords,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor,
         };
       } else {
         throw new Error(result.error);
@@ -171,9 +371,10 @@ class RailwayDatabaseService {
   }
 
   /**
-   * Fetch Matured Indents data only
+   * Fetch one page of Matured Indents data
+   * Pass the returned nextCursor as `page.cursor` to continue
    */
-  async fetchMaturedIndentsData(filters = {}) {
+  async fetchMaturedIndentsData(filters = {}, page = {}) {
     try {
       const response = await fetch(
         `${API_CONFIG.baseUrl}/api/railway/matured`,
@@ -182,7 +383,11 @@ class RailwayDatabaseService {
           headers: {
             "Content-Type": "application/json",
           },
-          body: JSON.stringify({ filters }),
+          body: JSON.stringify({
+            filters,
+            pageSize: page.pageSize,
+            cursor: page.cursor,
+          }),
         }
       );
 
@@ -197,6 +402,8 @@ class RailwayDatabaseService {
           success: true,
           data: this.processData(result.data),
           totalRecords: result.totalRecords,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor,
         };
       } else {
         throw new Error(result.error);
@@ -212,6 +419,131 @@ class RailwayDatabaseService {
     }
   }
 
+  /**
+   * Walk every page of the "odr" or "matured" endpoint, yielding the
+   * processed rows of each page in Demand_Date, Demand_No descending order
+   */
+  async *iteratePages(endpoint, filters = {}, pageSize = API_CONFIG.pageSize) {
+    const fetchPage =
+      endpoint === "matured"
+        ? (page) => this.fetchMaturedIndentsData(filters, page)
+        : (page) => this.fetchODRData(filters, page);
+
+    let cursor = null;
+    do {
+      const result = await fetchPage({ pageSize, cursor });
+      if (!result.success) {
+        throw new Error(result.error || "Failed to fetch page");
+      }
+
+      yield result.data;
+      cursor = result.hasMore ? result.nextCursor : null;
+    } while (cursor);
+  }
+
+  /**
+   * Fetch a server-side aggregation (same shape as the Dataprocessing.js
+   * helper for that dimension) instead of downloading the raw rows
+   */
+  async fetchAggregate(dimension, filters = {}, options = {}) {
+    try {
+      const response = await fetch(
+        `${API_CONFIG.baseUrl}/api/railway/aggregate/${dimension}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            filters,
+            limit: options.limit,
+            basis: options.basis,
+          }),
+        }
+      );
+
+      const result = await response.json();
+
+      if (result.success) {
+        return { success: true, data: result.data };
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error(`Error fetching ${dimension} aggregate:`, error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  /**
+   * Fetch the rows of a compare-mode baseline range without replacing the
+   * data held for incremental sync. A newer call cancels the pending one.
+   */
+  async fetchBaselineData(filters = {}) {
+    if (this.baselineController) this.baselineController.abort();
+    this.baselineController = new AbortController();
+
+    try {
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/railway/all`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ filters }),
+        signal: this.baselineController.signal,
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        return {
+          success: true,
+          data: this.processData(result.data),
+          totalRecords: result.totalRecords,
+        };
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        return { success: false, error: "Cancelled", data: [] };
+      }
+
+      console.error("Error fetching baseline data:", error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  /**
+   * Fetch one demand's lifecycle (see buildDemandLifecycles)
+   */
+  async fetchDemand(dmndno) {
+    try {
+      const response = await fetch(
+        `${API_CONFIG.baseUrl}/api/railway/demands/${encodeURIComponent(dmndno)}`
+      );
+      const result = await response.json();
+
+      if (result.success) {
+        return {
+          success: true,
+          demand: result.demand,
+          records: result.records,
+        };
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error(`Error fetching demand ${dmndno}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        demand: null,
+        records: [],
+      };
+    }
+  }
+
   /**
    * Get available zones
    */
@@ -242,6 +574,25 @@ class RailwayDatabaseService {
     }
   }
 
+  /**
+   * Get the station, division and zone reference tables and the commodity
+   * taxonomy
+   */
+  async getReferenceData() {
+    try {
+      const response = await fetch(
+        `${API_CONFIG.baseUrl}/api/railway/reference`
+      );
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error);
+      const { stations, divisions, zones, commodities } = result;
+      return { stations, divisions, zones, commodities };
+    } catch (error) {
+      console.error("Error fetching reference data:", error);
+      return { stations: [], divisions: [], zones: [], commodities: [] };
+    }
+  }
+
   /**
    * Get summary statistics
    */
@@ -288,6 +639,8 @@ class RailwayDatabaseService {
    */
   clearCache() {
     this.cache.clear();
+    this.records = null;
+    this.watermark = null;
   }
 }
 
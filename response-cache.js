@@ -0,0 +1,200 @@
+/**
+ * Response Cache for FOIS Railway Data
+ * In-process LRU cache in front of DatabaseService, keyed by endpoint and
+ * normalized filters. FOIS tables only change a few times a day, so repeated
+ * dashboard refreshes are served from memory until the TTL expires or the
+ * cache is invalidated.
+ */
+
+import { normalizeFilters } from "./data-sources/filter-builder.js";
+
+const CACHE_CONFIG = {
+  ttlMs: parseInt(process.env.CACHE_TTL_SECONDS ?? "900", 10) * 1000,
+  maxBytes: parseInt(process.env.CACHE_MAX_MB ?? "256", 10) * 1024 * 1024,
+};
+
+const SAMPLE_SIZE = 100;
+
+/**
+ * JSON.stringify with sorted object keys, so equal filters give equal keys
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Build the cache key for an endpoint called with `filters` and any extra
+ * request options (page size, cursor, limit...)
+ */
+export const buildCacheKey = (endpoint, filters = {}, extra = {}) => {
+  const { include, exclude, startDate, endDate } = normalizeFilters(filters);
+  const sortLists = (lists) =>
+    Object.fromEntries(
+      Object.entries(lists).map(([field, values]) => [
+        field,
+        [...values].sort(),
+      ])
+    );
+
+  return `${endpoint}:${stableStringify({
+    include: sortLists(include),
+    exclude: sortLists(exclude),
+    startDate,
+    endDate,
+    qry: filters.qry,
+    ...extra,
+  })}`;
+};
+
+/**
+ * Approximate the memory held by a cached value from its JSON size.
+ * Large row arrays are sampled instead of serialized in full.
+ */
+export const estimateSize = (value) => {
+  const rows = Array.isArray(value) ? value : value?.data;
+
+  if (!Array.isArray(rows) || rows.length <= SAMPLE_SIZE) {
+    return Buffer.byteLength(JSON.stringify(value ?? null));
+  }
+
+  const sampleBytes = Buffer.byteLength(
+    JSON.stringify(rows.slice(0, SAMPLE_SIZE))
+  );
+  return Math.ceil((sampleBytes / SAMPLE_SIZE) * rows.length);
+};
+
+class ResponseCache {
+  constructor(config = CACHE_CONFIG) {
+    this.ttlMs = config.ttlMs;
+    this.maxBytes = config.maxBytes;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get enabled() {
+    return this.ttlMs > 0 && this.maxBytes > 0;
+  }
+
+  /**
+   * Get a live entry as { value, storedAt, ageMs }, or null
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    const ageMs = Date.now() - entry.storedAt;
+    if (ageMs > this.ttlMs) {
+      this.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return { value: entry.value, storedAt: entry.storedAt, ageMs };
+  }
+
+  /**
+   * Store a value, evicting least recently used entries to stay under
+   * maxBytes. Values larger than the whole cache are not stored.
+   */
+  set(key, value, size = estimateSize(value)) {
+    if (!this.enabled || size > this.maxBytes) return false;
+
+    this.delete(key);
+    while (this.bytes + size > this.maxBytes && this.entries.size > 0) {
+      this.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, { value, size, storedAt: Date.now() });
+    this.bytes += size;
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Return the cached value for `key` or compute and store it.
+   * Concurrent misses for the same key share one computation.
+   * Resolves to { value, cached, ageMs }.
+   */
+  async wrap(key, compute, shouldCache = () => true) {
+    const hit = this.enabled ? this.get(key) : null;
+    if (hit) {
+      this.hits++;
+      return { value: hit.value, cached: true, ageMs: hit.ageMs };
+    }
+
+    if (this.pending.has(key)) {
+      return { value: await this.pending.get(key), cached: false, ageMs: 0 };
+    }
+
+    this.misses++;
+    const promise = (async () => {
+      const value = await compute();
+      if (this.enabled && shouldCache(value)) this.set(key, value);
+      return value;
+    })();
+
+    this.pending.set(key, promise);
+    try {
+      return { value: await promise, cached: false, ageMs: 0 };
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Drop every entry whose key starts with `prefix` (all entries by default)
+   */
+  invalidate(prefix = "") {
+    let count = 0;
+    [...this.entries.keys()].forEach((key) => {
+      if (key.startsWith(prefix)) {
+        this.delete(key);
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Current cache statistics
+   */
+  stats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ttlSeconds: this.ttlMs / 1000,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+// Create singleton instance
+const responseCache = new ResponseCache();
+
+export default responseCache;
+export { ResponseCache, CACHE_CONFIG };
@@ -1,6 +1,14 @@
 import express from "express";
 import cors from "cors";
 import databaseService from "./database-service.js";
+import responseCache, {
+  buildCacheKey,
+  estimateSize,
+} from "./response-cache.js";
+import {
+  loadReferenceData,
+  getReferenceTable,
+} from "./data-sources/reference-data.js";
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -31,26 +39,153 @@ app.get("/health", async (req, res) => {
   }
 });
 
+/**
+ * Write one NDJSON line, waiting for the socket to drain when it is full
+ */
+const writeLine = (res, item) => {
+  if (res.write(`${JSON.stringify(item)}\n`)) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+};
+
+/**
+ * Report whether a response came from the cache and how old its data is,
+ * as X-Cache/Age headers and { cached, cacheAge } body fields (seconds)
+ */
+const cacheStatus = (res, { cached, ageMs }) => {
+  const cacheAge = Math.floor(ageMs / 1000);
+  res.setHeader("X-Cache", cached ? "HIT" : "MISS");
+  res.setHeader("Age", cacheAge);
+  return { cached, cacheAge };
+};
+
+/**
+ * Replay a cached stream: start meta, rows, end meta
+ */
+async function* replayStream({ start, data, end }) {
+  yield start;
+  yield* data;
+  yield end;
+}
+
+/**
+ * Stream all railway data as newline-delimited JSON.
+ * Streamed rows are kept for the cache unless they outgrow it.
+ */
+const streamAllData = async (res, filters) => {
+  let key;
+  try {
+    key = buildCacheKey("all-stream", filters);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      data: [],
+      totalRecords: 0,
+    });
+  }
+
+  const hit = responseCache.enabled ? responseCache.get(key) : null;
+  const status = cacheStatus(res, {
+    cached: Boolean(hit),
+    ageMs: hit ? hit.ageMs : 0,
+  });
+  let collected = responseCache.enabled && !hit ? { data: [] } : null;
+
+  console.log(
+    hit
+      ? `📦 Streaming all railway data from cache (${status.cacheAge}s old)...`
+      : "📊 Streaming all railway data from database..."
+  );
+  res.setHeader("Content-Type", "application/x-ndjson");
+
+  const items = hit
+    ? replayStream(hit.value)
+    : databaseService.streamAllData(filters);
+
+  try {
+    for await (const item of items) {
+      if (res.destroyed) {
+        console.log("⚠️  Client disconnected, stream cancelled");
+        return;
+      }
+
+      if (collected && item.$meta) {
+        collected[item.$meta] = item;
+      } else if (collected) {
+        collected.data.push(item);
+        if (
+          collected.data.length % 1000 === 0 &&
+          estimateSize(collected.data) > responseCache.maxBytes
+        ) {
+          collected = null;
+        }
+      }
+
+      await writeLine(res, item.$meta ? { ...item, ...status } : item);
+    }
+    res.end();
+
+    if (collected) responseCache.set(key, collected);
+  } catch (error) {
+    console.error("❌ Stream error:", error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        data: [],
+        totalRecords: 0,
+      });
+    } else if (!res.destroyed) {
+      res.end(`${JSON.stringify({ $meta: "error", error: error.message })}\n`);
+    }
+  }
+};
+
 /**
  * Fetch all railway data from database
+ * Body: { filters, stream } - with stream: true (or Accept:
+ * application/x-ndjson) rows are written as NDJSON while they are read
  */
 app.post("/api/railway/all", async (req, res) => {
+  const { filters = {}, stream } = req.body || {};
+
+  if (stream || req.get("Accept") === "application/x-ndjson") {
+    return streamAllData(res, filters);
+  }
+
   try {
     console.log("📊 Fetching all railway data from database...");
-    const filters = req.body.filters || {};
 
-    const result = await databaseService.fetchAllData(filters);
+    const entry = await responseCache.wrap(
+      buildCacheKey("all", filters),
+      () => databaseService.fetchAllData(filters),
+      (result) => result.success
+    );
+    const result = entry.value;
 
     if (result.success) {
-      console.log(`✅ Success! Total records: ${result.totalRecords}`);
-      res.json(result);
+      console.log(
+        `✅ Success! Total records: ${result.totalRecords}${
+          entry.cached ? " (cached)" : ""
+        }`
+      );
+      res.json({ ...result, ...cacheStatus(res, entry) });
     } else {
       console.error("❌ Failed to fetch data:", result.error);
-      res.status(500).json(result);
+      res.status(result.statusCode || 500).json(result);
     }
   } catch (error) {
     console.error("❌ Server error:", error.message);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
       data: [],
@@ -61,23 +196,39 @@ app.post("/api/railway/all", async (req, res) => {
 
 /**
  * Fetch ODR data only
+ * Body: { filters, pageSize, cursor } - pass the returned nextCursor to get
+ * the next page; hasMore is false on the last page
  */
 app.post("/api/railway/odr", async (req, res) => {
   try {
     console.log("📊 Fetching ODR data...");
     const filters = req.body.filters || {};
+    const { pageSize, cursor } = req.body;
 
-    const data = await databaseService.fetchODRData(filters);
+    const entry = await responseCache.wrap(
+      buildCacheKey("odr", filters, { pageSize, cursor }),
+      async () => {
+        const page = await databaseService.fetchODRData(filters, {
+          pageSize,
+          cursor,
+        });
 
-    res.json({
-      success: true,
-      data: data,
-      totalRecords: data.length,
-      timestamp: new Date().toISOString(),
-    });
+        return {
+          success: true,
+          data: page.rows,
+          totalRecords: page.rows.length,
+          pageSize: page.pageSize,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor,
+          timestamp: new Date().toISOString(),
+        };
+      }
+    );
+
+    res.json({ ...entry.value, ...cacheStatus(res, entry) });
   } catch (error) {
     console.error("❌ Error fetching ODR data:", error.message);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
       data: [],
@@ -88,27 +239,148 @@ app.post("/api/railway/odr", async (req, res) => {
 
 /**
  * Fetch Matured Indents data only
+ * Body: { filters, pageSize, cursor } - same keyset pagination as /odr
  */
 app.post("/api/railway/matured", async (req, res) => {
   try {
     console.log("📊 Fetching Matured Indents data...");
     const filters = req.body.filters || {};
+    const { pageSize, cursor } = req.body;
+
+    const entry = await responseCache.wrap(
+      buildCacheKey("matured", filters, { pageSize, cursor }),
+      async () => {
+        const page = await databaseService.fetchMaturedIndentsData(filters, {
+          pageSize,
+          cursor,
+        });
+
+        return {
+          success: true,
+          data: page.rows,
+          totalRecords: page.rows.length,
+          pageSize: page.pageSize,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor,
+          timestamp: new Date().toISOString(),
+        };
+      }
+    );
+
+    res.json({ ...entry.value, ...cacheStatus(res, entry) });
+  } catch (error) {
+    console.error("❌ Error fetching Matured Indents data:", error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      data: [],
+      totalRecords: 0,
+    });
+  }
+});
 
-    const data = await databaseService.fetchMaturedIndentsData(filters);
+/**
+ * Incremental sync
+ * Body: { filters, since } - since is the watermark from the previous load
+ * or sync; returns the changed rows (upserts), the Demand_No of every row
+ * still in the ODR table (odrIds) and the watermark for the next sync
+ */
+app.post("/api/railway/sync", async (req, res) => {
+  try {
+    const { filters = {}, since } = req.body || {};
+    console.log(`🔄 Syncing railway data since ${since}...`);
+
+    // Not cached: a repeated sync from the same watermark must still see
+    // rows that changed since the previous one
+    const delta = await databaseService.fetchChanges(filters, since);
 
     res.json({
       success: true,
-      data: data,
-      totalRecords: data.length,
+      upserts: delta.upserts,
+      odrIds: delta.odrIds,
+      totalRecords: delta.upserts.length,
+      since,
+      watermark: delta.watermark,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error("❌ Error fetching Matured Indents data:", error.message);
-    res.status(500).json({
+    console.error("❌ Error syncing data:", error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      upserts: [],
+      odrIds: null,
+    });
+  }
+});
+
+/**
+ * Get one demand's lifecycle: its ODR and Matured Indents rows joined by
+ * demand number into outstanding state, maturity, supply and supply lag
+ */
+app.get("/api/railway/demands/:dmndno", async (req, res) => {
+  const { dmndno } = req.params;
+
+  try {
+    console.log(`📊 Fetching demand ${dmndno}...`);
+
+    const entry = await responseCache.wrap(
+      buildCacheKey(`demands/${dmndno}`),
+      async () => ({
+        success: true,
+        ...(await databaseService.getDemandLifecycle(dmndno)),
+        timestamp: new Date().toISOString(),
+      })
+    );
+
+    res.json({ ...entry.value, ...cacheStatus(res, entry) });
+  } catch (error) {
+    console.error(`❌ Error fetching demand ${dmndno}:`, error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
+      demand: null,
+      records: [],
+    });
+  }
+});
+
+/**
+ * Aggregate railway data by a chart dimension
+ * Dimensions: month, commodity, consignors, destinations, zone, rake-type,
+ * division, consignees, query-type, hourly, priority, summary, routes
+ * Body: { filters, limit, basis } - filters.qry restricts to ODR_RK_OTSG or
+ * MATURED_INDENTS; limit applies to the top-N dimensions; basis is "units"
+ * (default) or "8w" for 8-wheeler equivalent unit totals
+ */
+app.post("/api/railway/aggregate/:dimension", async (req, res) => {
+  const { dimension } = req.params;
+
+  try {
+    console.log(`📊 Aggregating railway data by ${dimension}...`);
+    const { filters = {}, limit, basis } = req.body || {};
+
+    const entry = await responseCache.wrap(
+      buildCacheKey(`aggregate/${dimension}`, filters, { limit, basis }),
+      async () => ({
+        success: true,
+        dimension,
+        data: await databaseService.aggregate(dimension, filters, {
+          limit,
+          basis,
+        }),
+        timestamp: new Date().toISOString(),
+      })
+    );
+
+    res.json({ ...entry.value, ...cacheStatus(res, entry) });
+  } catch (error) {
+    console.error(`❌ Error aggregating by ${dimension}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      dimension,
       data: [],
-      totalRecords: 0,
     });
   }
 });
@@ -119,13 +391,16 @@ app.post("/api/railway/matured", async (req, res) => {
 app.get("/api/railway/stats", async (req, res) => {
   try {
     console.log("📊 Fetching summary statistics...");
-    const stats = await databaseService.getSummaryStats();
+    const entry = await responseCache.wrap(
+      buildCacheKey("stats"),
+      async () => ({
+        success: true,
+        stats: await databaseService.getSummaryStats(),
+        timestamp: new Date().toISOString(),
+      })
+    );
 
-    res.json({
-      success: true,
-      stats: stats,
-      timestamp: new Date().toISOString(),
-    });
+    res.json({ ...entry.value, ...cacheStatus(res, entry) });
   } catch (error) {
     console.error("❌ Error fetching stats:", error.message);
     res.status(500).json({
@@ -140,11 +415,17 @@ app.get("/api/railway/stats", async (req, res) => {
  */
 app.get("/api/railway/zones", async (req, res) => {
   try {
-    const zones = await databaseService.getDistinctZones();
-    res.json({
-      success: true,
-      zones: zones,
-    });
+    // The service returns [] when the query fails, so never cache an empty list
+    const entry = await responseCache.wrap(
+      buildCacheKey("zones"),
+      async () => ({
+        success: true,
+        zones: await databaseService.getDistinctZones(),
+      }),
+      (result) => result.zones.length > 0
+    );
+
+    res.json({ ...entry.value, ...cacheStatus(res, entry) });
   } catch (error) {
     console.error("❌ Error fetching zones:", error.message);
     res.status(500).json({
@@ -160,21 +441,102 @@ app.get("/api/railway/zones", async (req, res) => {
  */
 app.get("/api/railway/commodities", async (req, res) => {
   try {
-    const commodities = await databaseService.getDistinctCommodities();
+    // The service returns [] when the query fails, so never cache an empty list
+    const entry = await responseCache.wrap(
+      buildCacheKey("commodities"),
+      async () => ({
+        success: true,
+        commodities: await databaseService.getDistinctCommodities(),
+      }),
+      (result) => result.commodities.length > 0
+    );
+
+    res.json({ ...entry.value, ...cacheStatus(res, entry) });
+  } catch (error) {
+    console.error("❌ Error fetching commodities:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      commodities: [],
+    });
+  }
+});
+
+/**
+ * Get every reference master table: stations, divisions, zones and the
+ * commodity taxonomy
+ */
+app.get("/api/railway/reference", async (req, res) => {
+  try {
     res.json({
       success: true,
-      commodities: commodities,
+      ...(await loadReferenceData()),
+      timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error("❌ Error fetching commodities:", error.message);
+    console.error("❌ Error loading reference data:", error.message);
     res.status(500).json({
       success: false,
       error: error.message,
+      stations: [],
+      divisions: [],
+      zones: [],
       commodities: [],
     });
   }
 });
 
+/**
+ * Get one reference master table (stations, divisions, zones or
+ * commodities)
+ */
+app.get("/api/railway/reference/:table", async (req, res) => {
+  const { table } = req.params;
+
+  try {
+    res.json({
+      success: true,
+      table,
+      data: await getReferenceTable(table),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`❌ Error loading reference ${table}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      table,
+      data: [],
+    });
+  }
+});
+
+/**
+ * Invalidate cached responses, e.g. after the FOIS tables are reloaded
+ * Body: { endpoint } - only drop that endpoint's entries (odr, matured, all,
+ * all-stream, sync, demands/<dmndno>, aggregate/<dimension>, stats, zones,
+ * commodities); omit to clear everything. When ADMIN_TOKEN is set it must
+ * be sent as "Authorization: Bearer <token>".
+ */
+app.post("/api/admin/cache/invalidate", (req, res) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (adminToken && req.get("Authorization") !== `Bearer ${adminToken}`) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  const { endpoint } = req.body || {};
+  const invalidated = responseCache.invalidate(endpoint ? `${endpoint}:` : "");
+  console.log(`🧹 Invalidated ${invalidated} cached responses`);
+
+  res.json({
+    success: true,
+    invalidated,
+    cache: responseCache.stats(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
 /**
  * Graceful shutdown
  */
@@ -196,6 +558,14 @@ app.listen(PORT, () => {
   console.log("🚀 Railway Database Server Running");
   console.log("=".repeat(60));
   console.log(`📡 Server URL: http://localhost:${PORT}`);
+  console.log(`🗄️  Data source: ${databaseService.dataSource.name}`);
+  console.log(
+    responseCache.enabled
+      ? `📦 Response cache: ${responseCache.ttlMs / 1000}s TTL, ${Math.round(
+          responseCache.maxBytes / 1024 / 1024
+        )} MB max`
+      : "📦 Response cache: disabled"
+  );
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
   console.log(`📊 Data endpoint: http://localhost:${PORT}/api/railway/all`);
   console.log("=".repeat(60) + "\n");
@@ -0,0 +1,174 @@
+/**
+ * Anomaly Detection
+ * Flags abnormal spikes and collapses in daily indent volumes per zone,
+ * division, consignor or commodity with a robust z-score: each day is
+ * compared with the median and MAD of the days before it.
+ */
+
+import {
+  aggregateByPeriod,
+  getCommodityKey,
+  toDateString,
+} from "./Dataprocessing.js";
+
+export const ANOMALY_DIMENSIONS = {
+  zone: { label: "Zone", getKey: (record) => record.zone || "Unknown" },
+  division: { label: "Division", getKey: (record) => record.dvsn || "Unknown" },
+  consignor: {
+    label: "Consignor",
+    getKey: (record) => record.csnr || "Unknown",
+  },
+  commodity: {
+    label: "Commodity",
+    getKey: (record, { commodityLevel, reference }) =>
+      getCommodityKey(record, commodityLevel, reference),
+  },
+};
+
+export const ANOMALY_CONFIG = {
+  // Trailing days the expected value is taken from
+  window: 28,
+  // Fewest trailing days before a day is scored
+  minHistory: 14,
+  // |z| at or above which a day is an anomaly (Iglewicz and Hoaglin)
+  threshold: 3.5,
+  // Series scored per dimension, largest first
+  seriesLimit: 25,
+};
+
+/**
+ * Selectable z-score thresholds, strictest first
+ */
+export const ANOMALY_SENSITIVITY = {
+  strict: { label: "Strict", threshold: 3.5 },
+  normal: { label: "Normal", threshold: 3 },
+  sensitive: { label: "Sensitive", threshold: 2.5 },
+};
+
+// MAD of a normal distribution is 0.6745 standard deviations
+const MAD_SCALE = 1.4826;
+
+const median = (sortedValues) => {
+  const mid = Math.floor(sortedValues.length / 2);
+  return sortedValues.length % 2
+    ? sortedValues[mid]
+    : (sortedValues[mid - 1] + sortedValues[mid]) / 2;
+};
+
+/**
+ * Robust z-score of every value against its trailing window.
+ * The scale falls back to the mean absolute deviation, and never drops
+ * below `minScale`, so sparse series with a MAD of zero do not flag every
+ * non-zero day.
+ */
+export const scoreRobustZ = (
+  values,
+  {
+    window = ANOMALY_CONFIG.window,
+    minHistory = ANOMALY_CONFIG.minHistory,
+    minScale = 1,
+  } = {}
+) =>
+  values.map((value, idx) => {
+    const history = values.slice(Math.max(0, idx - window), idx);
+    if (history.length < minHistory) return null;
+
+    const sorted = [...history].sort((a, b) => a - b);
+    const expected = median(sorted);
+    const mad = median(
+      history.map((v) => Math.abs(v - expected)).sort((a, b) => a - b)
+    );
+    const meanDeviation =
+      history.reduce((sum, v) => sum + Math.abs(v - expected), 0) /
+      history.length;
+    const scale = Math.max(MAD_SCALE * mad, 1.2533 * meanDeviation, minScale);
+
+    return { expected, z: (value - expected) / scale };
+  });
+
+/**
+ * Ranked anomaly list over the daily series of each dimension's largest
+ * entities, with commodities at commodityLevel of the reference taxonomy.
+ * Each anomaly is { dimension, name, date, value, expected, change,
+ * changePct, z, direction: "spike" | "drop" }, strongest first.
+ */
+export const detectAnomalies = (
+  data,
+  {
+    dimensions = ["zone", "division", "consignor"],
+    field = "demands",
+    basis = "units",
+    limit = 20,
+    commodityLevel = "code",
+    reference,
+    ...config
+  } = {}
+) => {
+  const { threshold, seriesLimit } = { ...ANOMALY_CONFIG, ...config };
+
+  // One shared range so every series covers the same days
+  let first = Infinity;
+  let last = -Infinity;
+  data.forEach((record) => {
+    if (!record.demandDateObj) return;
+    first = Math.min(first, record.demandDateObj.getTime());
+    last = Math.max(last, record.demandDateObj.getTime());
+  });
+  if (!Number.isFinite(first)) return [];
+  const range = {
+    startDate: toDateString(new Date(first)),
+    endDate: toDateString(new Date(last)),
+  };
+
+  const anomalies = [];
+  dimensions.forEach((dimension) => {
+    const { getKey } = ANOMALY_DIMENSIONS[dimension];
+    const groups = new Map();
+    data.forEach((record) => {
+      const key = getKey(record, { commodityLevel, reference });
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+
+    Array.from(groups.entries())
+      .sort((a, b) => b[1].length - a[1].length)
+      .slice(0, seriesLimit)
+      .forEach(([name, records]) => {
+        const days = aggregateByPeriod(records, "day", basis, range);
+        const scores = scoreRobustZ(
+          days.map((day) => day[field]),
+          config
+        );
+
+        scores.forEach((score, idx) => {
+          if (!score || Math.abs(score.z) < threshold) return;
+
+          const value = days[idx][field];
+          anomalies.push({
+            dimension,
+            name,
+            date: days[idx].startDate,
+            value,
+            expected: score.expected,
+            change: value - score.expected,
+            changePct:
+              score.expected > 0
+                ? parseFloat(
+                    (((value - score.expected) / score.expected) * 100).toFixed(
+                      1
+                    )
+                  )
+                : null,
+            z: parseFloat(score.z.toFixed(2)),
+            direction: score.z > 0 ? "spike" : "drop",
+          });
+        });
+      });
+  });
+
+  return anomalies
+    .sort(
+      (a, b) => Math.abs(b.z) - Math.abs(a.z) || b.date.localeCompare(a.date)
+    )
+    .slice(0, limit);
+};
@@ -0,0 +1,181 @@
+/**
+ * Consignor Cohort Analysis
+ * Groups consignors (csnr) by the month they first indented, tracks how
+ * many of each cohort are still indenting in the months after, and flags
+ * consignors whose volume has fallen against their own trailing average.
+ */
+
+import {
+  getUnits,
+  toDateString,
+  TIME_GRANULARITIES,
+} from "./Dataprocessing.js";
+
+export const RETENTION_CONFIG = {
+  // Months before the reference month averaged for the baseline
+  trailingMonths: 3,
+  // Percentage fall against the trailing average that marks a consignor
+  dropThreshold: 50,
+  // Smallest trailing average (in the unit basis) worth flagging
+  minTrailingVolume: 1,
+};
+
+const { format } = TIME_GRANULARITIES.month;
+
+const toMonthIndex = (date) => date.getFullYear() * 12 + date.getMonth();
+
+const fromMonthIndex = (index) =>
+  new Date(Math.floor(index / 12), index % 12, 1);
+
+/**
+ * Volume per consignor per month, keyed by month index (year * 12 + month)
+ */
+const getConsignorActivity = (data, basis) => {
+  const activity = new Map();
+
+  data.forEach((record) => {
+    if (!record.demandDateObj) return;
+    const consignor = record.csnr || "Unknown";
+    const month = toMonthIndex(record.demandDateObj);
+
+    if (!activity.has(consignor)) activity.set(consignor, new Map());
+    const months = activity.get(consignor);
+    if (!months.has(month)) months.set(month, { orders: 0, units: 0 });
+    const entry = months.get(month);
+    entry.orders++;
+    entry.units += getUnits(record, basis);
+  });
+
+  return activity;
+};
+
+/**
+ * Last month with complete data: the month of the latest demand when that
+ * demand falls on the month's last day, otherwise the month before, so a
+ * month still in progress does not read as a fall in volume
+ */
+const getReferenceMonth = (data) => {
+  let last = -Infinity;
+  data.forEach((record) => {
+    if (record.demandDateObj) {
+      last = Math.max(last, record.demandDateObj.getTime());
+    }
+  });
+  if (!Number.isFinite(last)) return null;
+
+  const latest = new Date(last);
+  const monthEnd = new Date(latest.getFullYear(), latest.getMonth() + 1, 0);
+  return latest.getDate() === monthEnd.getDate()
+    ? toMonthIndex(latest)
+    : toMonthIndex(latest) - 1;
+};
+
+/**
+ * Monthly retention cohorts. Each cohort is the consignors first seen in a
+ * month; retention[n] is how many of them indented n months later and
+ * their volume. Returns { offsets, cohorts: [{ cohort, startDate, size,
+ * retention: [{ offset, active, rate, units }] }] }, oldest cohort first.
+ */
+export const buildRetentionCohorts = (data, basis = "units") => {
+  const activity = getConsignorActivity(data, basis);
+  if (activity.size === 0) return { offsets: [], cohorts: [] };
+
+  let lastMonth = -Infinity;
+  const cohortMap = new Map();
+  activity.forEach((months) => {
+    const keys = [...months.keys()];
+    const firstSeen = Math.min(...keys);
+    lastMonth = Math.max(lastMonth, ...keys);
+    if (!cohortMap.has(firstSeen)) cohortMap.set(firstSeen, []);
+    cohortMap.get(firstSeen).push(months);
+  });
+
+  const cohorts = Array.from(cohortMap.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([firstSeen, members]) => {
+      const start = fromMonthIndex(firstSeen);
+      return {
+        cohort: format(start),
+        startDate: toDateString(start),
+        size: members.length,
+        retention: Array.from(
+          { length: lastMonth - firstSeen + 1 },
+          (_, offset) => {
+            let active = 0;
+            let units = 0;
+            members.forEach((months) => {
+              const entry = months.get(firstSeen + offset);
+              if (!entry) return;
+              active++;
+              units += entry.units;
+            });
+            return {
+              offset,
+              active,
+              rate: parseFloat(((active / members.length) * 100).toFixed(1)),
+              units,
+            };
+          }
+        ),
+      };
+    });
+
+  return {
+    offsets: Array.from(
+      { length: cohorts[0].retention.length },
+      (_, offset) => offset
+    ),
+    cohorts,
+  };
+};
+
+/**
+ * Consignors whose volume in the reference month (the last complete one)
+ * fell by at least `dropThreshold`% against their average over the
+ * `trailingMonths` before it. Status is "lapsed" when they did not indent
+ * at all, otherwise "declining"; the largest loss of volume comes first.
+ */
+export const findAtRiskConsignors = (
+  data,
+  { basis = "units", ...config } = {}
+) => {
+  const { trailingMonths, dropThreshold, minTrailingVolume } = {
+    ...RETENTION_CONFIG,
+    ...config,
+  };
+  const referenceMonth = getReferenceMonth(data);
+  if (referenceMonth === null) return { referenceMonth: null, consignors: [] };
+
+  const consignors = [];
+  getConsignorActivity(data, basis).forEach((months, name) => {
+    let trailingTotal = 0;
+    for (let offset = 1; offset <= trailingMonths; offset++) {
+      trailingTotal += months.get(referenceMonth - offset)?.units || 0;
+    }
+    const trailingAverage = trailingTotal / trailingMonths;
+    if (trailingAverage < minTrailingVolume) return;
+
+    const recent = months.get(referenceMonth)?.units || 0;
+    const changePct = ((recent - trailingAverage) / trailingAverage) * 100;
+    if (-changePct < dropThreshold) return;
+
+    const active = [...months.keys()].filter(
+      (month) => month <= referenceMonth
+    );
+    consignors.push({
+      name,
+      firstSeen: format(fromMonthIndex(Math.min(...active))),
+      lastActive: format(fromMonthIndex(Math.max(...active))),
+      trailingAverage: parseFloat(trailingAverage.toFixed(1)),
+      recent,
+      lost: parseFloat((trailingAverage - recent).toFixed(1)),
+      changePct: parseFloat(changePct.toFixed(1)),
+      status: recent === 0 ? "lapsed" : "declining",
+    });
+  });
+
+  return {
+    referenceMonth: format(fromMonthIndex(referenceMonth)),
+    consignors: consignors.sort((a, b) => b.lost - a.lost),
+  };
+};
@@ -3,24 +3,42 @@
  * Optimized functions for processing large railway datasets
  */
 
+/**
+ * Unit bases for every unit total: raw rake units or 8-wheeler equivalents
+ */
+export const UNIT_BASES = {
+  units: { label: "Units", shortLabel: "units" },
+  "8w": { label: "8W Equivalent", shortLabel: "8W" },
+};
+
+/**
+ * Short month names, indexed by Date.getMonth()
+ */
+export const MONTH_LABELS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Indented quantity of a processed record in the given unit basis
+ */
+export const getUnits = (record, basis = "units") =>
+  (basis === "8w" ? record.rake8w : record.rakeUnits) || 0;
+
 /**
  * Aggregate data by month
  */
-export const aggregateByMonth = (data) => {
-  const monthNames = [
-    "Jan",
-    "Feb",
-    "Mar",
-    "Apr",
-    "May",
-    "Jun",
-    "Jul",
-    "Aug",
-    "Sep",
-    "Oct",
-    "Nov",
-    "Dec",
-  ];
+export const aggregateByMonth = (data, basis = "units") => {
   const monthMap = new Map();
 
   data.forEach((record) => {
@@ -28,7 +46,7 @@ export const aggregateByMonth = (data) => {
       const key = `${record.year}-${record.month}`;
       if (!monthMap.has(key)) {
         monthMap.set(key, {
-          month: monthNames[record.month],
+          month: MONTH_LABELS[record.month],
           year: record.year,
           monthNum: record.month,
           demands: 0,
@@ -37,7 +55,7 @@ export const aggregateByMonth = (data) => {
       }
       const entry = monthMap.get(key);
       entry.demands++;
-      entry.units += record.rakeUnits || 0;
+      entry.units += getUnits(record, basis);
     }
   });
 
@@ -48,13 +66,193 @@ export const aggregateByMonth = (data) => {
 };
 
 /**
- * Aggregate data by commodity
+ * Financial year label, e.g. "FY25-26" for April 2025 to March 2026
+ */
+const getFinancialYearLabel = (fyStartYear) =>
+  `FY${String(fyStartYear % 100).padStart(2, "0")}-${String(
+    (fyStartYear + 1) % 100
+  ).padStart(2, "0")}`;
+
+/**
+ * ISO 8601 week-numbering year and week of a date (weeks start on Monday,
+ * week 1 contains the year's first Thursday)
  */
-export const aggregateByCommodity = (data) => {
+export const getIsoWeek = (date) => {
+  const thursday = new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + 3 - ((date.getDay() + 6) % 7)
+  );
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  const week =
+    1 +
+    Math.round(
+      ((thursday - firstThursday) / 86400000 -
+        3 +
+        ((firstThursday.getDay() + 6) % 7)) /
+        7
+    );
+  return { year: thursday.getFullYear(), week };
+};
+
+/**
+ * Time granularities for the trend charts. Each gives the start of the
+ * period containing a date, the start of the next period and its label.
+ * Quarters and years follow the Indian financial year, April to March.
+ */
+export const TIME_GRANULARITIES = {
+  day: {
+    label: "Daily",
+    start: (date) =>
+      new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+    next: (start) =>
+      new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1),
+    format: (start) =>
+      `${start.getDate()} ${MONTH_LABELS[start.getMonth()]} ${start.getFullYear()}`,
+  },
+  week: {
+    label: "Weekly",
+    start: (date) =>
+      new Date(
+        date.getFullYear(),
+        date.getMonth(),
+        date.getDate() - ((date.getDay() + 6) % 7)
+      ),
+    next: (start) =>
+      new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7),
+    format: (start) => {
+      const { year, week } = getIsoWeek(start);
+      return `${year}-W${String(week).padStart(2, "0")}`;
+    },
+  },
+  month: {
+    label: "Monthly",
+    start: (date) => new Date(date.getFullYear(), date.getMonth(), 1),
+    next: (start) => new Date(start.getFullYear(), start.getMonth() + 1, 1),
+    format: (start) =>
+      `${MONTH_LABELS[start.getMonth()]} ${start.getFullYear()}`,
+  },
+  quarter: {
+    label: "FY Quarter",
+    start: (date) =>
+      new Date(date.getFullYear(), date.getMonth() - (date.getMonth() % 3), 1),
+    next: (start) => new Date(start.getFullYear(), start.getMonth() + 3, 1),
+    format: (start) => {
+      const fyStart = getFinancialYearStart(start);
+      const quarter = ((start.getMonth() + 9) % 12) / 3 + 1;
+      return `Q${quarter} ${getFinancialYearLabel(fyStart.getFullYear())}`;
+    },
+  },
+  fy: {
+    label: "Financial Year",
+    start: (date) => getFinancialYearStart(date),
+    next: (start) => new Date(start.getFullYear() + 1, 3, 1),
+    format: (start) => getFinancialYearLabel(start.getFullYear()),
+  },
+};
+
+/**
+ * Aggregate demands and units into periods of the given granularity.
+ * Every period between the first and last demand (or across `range`, a
+ * { startDate, endDate } date-string pair, when given) is returned,
+ * including empty ones, so gaps show as zero on the trend charts.
+ */
+export const aggregateByPeriod = (
+  data,
+  granularity = "month",
+  basis = "units",
+  range = null
+) => {
+  const { start, next, format } = TIME_GRANULARITIES[granularity];
+  const periodMap = new Map();
+
+  data.forEach((record) => {
+    if (!record.demandDateObj) return;
+    const key = start(record.demandDateObj).getTime();
+    if (!periodMap.has(key)) {
+      periodMap.set(key, { demands: 0, units: 0 });
+    }
+    const entry = periodMap.get(key);
+    entry.demands++;
+    entry.units += getUnits(record, basis);
+  });
+
+  const keys = [...periodMap.keys()];
+  const first = range?.startDate
+    ? start(fromDateString(range.startDate)).getTime()
+    : Math.min(...keys);
+  const last = range?.endDate
+    ? start(fromDateString(range.endDate)).getTime()
+    : Math.max(...keys);
+  if (!Number.isFinite(first) || !Number.isFinite(last)) return [];
+
+  const periods = [];
+  for (
+    let periodStart = new Date(first);
+    periodStart.getTime() <= last;
+    periodStart = next(periodStart)
+  ) {
+    const entry = periodMap.get(periodStart.getTime()) || {
+      demands: 0,
+      units: 0,
+    };
+    periods.push({
+      period: format(periodStart),
+      startDate: toDateString(periodStart),
+      demands: entry.demands,
+      units: entry.units,
+    });
+  }
+
+  return periods;
+};
+
+/**
+ * Levels of the commodity taxonomy, coarsest first, each with the levels
+ * it rolls up to and drills down to
+ */
+export const COMMODITY_LEVELS = {
+  family: { label: "Family", coarser: null, finer: "group" },
+  group: { label: "Group", coarser: "family", finer: "code" },
+  code: { label: "Code", coarser: "group", finer: null },
+};
+
+/**
+ * Commodity of a record at a taxonomy level. The raw code is cmdt, or
+ * rakecmdt when cmdt is blank; group and family come from the taxonomy
+ * entry of cmdt or else rakecmdt, so synonyms and sub-grades land together.
+ * Records without a code are "Unknown"; codes missing from the taxonomy
+ * are "Unmapped" above code level.
+ */
+export const getCommodityKey = (
+  record,
+  level = "code",
+  reference = EMPTY_REFERENCE
+) => {
+  const code = record.cmdt || record.rakecmdt;
+  if (!code) return "Unknown";
+  if (level === "code") return code;
+
+  const entry =
+    reference.commodities.get(record.cmdt) ||
+    reference.commodities.get(record.rakecmdt);
+  return entry?.[level] || "Unmapped";
+};
+
+/**
+ * Aggregate data by commodity, at code level or rolled up to the group or
+ * family of a commodity taxonomy
+ */
+export const aggregateByCommodity = (
+  data,
+  basis = "units",
+  level = "code",
+  reference = EMPTY_REFERENCE
+) => {
   const commodityMap = new Map();
 
   data.forEach((record) => {
-    const commodity = record.cmdt || record.rakecmdt || "Unknown";
+    const commodity = getCommodityKey(record, level, reference);
     if (!commodityMap.has(commodity)) {
       commodityMap.set(commodity, {
         name: commodity,
@@ -64,7 +262,7 @@ export const aggregateByCommodity = (data) => {
     }
     const entry = commodityMap.get(commodity);
     entry.value++;
-    entry.units += record.rakeUnits || 0;
+    entry.units += getUnits(record, basis);
   });
 
   return Array.from(commodityMap.values()).sort((a, b) => b.value - a.value);
@@ -73,7 +271,7 @@ export const aggregateByCommodity = (data) => {
 /**
  * Get top consignors
  */
-export const getTopConsignors = (data, limit = 10) => {
+export const getTopConsignors = (data, limit = 10, basis = "units") => {
   const consignorMap = new Map();
 
   data.forEach((record) => {
@@ -87,7 +285,7 @@ export const getTopConsignors = (data, limit = 10) => {
     }
     const entry = consignorMap.get(consignor);
     entry.orders++;
-    entry.units += record.rakeUnits || 0;
+    entry.units += getUnits(record, basis);
   });
 
   return Array.from(consignorMap.values())
@@ -98,7 +296,7 @@ export const getTopConsignors = (data, limit = 10) => {
 /**
  * Get top destinations
  */
-export const getTopDestinations = (data, limit = 10) => {
+export const getTopDestinations = (data, limit = 10, basis = "units") => {
   const destinationMap = new Map();
 
   data.forEach((record) => {
@@ -112,7 +310,7 @@ export const getTopDestinations = (data, limit = 10) => {
     }
     const entry = destinationMap.get(destination);
     entry.shipments++;
-    entry.units += record.rakeUnits || 0;
+    entry.units += getUnits(record, basis);
   });
 
   return Array.from(destinationMap.values())
@@ -123,7 +321,7 @@ export const getTopDestinations = (data, limit = 10) => {
 /**
  * Aggregate by zone
  */
-export const aggregateByZone = (data) => {
+export const aggregateByZone = (data, basis = "units") => {
   const zoneMap = new Map();
 
   data.forEach((record) => {
@@ -137,7 +335,7 @@ export const aggregateByZone = (data) => {
     }
     const entry = zoneMap.get(zone);
     entry.orders++;
-    entry.units += record.rakeUnits || 0;
+    entry.units += getUnits(record, basis);
   });
 
   return Array.from(zoneMap.values()).sort((a, b) => b.orders - a.orders);
@@ -146,7 +344,7 @@ export const aggregateByZone = (data) => {
 /**
  * Aggregate by rake type
  */
-export const aggregateByRakeType = (data, limit = 10) => {
+export const aggregateByRakeType = (data, limit = 10, basis = "units") => {
   const rakeTypeMap = new Map();
 
   data.forEach((record) => {
@@ -159,7 +357,7 @@ export const aggregateByRakeType = (data, limit = 10) => {
       });
     }
     const entry = rakeTypeMap.get(rakeType);
-    entry.units += record.rakeUnits || 0;
+    entry.units += getUnits(record, basis);
     entry.count++;
   });
 
@@ -171,7 +369,7 @@ export const aggregateByRakeType = (data, limit = 10) => {
 /**
  * Aggregate by division
  */
-export const aggregateByDivision = (data) => {
+export const aggregateByDivision = (data, basis = "units") => {
   const divisionMap = new Map();
 
   data.forEach((record) => {
@@ -186,7 +384,7 @@ export const aggregateByDivision = (data) => {
     }
     const entry = divisionMap.get(division);
     entry.orders++;
-    entry.totalUnits += record.rakeUnits || 0;
+    entry.totalUnits += getUnits(record, basis);
   });
 
   const result = Array.from(divisionMap.values());
@@ -201,7 +399,7 @@ export const aggregateByDivision = (data) => {
 /**
  * Get consignee analysis
  */
-export const getConsigneeAnalysis = (data, limit = 10) => {
+export const getConsigneeAnalysis = (data, limit = 10, basis = "units") => {
   const consigneeMap = new Map();
 
   data.forEach((record) => {
@@ -215,7 +413,7 @@ export const getConsigneeAnalysis = (data, limit = 10) => {
     }
     const entry = consigneeMap.get(consignee);
     entry.orders++;
-    entry.units += record.rakeUnits || 0;
+    entry.units += getUnits(record, basis);
   });
 
   return Array.from(consigneeMap.values())
@@ -226,7 +424,7 @@ export const getConsigneeAnalysis = (data, limit = 10) => {
 /**
  * Get query type distribution
  */
-export const getQueryTypeDistribution = (data) => {
+export const getQueryTypeDistribution = (data, basis = "units") => {
   const queryTypeMap = new Map();
 
   data.forEach((record) => {
@@ -240,7 +438,7 @@ export const getQueryTypeDistribution = (data) => {
     }
     const entry = queryTypeMap.get(queryType);
     entry.count++;
-    entry.units += record.rakeUnits || 0;
+    entry.units += getUnits(record, basis);
   });
 
   return Array.from(queryTypeMap.values()).sort((a, b) => b.count - a.count);
@@ -297,10 +495,10 @@ export const getPriorityDistribution = (data) => {
 /**
  * Calculate summary statistics
  */
-export const calculateSummaryStats = (data) => {
+export const calculateSummaryStats = (data, basis = "units") => {
   const totalOrders = data.length;
   const totalUnits = data.reduce(
-    (sum, record) => sum + (record.rakeUnits || 0),
+    (sum, record) => sum + getUnits(record, basis),
     0
   );
   const avgUnitsPerOrder =
@@ -326,6 +524,31 @@ export const calculateSummaryStats = (data) => {
   };
 };
 
+/**
+ * Apply the dashboard's zone, query type and commodity filters
+ * ("ALL" keeps every record). The commodity is a code, or a group or
+ * family of the taxonomy in `reference` when `commodityLevel` says so.
+ */
+export const filterRecords = (
+  data,
+  {
+    zone = "ALL",
+    queryType = "ALL",
+    commodity = "ALL",
+    commodityLevel = "code",
+    reference,
+  } = {}
+) =>
+  data.filter(
+    (d) =>
+      (zone === "ALL" || d.zone === zone) &&
+      (queryType === "ALL" || d.qry === queryType) &&
+      (commodity === "ALL" ||
+        (commodityLevel === "code"
+          ? d.cmdt === commodity || d.rakecmdt === commodity
+          : getCommodityKey(d, commodityLevel, reference) === commodity))
+  );
+
 /**
  * Filter data by date range
  */
@@ -344,10 +567,111 @@ export const filterByDateRange = (data, startDate, endDate) => {
   });
 };
 
+/**
+ * Date range presets for the filter bar. Quarters and financial years follow
+ * the Indian financial year, April to March.
+ */
+export const DATE_RANGE_PRESETS = [
+  { key: "ALL", label: "All Dates" },
+  { key: "last7", label: "Last 7 Days" },
+  { key: "last30", label: "Last 30 Days" },
+  { key: "last90", label: "Last 90 Days" },
+  { key: "thisMonth", label: "This Month" },
+  { key: "thisQuarter", label: "This Quarter" },
+  { key: "thisFY", label: "This Financial Year" },
+  { key: "custom", label: "Custom Range" },
+];
+
+/**
+ * Format a date as YYYY-MM-DD in local time, the format of date inputs and
+ * of the startDate / endDate server filters
+ */
+export const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+    date.getDate()
+  ).padStart(2, "0")}`;
+
+/**
+ * Parse a YYYY-MM-DD date string as local midnight
+ */
+export const fromDateString = (dateString) => {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Calendar day of a Demand_Date as local midnight, the form every period,
+ * month and age bucket uses on both client and server. Demand_Date has no
+ * time part and is serialized as UTC midnight, so its UTC day is the
+ * calendar day.
+ */
+export const toDemandDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+/**
+ * First day of the financial year (1 April) containing the date
+ */
+export const getFinancialYearStart = (date) =>
+  new Date(
+    date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1,
+    3,
+    1
+  );
+
+/**
+ * Resolve a DATE_RANGE_PRESETS key to { startDate, endDate } as of the
+ * reference date. "ALL" and "custom" resolve to an open range.
+ */
+export const getDateRangeForPreset = (preset, referenceDate = new Date()) => {
+  const today = new Date(
+    referenceDate.getFullYear(),
+    referenceDate.getMonth(),
+    referenceDate.getDate()
+  );
+  const daysAgo = (days) =>
+    new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+  const range = (start, end) => ({
+    startDate: toDateString(start),
+    endDate: toDateString(end),
+  });
+
+  switch (preset) {
+    case "last7":
+      return range(daysAgo(6), today);
+    case "last30":
+      return range(daysAgo(29), today);
+    case "last90":
+      return range(daysAgo(89), today);
+    case "thisMonth":
+      return range(
+        new Date(today.getFullYear(), today.getMonth(), 1),
+        new Date(today.getFullYear(), today.getMonth() + 1, 0)
+      );
+    case "thisQuarter": {
+      // Financial quarters start in April, July, October and January
+      const quarterStart = today.getMonth() - (today.getMonth() % 3);
+      return range(
+        new Date(today.getFullYear(), quarterStart, 1),
+        new Date(today.getFullYear(), quarterStart + 3, 0)
+      );
+    }
+    case "thisFY": {
+      const fyStart = getFinancialYearStart(today);
+      return range(fyStart, new Date(fyStart.getFullYear() + 1, 2, 31));
+    }
+    default:
+      return { startDate: "", endDate: "" };
+  }
+};
+
 /**
  * Get route analysis (origin to destination)
  */
-export const getRouteAnalysis = (data, limit = 15) => {
+export const getRouteAnalysis = (data, limit = 15, basis = "units") => {
   const routeMap = new Map();
 
   data.forEach((record) => {
@@ -366,7 +690,7 @@ export const getRouteAnalysis = (data, limit = 15) => {
     }
     const entry = routeMap.get(route);
     entry.shipments++;
-    entry.units += record.rakeUnits || 0;
+    entry.units += getUnits(record, basis);
   });
 
   return Array.from(routeMap.values())
@@ -374,6 +698,1137 @@ export const getRouteAnalysis = (data, limit = 15) => {
     .slice(0, limit);
 };
 
+/**
+ * Levels of the origin-destination matrix
+ */
+export const OD_LEVELS = {
+  station: { label: "Station" },
+  division: { label: "Division" },
+  zone: { label: "Zone" },
+};
+
+/**
+ * Division and zone of each station, from the station master when one is
+ * given and otherwise learned from the rows it is the origin of. Records
+ * only carry the destination station, so this is how a destination is
+ * placed in a division or zone.
+ */
+export const buildStationLookup = (data, reference) => {
+  const lookup = new Map();
+
+  reference?.stations.forEach((station, code) => {
+    lookup.set(code, {
+      division: station.division || "Unknown",
+      zone: station.zone || "Unknown",
+    });
+  });
+  data.forEach((record) => {
+    if (!record.sttnfrom || lookup.has(record.sttnfrom)) return;
+    lookup.set(record.sttnfrom, {
+      division: record.dvsn || "Unknown",
+      zone: record.zone || "Unknown",
+    });
+  });
+
+  return lookup;
+};
+
+/**
+ * Origin and destination of a record at the given level
+ */
+export const getOriginDestination = (record, level, lookup) => {
+  const origin = record.sttnfrom || "Unknown";
+  const destination = record.dstn || "Unknown";
+
+  if (level === "station") return { origin, destination };
+  return {
+    origin:
+      (level === "zone" ? record.zone : record.dvsn) ||
+      lookup.get(origin)?.[level] ||
+      "Unknown",
+    destination: lookup.get(destination)?.[level] || "Unknown",
+  };
+};
+
+/**
+ * Full origin-destination matrix at station, division or zone level.
+ * Returns { origins, destinations, cells, total }: row and column totals
+ * (largest first) and one cell per origin-destination pair, each with
+ * shipments and units.
+ */
+export const getOriginDestinationMatrix = (
+  data,
+  level = "station",
+  basis = "units",
+  lookup = buildStationLookup(data)
+) => {
+  const origins = new Map();
+  const destinations = new Map();
+  const cells = new Map();
+  const total = { shipments: 0, units: 0 };
+
+  const add = (map, key, fields, units) => {
+    if (!map.has(key)) map.set(key, { ...fields, shipments: 0, units: 0 });
+    const entry = map.get(key);
+    entry.shipments++;
+    entry.units += units;
+  };
+
+  data.forEach((record) => {
+    const { origin, destination } = getOriginDestination(record, level, lookup);
+    const units = getUnits(record, basis);
+
+    add(origins, origin, { name: origin }, units);
+    add(destinations, destination, { name: destination }, units);
+    add(cells, `${origin} → ${destination}`, { origin, destination }, units);
+    total.shipments++;
+    total.units += units;
+  });
+
+  const byVolume = (a, b) => b.units - a.units || b.shipments - a.shipments;
+  return {
+    origins: Array.from(origins.values()).sort(byVolume),
+    destinations: Array.from(destinations.values()).sort(byVolume),
+    cells: Array.from(cells.values()),
+    total,
+  };
+};
+
+/**
+ * Station, division and zone master tables and the commodity taxonomy
+ * keyed by code, as { stations, divisions, zones, commodities } Maps of
+ * their rows
+ */
+export const buildReferenceLookup = ({
+  stations = [],
+  divisions = [],
+  zones = [],
+  commodities = [],
+} = {}) => {
+  const byCode = (rows) => new Map(rows.map((row) => [row.code, row]));
+  return {
+    stations: byCode(stations),
+    divisions: byCode(divisions),
+    zones: byCode(zones),
+    commodities: byCode(commodities),
+  };
+};
+
+// Lookup for callers without a reference master, built once rather than
+// on every per-record call
+const EMPTY_REFERENCE = buildReferenceLookup();
+
+/**
+ * Label formatters over a reference lookup (returned with them). Codes
+ * found in the master read "Name (CODE)"; unknown codes are shown as they
+ * are. `forDimension` picks
+ * the formatter for a dimension key and leaves other dimensions unchanged.
+ */
+export const createReferenceLabels = (lookup = EMPTY_REFERENCE) => {
+  const label = (table) => (code) => {
+    const name = lookup[table].get(code)?.name;
+    return name && name !== code ? `${name} (${code})` : code;
+  };
+  const station = label("stations");
+  const division = label("divisions");
+  const zone = label("zones");
+  const commodity = label("commodities");
+  const route = (value) =>
+    typeof value === "string"
+      ? value.split(" → ").map(station).join(" → ")
+      : value;
+  const byDimension = {
+    station,
+    origin: station,
+    destination: station,
+    division,
+    zone,
+    commodity,
+    route,
+  };
+
+  return {
+    lookup,
+    station,
+    division,
+    zone,
+    commodity,
+    route,
+    forDimension: (dimension) => byDimension[dimension] || ((value) => value),
+  };
+};
+
+/**
+ * How a record's division and zone contradict the master: the division
+ * its origin station belongs to, and the zone of that station and of the
+ * record's own division. Returns [] when it agrees or cannot be checked.
+ */
+export const getReferenceIssues = (record, lookup) => {
+  const issues = [];
+  const station = lookup.stations.get(record.sttnfrom);
+  const division = lookup.divisions.get(record.dvsn);
+
+  if (station?.division && record.dvsn && record.dvsn !== station.division) {
+    issues.push(
+      `Division ${record.dvsn} but ${record.sttnfrom} is in ${station.division}`
+    );
+  }
+  if (station?.zone && record.zone && record.zone !== station.zone) {
+    issues.push(
+      `Zone ${record.zone} but ${record.sttnfrom} is in ${station.zone}`
+    );
+  } else if (division?.zone && record.zone && record.zone !== division.zone) {
+    issues.push(
+      `Zone ${record.zone} but division ${record.dvsn} is in ${division.zone}`
+    );
+  }
+
+  return issues;
+};
+
+/**
+ * Check every record against the master. Returns { checked, consistent,
+ * unknownStations, mismatches }: records whose origin station is in the
+ * master, how many of them agree, origin codes missing from it, and the
+ * contradicting records with the division and zone the master expects.
+ */
+export const findReferenceMismatches = (data, lookup) => {
+  const unknownStations = new Set();
+  const mismatches = [];
+  let checked = 0;
+
+  data.forEach((record) => {
+    const station = lookup.stations.get(record.sttnfrom);
+    if (!station) {
+      if (record.sttnfrom) unknownStations.add(record.sttnfrom);
+      return;
+    }
+    checked++;
+
+    const issues = getReferenceIssues(record, lookup);
+    if (issues.length === 0) return;
+    mismatches.push({
+      dmndno: record.dmndno,
+      qry: record.qry,
+      sttnfrom: record.sttnfrom,
+      dvsn: record.dvsn,
+      zone: record.zone,
+      expectedDivision: station.division,
+      expectedZone: station.zone,
+      issues,
+    });
+  });
+
+  return {
+    checked,
+    consistent: checked - mismatches.length,
+    unknownStations: [...unknownStations].sort(),
+    mismatches,
+  };
+};
+
+/**
+ * The key one level up the commodity taxonomy: the group of a code or the
+ * family of a group (null at family level or when it is not in the
+ * taxonomy)
+ */
+export const getCommodityParent = (key, level, reference) => {
+  const { coarser } = COMMODITY_LEVELS[level];
+  if (!coarser) return null;
+  if (level === "code") return reference.commodities.get(key)?.group || null;
+
+  for (const entry of reference.commodities.values()) {
+    if (entry[level] === key) return entry[coarser] || null;
+  }
+  return null;
+};
+
+/**
+ * Commodity codes in the data that the taxonomy does not map, with their
+ * record count and volume, largest first
+ */
+export const findUnmappedCommodities = (data, reference, basis = "units") => {
+  const unmapped = new Map();
+
+  data.forEach((record) => {
+    if (getCommodityKey(record, "group", reference) !== "Unmapped") return;
+    const code = getCommodityKey(record, "code", reference);
+    if (!unmapped.has(code)) unmapped.set(code, { code, records: 0, units: 0 });
+    const entry = unmapped.get(code);
+    entry.records++;
+    entry.units += getUnits(record, basis);
+  });
+
+  return Array.from(unmapped.values()).sort(
+    (a, b) => b.records - a.records || a.code.localeCompare(b.code)
+  );
+};
+
+/**
+ * Demand timestamp: demand date plus demand time when known (or null).
+ * An instant in the same UTC-labelled wall-clock form as spldtime, so lags
+ * and the sync watermark compare like with like; bucket by toDemandDate.
+ */
+export const getDemandTimestamp = (record) => {
+  if (!record.dmnddate) return null;
+
+  const demanded = new Date(record.dmnddate);
+  if (record.dmndtime) {
+    const [hours, minutes] = String(record.dmndtime).split(":");
+    demanded.setUTCHours(parseInt(hours, 10) || 0, parseInt(minutes, 10) || 0);
+  }
+
+  return isNaN(demanded.getTime()) ? null : demanded;
+};
+
+/**
+ * Latest timestamp of a record: demand date + time, or the supplied /
+ * met-with time, whichever is later
+ */
+export const getRecordTimestamp = (record) => {
+  let latest = getDemandTimestamp(record);
+
+  if (record.spldtime) {
+    const supplied = new Date(record.spldtime);
+    if (!latest || supplied > latest) latest = supplied;
+  }
+
+  return latest && !isNaN(latest.getTime()) ? latest : null;
+};
+
+/**
+ * Sync watermark: the latest record timestamp as an ISO string (or null)
+ */
+export const getSyncWatermark = (data) => {
+  let watermark = null;
+
+  data.forEach((record) => {
+    const timestamp = getRecordTimestamp(record);
+    if (timestamp && (!watermark || timestamp > watermark)) {
+      watermark = timestamp;
+    }
+  });
+
+  return watermark ? watermark.toISOString() : null;
+};
+
+/**
+ * Merge a sync delta into records keyed by query type and demand number.
+ * Upserts replace or add rows; when odrIds (the ODR rows still
+ * outstanding) is given, held ODR rows missing from it are dropped.
+ */
+export const mergeSyncDelta = (data, upserts, odrIds = null) => {
+  const keyOf = (record) => `${record.qry}:${record.dmndno}`;
+  const outstanding = odrIds && new Set(odrIds);
+  const recordMap = new Map();
+  let added = 0;
+  let updated = 0;
+  let removed = 0;
+
+  data.forEach((record) => {
+    if (
+      outstanding &&
+      record.qry === "ODR_RK_OTSG" &&
+      !outstanding.has(record.dmndno)
+    ) {
+      removed++;
+      return;
+    }
+    recordMap.set(keyOf(record), record);
+  });
+
+  upserts.forEach((record) => {
+    const key = keyOf(record);
+    if (recordMap.has(key)) {
+      updated++;
+    } else {
+      added++;
+    }
+    recordMap.set(key, record);
+  });
+
+  return { data: Array.from(recordMap.values()), added, updated, removed };
+};
+
+/**
+ * Join ODR and Matured Indents records by demand number into one lifecycle
+ * record per demand. A matured demand without an ODR row counts as fully
+ * supplied; supplyLagHours runs from demand to maturity (or, while still
+ * outstanding, to the last supply).
+ */
+export const buildDemandLifecycles = (data) => {
+  const demandMap = new Map();
+
+  data.forEach((record) => {
+    if (!record.dmndno) return;
+    if (!demandMap.has(record.dmndno)) {
+      demandMap.set(record.dmndno, { odr: null, matured: null });
+    }
+    const entry = demandMap.get(record.dmndno);
+    if (record.qry === "MATURED_INDENTS") {
+      entry.matured = record;
+    } else {
+      entry.odr = record;
+    }
+  });
+
+  return Array.from(demandMap.entries()).map(([dmndno, { odr, matured }]) => {
+    const base = odr || matured;
+    const demandedAt = getDemandTimestamp(matured || odr);
+    const maturedAt = matured?.spldtime ? new Date(matured.spldtime) : null;
+    const lastSuppliedAt = odr?.spldtime ? new Date(odr.spldtime) : null;
+    const suppliedAt = maturedAt || lastSuppliedAt;
+
+    const indentedUnits = parseInt(base.indtunit || 0, 10);
+    const suppliedUnits =
+      odr && odr.spldunit !== null && odr.spldunit !== undefined
+        ? parseInt(odr.spldunit || 0, 10)
+        : matured
+          ? indentedUnits
+          : 0;
+
+    return {
+      dmndno,
+      status: matured
+        ? "MATURED"
+        : suppliedUnits > 0
+          ? "PARTIALLY_SUPPLIED"
+          : "OUTSTANDING",
+      zone: base.zone || base.dvsn,
+      dvsn: base.dvsn,
+      sttnfrom: base.sttnfrom,
+      dstn: base.dstn,
+      csnr: base.csnr,
+      cnsg: base.cnsg,
+      cmdt: base.cmdt || base.rakecmdt,
+      indttype: base.indttype,
+      inOdr: Boolean(odr),
+      demandedAt,
+      maturedAt,
+      lastSuppliedAt,
+      indentedUnits,
+      indented8w: parseInt(base.indt8w || 0, 10),
+      outstandingUnits: odr ? parseInt(odr.ostgunit || 0, 10) : 0,
+      outstanding8w: odr ? parseInt(odr.ostg8w || 0, 10) : 0,
+      suppliedUnits,
+      supplyLagHours:
+        demandedAt && suppliedAt
+          ? parseFloat(((suppliedAt - demandedAt) / 3600000).toFixed(1))
+          : null,
+    };
+  });
+};
+
+/**
+ * Supply lag of a record in hours, from demand date/time to the supplied
+ * time (met-with time for matured indents). Null when not yet supplied.
+ */
+export const getSupplyLagHours = (record) => {
+  const demanded = getDemandTimestamp(record);
+  if (!demanded || !record.spldtime) return null;
+
+  const lag = (new Date(record.spldtime) - demanded) / 3600000;
+  return isNaN(lag) || lag < 0 ? null : lag;
+};
+
+/**
+ * Percentile (0-100) of an ascending array with linear interpolation
+ */
+export const calculatePercentile = (sortedValues, percentile) => {
+  if (sortedValues.length === 0) return null;
+
+  const rank = (percentile / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return (
+    sortedValues[lower] +
+    (sortedValues[upper] - sortedValues[lower]) * (rank - lower)
+  );
+};
+
+const roundHours = (hours) =>
+  hours === null ? null : parseFloat(hours.toFixed(1));
+
+const summarizeLags = (lags) => {
+  const sorted = [...lags].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, lag) => sum + lag, 0);
+
+  return {
+    count: sorted.length,
+    median: roundHours(calculatePercentile(sorted, 50)),
+    p90: roundHours(calculatePercentile(sorted, 90)),
+    max: roundHours(sorted.length > 0 ? sorted[sorted.length - 1] : null),
+    avg: roundHours(sorted.length > 0 ? total / sorted.length : null),
+  };
+};
+
+/**
+ * Lead-time summary in hours: { count, median, p90, max, avg }
+ */
+export const calculateLeadTimeStats = (data) =>
+  summarizeLags(data.map(getSupplyLagHours).filter((lag) => lag !== null));
+
+/**
+ * Commodity dimension key at the level and taxonomy of `options`
+ * ({ commodityLevel, reference }), shared by the dimension maps below
+ */
+const commodityDimension = (record, { commodityLevel, reference } = {}) =>
+  getCommodityKey(record, commodityLevel, reference);
+
+const LEAD_TIME_DIMENSIONS = {
+  zone: (record) => record.zone || "Unknown",
+  division: (record) => record.dvsn || "Unknown",
+  commodity: commodityDimension,
+  "rake-type": (record) => record.indttype || "Unknown",
+  route: (record) =>
+    `${record.sttnfrom || "Unknown"} → ${record.dstn || "Unknown"}`,
+};
+
+/**
+ * Lead-time stats by zone, division, commodity, rake-type or route,
+ * slowest (highest p90) first. Commodities are keyed at
+ * options.commodityLevel of options.reference.
+ */
+export const aggregateLeadTimeBy = (
+  data,
+  dimension,
+  limit = 15,
+  options = {}
+) => {
+  const getKey = LEAD_TIME_DIMENSIONS[dimension];
+  const lagMap = new Map();
+
+  data.forEach((record) => {
+    const lag = getSupplyLagHours(record);
+    if (lag === null) return;
+
+    const key = getKey(record, options);
+    if (!lagMap.has(key)) lagMap.set(key, []);
+    lagMap.get(key).push(lag);
+  });
+
+  return Array.from(lagMap.entries())
+    .map(([name, lags]) => ({ name, ...summarizeLags(lags) }))
+    .sort((a, b) => b.p90 - a.p90 || b.count - a.count)
+    .slice(0, limit);
+};
+
+/**
+ * Lead-time distribution in day buckets
+ */
+export const getLeadTimeDistribution = (data) => {
+  const buckets = [
+    { bucket: "< 1 day", maxHours: 24, count: 0 },
+    { bucket: "1-2 days", maxHours: 48, count: 0 },
+    { bucket: "2-3 days", maxHours: 72, count: 0 },
+    { bucket: "3-5 days", maxHours: 120, count: 0 },
+    { bucket: "5-7 days", maxHours: 168, count: 0 },
+    { bucket: "> 7 days", maxHours: Infinity, count: 0 },
+  ];
+
+  data.forEach((record) => {
+    const lag = getSupplyLagHours(record);
+    if (lag !== null) {
+      buckets.find((entry) => lag < entry.maxHours).count++;
+    }
+  });
+
+  return buckets.map(({ bucket, count }) => ({ bucket, count }));
+};
+
+/**
+ * Monthly lead-time trend (median and p90 by demand month)
+ */
+export const getLeadTimeTrend = (data) => {
+  const monthMap = new Map();
+
+  data.forEach((record) => {
+    const lag = getSupplyLagHours(record);
+    if (lag === null || record.month === null) return;
+
+    const key = `${record.year}-${record.month}`;
+    if (!monthMap.has(key)) {
+      monthMap.set(key, {
+        month: `${MONTH_LABELS[record.month]} ${record.year}`,
+        year: record.year,
+        monthNum: record.month,
+        lags: [],
+      });
+    }
+    monthMap.get(key).lags.push(lag);
+  });
+
+  return Array.from(monthMap.values())
+    .sort((a, b) => a.year - b.year || a.monthNum - b.monthNum)
+    .map(({ lags, ...entry }) => {
+      const { count, median, p90 } = summarizeLags(lags);
+      return { ...entry, count, median, p90 };
+    });
+};
+
+/**
+ * Outstanding-indent aging buckets, by whole days since the demand date
+ */
+export const AGING_BUCKETS = [
+  { bucket: "0-2 days", maxDays: 2 },
+  { bucket: "3-7 days", maxDays: 7 },
+  { bucket: "8-15 days", maxDays: 15 },
+  { bucket: "> 15 days", maxDays: Infinity },
+];
+
+/**
+ * Whole calendar days from a record's demand date to the reference date
+ * (a Date, or a YYYY-MM-DD day in local time). Negative when the demand
+ * was raised after the reference date.
+ */
+export const getDemandAgeDays = (record, referenceDate = new Date()) => {
+  const demanded = toDemandDate(record.dmnddate);
+  const reference =
+    typeof referenceDate === "string" && !referenceDate.includes("T")
+      ? fromDateString(referenceDate)
+      : new Date(referenceDate);
+  if (!demanded || isNaN(reference.getTime())) return null;
+
+  const referenceDay = new Date(
+    reference.getFullYear(),
+    reference.getMonth(),
+    reference.getDate()
+  );
+  // Rounded, as a day across a DST change is not 24 hours
+  return Math.round((referenceDay - demanded) / 86400000);
+};
+
+/**
+ * Outstanding quantity of a raw ODR row in the given unit basis. Rows
+ * without an outstanding count are treated as fully outstanding.
+ */
+const getOutstanding = (record, basis) => {
+  const [outstanding, indented] =
+    basis === "8w" ? ["ostg8w", "indt8w"] : ["ostgunit", "indtunit"];
+
+  return record[outstanding] === null || record[outstanding] === undefined
+    ? parseInt(record[indented] || 0, 10)
+    : parseInt(record[outstanding] || 0, 10);
+};
+
+/**
+ * Outstanding ODR demands as of the reference date with their age, bucket
+ * and outstanding quantity in the given unit basis
+ */
+const getAgedDemands = (data, referenceDate, basis = "units") =>
+  data.flatMap((record) => {
+    if (record.qry === "MATURED_INDENTS") return [];
+
+    const ageDays = getDemandAgeDays(record, referenceDate);
+    if (getOutstanding(record, "units") <= 0 || ageDays === null || ageDays < 0)
+      return [];
+
+    return [
+      {
+        dmndno: record.dmndno,
+        dvsn: record.dvsn,
+        sttnfrom: record.sttnfrom,
+        dstn: record.dstn,
+        csnr: record.csnr,
+        cmdt: record.cmdt || record.rakecmdt,
+        demandDate: toDemandDate(record.dmnddate),
+        ageDays,
+        outstanding: getOutstanding(record, basis),
+        bucket: AGING_BUCKETS.find((entry) => ageDays <= entry.maxDays).bucket,
+      },
+    ];
+  });
+
+/**
+ * Age outstanding ODR demands into AGING_BUCKETS as of the reference date.
+ * Each bucket lists its oldest demands so they can be chased.
+ */
+export const getAgingBuckets = (
+  data,
+  referenceDate = new Date(),
+  oldestLimit = 10,
+  basis = "units"
+) => {
+  const bucketMap = new Map(
+    AGING_BUCKETS.map(({ bucket }) => [
+      bucket,
+      { bucket, orders: 0, units: 0, demands: [] },
+    ])
+  );
+
+  getAgedDemands(data, referenceDate, basis).forEach((demand) => {
+    const entry = bucketMap.get(demand.bucket);
+    entry.orders++;
+    entry.units += demand.outstanding;
+    entry.demands.push(demand);
+  });
+
+  return Array.from(bucketMap.values()).map(({ demands, ...entry }) => ({
+    ...entry,
+    oldest: demands
+      .sort((a, b) => b.ageDays - a.ageDays || b.outstanding - a.outstanding)
+      .slice(0, oldestLimit),
+  }));
+};
+
+const AGING_DIMENSIONS = {
+  division: (demand) => demand.dvsn || "Unknown",
+  station: (demand) => demand.sttnfrom || "Unknown",
+  commodity: commodityDimension,
+};
+
+/**
+ * Aging bucket counts by division, station or commodity, with the most
+ * long-outstanding demands first. Commodities are keyed at
+ * options.commodityLevel of options.reference.
+ */
+export const aggregateAgingBy = (
+  data,
+  dimension,
+  referenceDate = new Date(),
+  limit = 15,
+  options = {}
+) => {
+  const getKey = AGING_DIMENSIONS[dimension];
+  const agingMap = new Map();
+
+  getAgedDemands(data, referenceDate).forEach((demand) => {
+    const key = getKey(demand, options);
+    if (!agingMap.has(key)) {
+      agingMap.set(key, {
+        name: key,
+        total: 0,
+        maxAgeDays: 0,
+        ...Object.fromEntries(AGING_BUCKETS.map(({ bucket }) => [bucket, 0])),
+      });
+    }
+    const entry = agingMap.get(key);
+    entry.total++;
+    entry[demand.bucket]++;
+    entry.maxAgeDays = Math.max(entry.maxAgeDays, demand.ageDays);
+  });
+
+  const oldestBucket = AGING_BUCKETS[AGING_BUCKETS.length - 1].bucket;
+  return Array.from(agingMap.values())
+    .sort(
+      (a, b) =>
+        b[oldestBucket] - a[oldestBucket] ||
+        b.maxAgeDays - a.maxAgeDays ||
+        b.total - a.total
+    )
+    .slice(0, limit);
+};
+
+/**
+ * Indented, outstanding and supplied quantity of a processed ODR record in
+ * units or 8-wheeler equivalents. FOIS has no supplied-8W column, so it is
+ * derived as indented minus outstanding.
+ */
+export const getSupplyQuantities = (record, basis = "units") => {
+  const indented = getUnits(record, basis);
+
+  if (basis === "8w") {
+    const outstanding = record.outstanding8w || 0;
+    return {
+      indented,
+      outstanding,
+      supplied: Math.max(indented - outstanding, 0),
+    };
+  }
+
+  return {
+    indented,
+    outstanding: record.outstandingUnits || 0,
+    supplied: record.suppliedUnits || 0,
+  };
+};
+
+const toSupplyRatios = (entry) => ({
+  ...entry,
+  fillRate:
+    entry.indented > 0
+      ? parseFloat(((entry.supplied / entry.indented) * 100).toFixed(1))
+      : 0,
+  backlogRatio:
+    entry.indented > 0
+      ? parseFloat(((entry.outstanding / entry.indented) * 100).toFixed(1))
+      : 0,
+});
+
+/**
+ * Supply fill rate (supplied / indented) and backlog ratio
+ * (outstanding / indented), as percentages, over ODR records
+ */
+export const calculateSupplyRatios = (data, basis = "units") => {
+  const totals = { orders: 0, indented: 0, outstanding: 0, supplied: 0 };
+
+  data.forEach((record) => {
+    if (record.qry === "MATURED_INDENTS") return;
+
+    const quantities = getSupplyQuantities(record, basis);
+    totals.orders++;
+    totals.indented += quantities.indented;
+    totals.outstanding += quantities.outstanding;
+    totals.supplied += quantities.supplied;
+  });
+
+  return toSupplyRatios(totals);
+};
+
+const SUPPLY_DIMENSIONS = {
+  zone: (record) => record.zone || "Unknown",
+  division: (record) => record.dvsn || "Unknown",
+  station: (record) => record.sttnfrom || "Unknown",
+  commodity: commodityDimension,
+};
+
+/**
+ * Supply ratios by zone, division, station or commodity, largest indented
+ * quantity first. Commodities are keyed at options.commodityLevel of
+ * options.reference.
+ */
+export const aggregateSupplyRatiosBy = (
+  data,
+  dimension,
+  basis = "units",
+  limit = 15,
+  options = {}
+) => {
+  const getKey = SUPPLY_DIMENSIONS[dimension];
+  const supplyMap = new Map();
+
+  data.forEach((record) => {
+    if (record.qry === "MATURED_INDENTS") return;
+
+    const key = getKey(record, options);
+    if (!supplyMap.has(key)) {
+      supplyMap.set(key, {
+        name: key,
+        orders: 0,
+        indented: 0,
+        outstanding: 0,
+        supplied: 0,
+      });
+    }
+    const entry = supplyMap.get(key);
+    const quantities = getSupplyQuantities(record, basis);
+    entry.orders++;
+    entry.indented += quantities.indented;
+    entry.outstanding += quantities.outstanding;
+    entry.supplied += quantities.supplied;
+  });
+
+  return Array.from(supplyMap.values())
+    .map(toSupplyRatios)
+    .sort((a, b) => b.indented - a.indented)
+    .slice(0, limit);
+};
+
+/**
+ * Dimensions concentration is measured over, and the groups it can be
+ * broken down by
+ */
+export const CONCENTRATION_DIMENSIONS = {
+  consignor: {
+    label: "Consignors",
+    getKey: (record) => record.csnr || "Unknown",
+  },
+  consignee: {
+    label: "Consignees",
+    getKey: (record) => record.cnsg || "Unknown",
+  },
+  destination: {
+    label: "Destinations",
+    getKey: (record) => record.dstn || "Unknown",
+  },
+  route: {
+    label: "Routes",
+    getKey: (record) =>
+      `${record.sttnfrom || "Unknown"} → ${record.dstn || "Unknown"}`,
+  },
+};
+
+export const CONCENTRATION_GROUPS = {
+  zone: { label: "Zone", getKey: (record) => record.zone || "Unknown" },
+  commodity: {
+    label: "Commodity",
+    getKey: commodityDimension,
+  },
+};
+
+/**
+ * Herfindahl-Hirschman index bands (US DOJ/FTC merger guidelines), on the
+ * 0-10,000 scale of squared percentage shares
+ */
+export const HHI_LEVELS = [
+  { level: "Unconcentrated", max: 1500 },
+  { level: "Moderately concentrated", max: 2500 },
+  { level: "Highly concentrated", max: Infinity },
+];
+
+export const getHhiLevel = (hhi) =>
+  HHI_LEVELS.find((entry) => hhi < entry.max).level;
+
+/**
+ * Concentration of volume across a dimension's entities: the Pareto curve
+ * (entities by volume with cumulative share), the share held by each top N,
+ * the number of entities that make up 80% of volume, and the HHI
+ */
+export const getConcentration = (
+  data,
+  dimension = "consignor",
+  basis = "units",
+  topN = [1, 3, 5, 10]
+) => {
+  const { getKey } = CONCENTRATION_DIMENSIONS[dimension];
+  const volumeMap = new Map();
+  let total = 0;
+
+  data.forEach((record) => {
+    const key = getKey(record);
+    const units = getUnits(record, basis);
+    volumeMap.set(key, (volumeMap.get(key) || 0) + units);
+    total += units;
+  });
+
+  const ranked = Array.from(volumeMap.entries()).sort((a, b) => b[1] - a[1]);
+  let cumulative = 0;
+  const pareto = ranked.map(([name, units], idx) => {
+    cumulative += units;
+    return {
+      rank: idx + 1,
+      name,
+      units,
+      share: total > 0 ? parseFloat(((units / total) * 100).toFixed(2)) : 0,
+      cumulativeShare:
+        total > 0 ? parseFloat(((cumulative / total) * 100).toFixed(2)) : 0,
+    };
+  });
+
+  const hhi =
+    total > 0
+      ? Math.round(
+          ranked.reduce(
+            (sum, [, units]) => sum + Math.pow((units / total) * 100, 2),
+            0
+          )
+        )
+      : 0;
+  const paretoEntry = pareto.find((entry) => entry.cumulativeShare >= 80);
+
+  return {
+    dimension,
+    total,
+    entities: ranked.length,
+    hhi,
+    level: getHhiLevel(hhi),
+    topShares: topN.map((n) => ({
+      n,
+      share: pareto[Math.min(n, pareto.length) - 1]?.cumulativeShare || 0,
+    })),
+    entitiesFor80: paretoEntry ? paretoEntry.rank : 0,
+    pareto,
+  };
+};
+
+/**
+ * Concentration of a dimension within each zone or commodity, most
+ * concentrated first (Pareto curves omitted). Commodities are keyed at
+ * options.commodityLevel of options.reference.
+ */
+export const getConcentrationBy = (
+  data,
+  dimension = "consignor",
+  groupBy = "zone",
+  basis = "units",
+  options = {}
+) => {
+  const { getKey } = CONCENTRATION_GROUPS[groupBy];
+  const groups = new Map();
+
+  data.forEach((record) => {
+    const key = getKey(record, options);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  return Array.from(groups.entries())
+    .map(([name, records]) => {
+      const { total, entities, hhi, level, topShares, entitiesFor80 } =
+        getConcentration(records, dimension, basis);
+      return { name, total, entities, hhi, level, topShares, entitiesFor80 };
+    })
+    .sort((a, b) => b.hhi - a.hhi || b.total - a.total);
+};
+
+/**
+ * HHI and top-entity share of a dimension per period of the given
+ * granularity. Periods without demand are skipped.
+ */
+export const getConcentrationTrend = (
+  data,
+  dimension = "consignor",
+  granularity = "month",
+  basis = "units"
+) => {
+  const { start, format } = TIME_GRANULARITIES[granularity];
+  const periodMap = new Map();
+
+  data.forEach((record) => {
+    if (!record.demandDateObj) return;
+    const key = start(record.demandDateObj).getTime();
+    if (!periodMap.has(key)) periodMap.set(key, []);
+    periodMap.get(key).push(record);
+  });
+
+  return Array.from(periodMap.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([key, records]) => {
+      const { hhi, entities, topShares } = getConcentration(
+        records,
+        dimension,
+        basis,
+        [1, 3]
+      );
+      return {
+        period: format(new Date(key)),
+        startDate: toDateString(new Date(key)),
+        hhi,
+        entities,
+        top1Share: topShares[0].share,
+        top3Share: topShares[1].share,
+      };
+    });
+};
+
+/**
+ * Baselines for compare mode
+ */
+export const COMPARE_MODES = {
+  previous: { label: "Previous Period" },
+  lastYear: { label: "Same Period Last Year" },
+};
+
+/**
+ * Baseline { startDate, endDate } for a date range: the equally long period
+ * just before it, or the same dates one year earlier. Ranges of whole
+ * months (a month, quarter or financial year) compare with the same number
+ * of whole months before them.
+ */
+export const getBaselineRange = ({ startDate, endDate }, mode = "previous") => {
+  const start = fromDateString(startDate);
+  const end = fromDateString(endDate);
+
+  if (mode === "lastYear") {
+    // Clamp 29 February to 28 February
+    const shift = (date) =>
+      new Date(
+        date.getFullYear() - 1,
+        date.getMonth(),
+        Math.min(
+          date.getDate(),
+          new Date(date.getFullYear() - 1, date.getMonth() + 1, 0).getDate()
+        )
+      );
+    return {
+      startDate: toDateString(shift(start)),
+      endDate: toDateString(shift(end)),
+    };
+  }
+
+  const isWholeMonths =
+    start.getDate() === 1 &&
+    new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1).getDate() ===
+      1;
+  if (isWholeMonths) {
+    const months =
+      (end.getFullYear() - start.getFullYear()) * 12 +
+      end.getMonth() -
+      start.getMonth() +
+      1;
+    return {
+      startDate: toDateString(
+        new Date(start.getFullYear(), start.getMonth() - months, 1)
+      ),
+      endDate: toDateString(new Date(start.getFullYear(), start.getMonth(), 0)),
+    };
+  }
+
+  const days = Math.round((end - start) / 86400000) + 1;
+  return {
+    startDate: toDateString(
+      new Date(start.getFullYear(), start.getMonth(), start.getDate() - days)
+    ),
+    endDate: toDateString(
+      new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)
+    ),
+  };
+};
+
+/**
+ * Absolute and percent change from a baseline value. changePct is null
+ * when the baseline is zero.
+ */
+export const calculateDelta = (current = 0, baseline = 0) => ({
+  current,
+  baseline,
+  change: parseFloat((current - baseline).toFixed(2)),
+  changePct:
+    baseline !== 0
+      ? parseFloat(
+          (((current - baseline) / Math.abs(baseline)) * 100).toFixed(1)
+        )
+      : null,
+});
+
+/**
+ * Deltas of every calculateSummaryStats figure against the baseline stats
+ */
+export const compareSummaryStats = (current, baseline) =>
+  Object.fromEntries(
+    Object.keys(current).map((key) => [
+      key,
+      calculateDelta(current[key], baseline[key]),
+    ])
+  );
+
+/**
+ * Join a current ranking with the baseline ranking on `keyField`, adding
+ * the baseline value, rank movement and delta of `valueField` to each
+ * entry. Pass the full baseline ranking so entries that dropped out of the
+ * baseline top-N are not reported as new.
+ */
+export const compareRankings = (current, baseline, keyField, valueField) => {
+  const baselineRanks = new Map(
+    baseline.map((entry, idx) => [entry[keyField], { entry, rank: idx + 1 }])
+  );
+
+  return current.map((entry, idx) => {
+    const previous = baselineRanks.get(entry[keyField]);
+    return {
+      ...entry,
+      rank: idx + 1,
+      baselineRank: previous ? previous.rank : null,
+      delta: calculateDelta(
+        entry[valueField],
+        previous ? previous.entry[valueField] : 0
+      ),
+    };
+  });
+};
+
+/**
+ * Overlay baseline periods on the current ones by position, adding
+ * baselinePeriod, baselineDemands and baselineUnits to each current period
+ */
+export const alignBaselineSeries = (current, baseline) =>
+  current.map((entry, idx) => ({
+    ...entry,
+    baselinePeriod: baseline[idx]?.period ?? null,
+    baselineDemands: baseline[idx]?.demands ?? 0,
+    baselineUnits: baseline[idx]?.units ?? 0,
+  }));
+
 /**
  * Chunk large array for processing
  */
@@ -0,0 +1,406 @@
+/**
+ * Demand Forecasting
+ * Holt-Winters, Holt and seasonal naive forecasts of the period series
+ * built by aggregateByPeriod, with confidence intervals and a holdout
+ * backtest. Runs entirely in the browser.
+ */
+
+import {
+  TIME_GRANULARITIES,
+  aggregateByPeriod,
+  getCommodityKey,
+  toDateString,
+  fromDateString,
+} from "./Dataprocessing.js";
+
+/**
+ * Season length and default forecast horizon per time granularity
+ */
+export const FORECAST_SETTINGS = {
+  day: { seasonLength: 7, horizon: 14 },
+  week: { seasonLength: 52, horizon: 8 },
+  month: { seasonLength: 12, horizon: 6 },
+  quarter: { seasonLength: 4, horizon: 4 },
+  fy: { seasonLength: 1, horizon: 2 },
+};
+
+export const FORECAST_MODELS = {
+  "holt-winters": { label: "Holt-Winters" },
+  holt: { label: "Holt (trend)" },
+  "seasonal-naive": { label: "Seasonal naive" },
+  naive: { label: "Naive" },
+};
+
+// Two-sided normal quantiles for the supported confidence levels
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const sumSquares = (residuals) =>
+  residuals.reduce((sum, value) => sum + value * value, 0);
+
+/**
+ * Additive Holt-Winters. Returns one-step-ahead residuals and a predict(h)
+ * function for h periods past the end of the series.
+ */
+const fitHoltWinters = (values, m, alpha, beta, gamma) => {
+  let level = mean(values.slice(0, m));
+  let trend = (mean(values.slice(m, 2 * m)) - level) / m;
+  const season = values.slice(0, m).map((value) => value - level);
+  const residuals = [];
+
+  for (let t = m; t < values.length; t++) {
+    const seasonal = season[t % m];
+    residuals.push(values[t] - (level + trend + seasonal));
+
+    const previousLevel = level;
+    level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    season[t % m] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+  }
+
+  return {
+    residuals,
+    predict: (h) => level + h * trend + season[(values.length + h - 1) % m],
+  };
+};
+
+/**
+ * Holt's linear trend (double exponential smoothing)
+ */
+const fitHolt = (values, alpha, beta) => {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  const residuals = [];
+
+  for (let t = 1; t < values.length; t++) {
+    residuals.push(values[t] - (level + trend));
+
+    const previousLevel = level;
+    level = alpha * values[t] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+
+  return { residuals, predict: (h) => level + h * trend };
+};
+
+/**
+ * Repeat the last season (or the last value when m is 1)
+ */
+const fitSeasonalNaive = (values, m) => ({
+  residuals: values.slice(m).map((value, idx) => value - values[idx]),
+  predict: (h) => values[values.length - m + ((h - 1) % m)],
+});
+
+/**
+ * Fit every model the series is long enough for, choosing smoothing
+ * parameters by in-sample squared error
+ */
+const candidateModels = (values, seasonLength) => {
+  const candidates = [];
+  const n = values.length;
+
+  if (seasonLength > 1 && n >= 2 * seasonLength + 2) {
+    let best = null;
+    SMOOTHING_GRID.forEach((alpha) =>
+      SMOOTHING_GRID.forEach((beta) =>
+        SMOOTHING_GRID.forEach((gamma) => {
+          const fit = fitHoltWinters(values, seasonLength, alpha, beta, gamma);
+          const sse = sumSquares(fit.residuals);
+          if (!best || sse < best.sse) {
+            best = { ...fit, sse, params: { alpha, beta, gamma } };
+          }
+        })
+      )
+    );
+    candidates.push({ model: "holt-winters", ...best });
+  }
+
+  if (n >= 4) {
+    let best = null;
+    SMOOTHING_GRID.forEach((alpha) =>
+      SMOOTHING_GRID.forEach((beta) => {
+        const fit = fitHolt(values, alpha, beta);
+        const sse = sumSquares(fit.residuals);
+        if (!best || sse < best.sse) {
+          best = { ...fit, sse, params: { alpha, beta } };
+        }
+      })
+    );
+    candidates.push({ model: "holt", ...best });
+  }
+
+  if (seasonLength > 1 && n > seasonLength) {
+    candidates.push({
+      model: "seasonal-naive",
+      params: { seasonLength },
+      ...fitSeasonalNaive(values, seasonLength),
+    });
+  }
+
+  if (n >= 2) {
+    candidates.push({
+      model: "naive",
+      params: {},
+      ...fitSeasonalNaive(values, 1),
+    });
+  }
+
+  return candidates;
+};
+
+/**
+ * Holdout backtest: fit on all but the last `horizon` values and compare
+ * the forecast with them. wape is the weighted absolute percentage error,
+ * sum(|error|) / sum(actual), which stays defined when periods are zero.
+ */
+const backtestModel = (values, seasonLength, model, horizon) => {
+  const training = values.slice(0, values.length - horizon);
+  const actual = values.slice(values.length - horizon);
+  const fit = candidateModels(training, seasonLength).find(
+    (candidate) => candidate.model === model
+  );
+  if (!fit) return null;
+
+  const errors = actual.map((value, idx) =>
+    Math.abs(value - Math.max(0, fit.predict(idx + 1)))
+  );
+  const totalActual = actual.reduce((sum, value) => sum + value, 0);
+
+  return {
+    horizon,
+    mae: parseFloat(mean(errors).toFixed(2)),
+    wape:
+      totalActual > 0
+        ? parseFloat(
+            (
+              (errors.reduce((sum, e) => sum + e, 0) / totalActual) *
+              100
+            ).toFixed(1)
+          )
+        : null,
+  };
+};
+
+/**
+ * Forecast a numeric series `horizon` periods ahead.
+ * The model with the lowest backtest error is chosen; intervals widen with
+ * the square root of the horizon from the one-step residual spread.
+ * Returns { model, params, forecast: [{ step, value, lower, upper }],
+ * backtest: { horizon, mae, wape } } or null when the series is too short.
+ */
+export const forecastSeries = (
+  values,
+  { seasonLength = 1, horizon = 6, confidence = 0.95 } = {}
+) => {
+  const candidates = candidateModels(values, seasonLength);
+  if (candidates.length === 0) return null;
+
+  // Hold out a quarter of the series, at most one horizon
+  const holdout = Math.min(horizon, Math.floor(values.length / 4));
+  const scored = candidates.map((candidate) => ({
+    candidate,
+    backtest:
+      holdout > 0
+        ? backtestModel(values, seasonLength, candidate.model, holdout)
+        : null,
+  }));
+  const score = ({ backtest }) =>
+    backtest ? (backtest.wape ?? backtest.mae) : Infinity;
+  const { candidate, backtest } = scored.reduce((best, entry) =>
+    score(entry) < score(best) ? entry : best
+  );
+
+  const sigma =
+    candidate.residuals.length > 0
+      ? Math.sqrt(sumSquares(candidate.residuals) / candidate.residuals.length)
+      : 0;
+  const z = Z_SCORES[confidence] ?? Z_SCORES[0.95];
+
+  return {
+    model: candidate.model,
+    params: candidate.params,
+    confidence,
+    forecast: Array.from({ length: horizon }, (_, idx) => {
+      const step = idx + 1;
+      const value = Math.max(0, candidate.predict(step));
+      const margin = z * sigma * Math.sqrt(step);
+      return {
+        step,
+        value: Math.round(value),
+        lower: Math.max(0, Math.round(value - margin)),
+        upper: Math.round(value + margin),
+      };
+    }),
+    backtest,
+  };
+};
+
+/**
+ * Periods of a series that ended before today. Later periods are empty
+ * because they have not happened yet, and the one in progress only holds
+ * part of its demand, so neither counts as history.
+ */
+const observedPeriods = (periods, granularity, referenceDate) => {
+  const { next } = TIME_GRANULARITIES[granularity];
+  const today = toDateString(referenceDate);
+  return periods.filter(
+    (entry) => toDateString(next(fromDateString(entry.startDate))) <= today
+  );
+};
+
+/**
+ * Forecast `field` of an aggregateByPeriod series and merge the forecast
+ * into it as `forecast` and `forecastBand` ([lower, upper]) on the future
+ * periods, appending periods past the end of the series as needed.
+ * Returns { series, model, backtest, confidence } with series unchanged and
+ * model null when there is too little history.
+ */
+export const forecastTrend = (
+  periods,
+  granularity,
+  field = "demands",
+  { horizon, confidence = 0.95, referenceDate = new Date() } = {}
+) => {
+  const settings = FORECAST_SETTINGS[granularity];
+  const observed = observedPeriods(periods, granularity, referenceDate);
+  const result = forecastSeries(
+    observed.map((entry) => entry[field]),
+    {
+      seasonLength: settings.seasonLength,
+      horizon: horizon ?? settings.horizon,
+      confidence,
+    }
+  );
+  if (!result) return { series: periods, model: null, backtest: null };
+
+  const { next, format } = TIME_GRANULARITIES[granularity];
+  const forecastByStart = new Map();
+  let periodStart = fromDateString(observed[observed.length - 1].startDate);
+  result.forecast.forEach((point) => {
+    periodStart = next(periodStart);
+    forecastByStart.set(toDateString(periodStart), {
+      period: format(periodStart),
+      ...point,
+    });
+  });
+
+  const series = periods.map((entry) => {
+    const point = forecastByStart.get(entry.startDate);
+    if (!point) return entry;
+    forecastByStart.delete(entry.startDate);
+    return {
+      ...entry,
+      forecast: point.value,
+      forecastBand: [point.lower, point.upper],
+    };
+  });
+  forecastByStart.forEach((point, startDate) =>
+    series.push({
+      period: point.period,
+      startDate,
+      forecast: point.value,
+      forecastBand: [point.lower, point.upper],
+    })
+  );
+
+  // Start the forecast line at the last observed value so it connects
+  const lastObserved = series.findIndex(
+    (entry) => entry.startDate === observed[observed.length - 1].startDate
+  );
+  series[lastObserved] = {
+    ...series[lastObserved],
+    forecast: series[lastObserved][field],
+  };
+
+  return {
+    series,
+    model: result.model,
+    backtest: result.backtest,
+    confidence: result.confidence,
+  };
+};
+
+const FORECAST_DIMENSIONS = {
+  zone: (record) => record.zone || "Unknown",
+  commodity: (record, { commodityLevel, reference }) =>
+    getCommodityKey(record, commodityLevel, reference),
+};
+
+/**
+ * Next-period demand and unit forecasts for the largest zones or
+ * commodities (at commodityLevel of the reference taxonomy), each with its
+ * model and backtest error
+ */
+export const forecastBy = (
+  data,
+  dimension,
+  granularity = "month",
+  basis = "units",
+  {
+    limit = 10,
+    referenceDate = new Date(),
+    commodityLevel = "code",
+    reference,
+  } = {}
+) => {
+  const getKey = FORECAST_DIMENSIONS[dimension];
+  const groups = new Map();
+
+  data.forEach((record) => {
+    const key = getKey(record, { commodityLevel, reference });
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  // One shared range so every group's series covers the same periods
+  let first = Infinity;
+  let last = -Infinity;
+  data.forEach((record) => {
+    if (!record.demandDateObj) return;
+    first = Math.min(first, record.demandDateObj.getTime());
+    last = Math.max(last, record.demandDateObj.getTime());
+  });
+  if (!Number.isFinite(first)) return [];
+  const range = {
+    startDate: toDateString(new Date(first)),
+    endDate: toDateString(new Date(last)),
+  };
+
+  return Array.from(groups.entries())
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, limit)
+    .map(([name, records]) => {
+      const periods = aggregateByPeriod(records, granularity, basis, range);
+      // Backtest over the full default horizon, report the next period
+      const forecastField = (field) => {
+        const { series, model, backtest } = forecastTrend(
+          periods,
+          granularity,
+          field,
+          { referenceDate }
+        );
+        const next = series.find((entry) => entry.forecastBand);
+        return next
+          ? {
+              period: next.period,
+              value: next.forecast,
+              lower: next.forecastBand[0],
+              upper: next.forecastBand[1],
+              model,
+              backtest,
+            }
+          : null;
+      };
+
+      return {
+        name,
+        orders: records.length,
+        demands: forecastField("demands"),
+        units: forecastField("units"),
+      };
+    });
+};
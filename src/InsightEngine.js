@@ -0,0 +1,371 @@
+/**
+ * Insight Engine
+ * Rules over the processed dataset. Each rule returns one finding, with a
+ * severity, the numbers behind it and the entities it concerns, or null
+ * when the data gives it nothing to say.
+ */
+
+import {
+  getUnits,
+  getConcentration,
+  buildDemandLifecycles,
+  toDateString,
+  fromDateString,
+} from "./Dataprocessing.js";
+
+export const INSIGHT_SEVERITY = {
+  high: { label: "High", rank: 0 },
+  medium: { label: "Medium", rank: 1 },
+  low: { label: "Low", rank: 2 },
+};
+
+export const INSIGHT_DIMENSIONS = {
+  zone: { label: "Zone", getKey: (record) => record.zone || "Unknown" },
+  consignor: {
+    label: "Consignor",
+    getKey: (record) => record.csnr || "Unknown",
+  },
+  route: {
+    label: "Route",
+    getKey: (record) =>
+      `${record.sttnfrom || "Unknown"} → ${record.dstn || "Unknown"}`,
+  },
+};
+
+export const INSIGHT_CONFIG = {
+  // Length of the recent and previous windows compared by the trend rules
+  windowDays: 30,
+  // Top consignor share of units that is a concentration risk (medium, high)
+  consignorShare: [25, 40],
+  // Top three consignors' share of units that is a concentration risk
+  topThreeShare: 60,
+  // Route growth over the previous window that is worth a finding (%)
+  routeGrowth: 50,
+  // Backlog growth over the previous window that is worth a finding (%)
+  backlogGrowth: 25,
+  // Consignor decline from the previous window that is worth a finding (%)
+  consignorDecline: 50,
+  // Fewest units in a window for a route, consignor or backlog to count
+  minUnits: 5,
+  // Entities listed per finding
+  entityLimit: 5,
+};
+
+const changePercent = (current, previous) =>
+  previous > 0
+    ? parseFloat((((current - previous) / previous) * 100).toFixed(1))
+    : null;
+
+/**
+ * Recent and previous windows of `windowDays`, ending on the latest demand
+ * date in the data rather than today so past date ranges still compare
+ */
+export const getInsightWindows = (data, windowDays) => {
+  let last = -Infinity;
+  data.forEach((record) => {
+    if (record.demandDateObj) {
+      last = Math.max(last, record.demandDateObj.getTime());
+    }
+  });
+  if (!Number.isFinite(last)) return null;
+
+  const end = fromDateString(toDateString(new Date(last)));
+  const shift = (days) => {
+    const date = new Date(end);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+  };
+
+  return {
+    recent: { startDate: shift(1 - windowDays), endDate: toDateString(end) },
+    previous: {
+      startDate: shift(1 - 2 * windowDays),
+      endDate: shift(-windowDays),
+    },
+  };
+};
+
+const inWindow = (record, { startDate, endDate }) => {
+  if (!record.demandDateObj) return false;
+  const date = toDateString(record.demandDateObj);
+  return date >= startDate && date <= endDate;
+};
+
+/**
+ * Sum `getValue` per dimension key for the recent and previous windows
+ */
+const compareWindows = (data, dimension, windows, getValue) => {
+  const { getKey } = INSIGHT_DIMENSIONS[dimension];
+  const totals = new Map();
+
+  data.forEach((record) => {
+    const window = inWindow(record, windows.recent)
+      ? "recent"
+      : inWindow(record, windows.previous)
+        ? "previous"
+        : null;
+    if (!window) return;
+
+    const key = getKey(record);
+    if (!totals.has(key)) {
+      totals.set(key, { name: key, recent: 0, previous: 0 });
+    }
+    totals.get(key)[window] += getValue(record);
+  });
+
+  return Array.from(totals.values()).map((entry) => ({
+    ...entry,
+    change: entry.recent - entry.previous,
+    changePct: changePercent(entry.recent, entry.previous),
+  }));
+};
+
+/**
+ * Rules, each (data, context) => finding | null. A finding is
+ * { rule, severity, title, summary, evidence: [{ label, value, suffix }],
+ * entities: [{ name, value }], dimension, window, queryType }, where
+ * dimension, window and queryType select the records behind it.
+ */
+export const INSIGHT_RULES = {
+  concentration: {
+    label: "Concentration risk",
+    evaluate: (data, { basis, config }) => {
+      const { total, entities, topShares, hhi, pareto } = getConcentration(
+        data,
+        "consignor",
+        basis,
+        [1, 3]
+      );
+      if (total === 0 || entities < 2) return null;
+
+      const [topShare, topThreeShare] = topShares.map(({ share }) => share);
+      const [mediumShare, highShare] = config.consignorShare;
+      if (topShare < mediumShare && topThreeShare < config.topThreeShare) {
+        return null;
+      }
+
+      return {
+        rule: "concentration",
+        severity: topShare >= highShare ? "high" : "medium",
+        title: "Volume concentrated in few consignors",
+        summary: `${pareto[0].name} accounts for ${topShare}% of volume and the top three for ${topThreeShare}%, so losing one of them would move the whole book.`,
+        evidence: [
+          { label: "Top consignor share", value: topShare, suffix: "%" },
+          { label: "Top three share", value: topThreeShare, suffix: "%" },
+          { label: "HHI", value: hhi, suffix: "" },
+        ],
+        entities: pareto
+          .slice(0, 3)
+          .map(({ name, units }) => ({ name, value: units })),
+        dimension: "consignor",
+        window: null,
+        queryType: null,
+      };
+    },
+  },
+
+  routeGrowth: {
+    label: "Fast-growing routes",
+    evaluate: (data, { basis, config, windows }) => {
+      const growing = compareWindows(data, "route", windows, (record) =>
+        getUnits(record, basis)
+      )
+        .filter(
+          (entry) =>
+            entry.recent >= config.minUnits &&
+            entry.previous > 0 &&
+            entry.changePct >= config.routeGrowth
+        )
+        .sort((a, b) => b.change - a.change);
+      if (growing.length === 0) return null;
+
+      const [top] = growing;
+      return {
+        rule: "routeGrowth",
+        severity: top.changePct >= 2 * config.routeGrowth ? "medium" : "low",
+        title: `${growing.length} route${growing.length > 1 ? "s" : ""} growing fast`,
+        summary: `${top.name} moved ${top.recent.toLocaleString()} in the last ${config.windowDays} days against ${top.previous.toLocaleString()} in the ${config.windowDays} before (+${top.changePct}%).`,
+        evidence: [
+          { label: "Recent volume", value: top.recent, suffix: "" },
+          { label: "Previous volume", value: top.previous, suffix: "" },
+          { label: "Growth", value: top.changePct, suffix: "%" },
+        ],
+        entities: growing
+          .slice(0, config.entityLimit)
+          .map(({ name, change }) => ({ name, value: change })),
+        dimension: "route",
+        window: windows.recent,
+        queryType: null,
+      };
+    },
+  },
+
+  risingBacklog: {
+    label: "Rising backlog",
+    evaluate: (data, { basis, config, windows }) => {
+      // Demands open at the end of each window: raised by then and not yet
+      // matured. Indented quantity is used for both, as partial supplies
+      // are only known as of now.
+      const snapshots = {
+        recent: fromDateString(windows.recent.endDate),
+        previous: fromDateString(windows.previous.endDate),
+      };
+      Object.values(snapshots).forEach((date) => date.setHours(23, 59, 59));
+
+      const byZone = new Map();
+      buildDemandLifecycles(data).forEach((demand) => {
+        if (!demand.demandedAt) return;
+        const quantity =
+          basis === "8w" ? demand.indented8w : demand.indentedUnits;
+        Object.entries(snapshots).forEach(([window, date]) => {
+          const open =
+            demand.demandedAt <= date &&
+            (!demand.maturedAt || demand.maturedAt > date);
+          if (!open) return;
+
+          const zone = demand.zone || "Unknown";
+          if (!byZone.has(zone)) {
+            byZone.set(zone, { name: zone, recent: 0, previous: 0 });
+          }
+          byZone.get(zone)[window] += quantity;
+        });
+      });
+
+      const zones = Array.from(byZone.values());
+      const recent = zones.reduce((sum, entry) => sum + entry.recent, 0);
+      const previous = zones.reduce((sum, entry) => sum + entry.previous, 0);
+      const changePct = changePercent(recent, previous);
+      if (
+        recent < config.minUnits ||
+        changePct === null ||
+        changePct < config.backlogGrowth
+      ) {
+        return null;
+      }
+
+      return {
+        rule: "risingBacklog",
+        severity: changePct >= 2 * config.backlogGrowth ? "high" : "medium",
+        title: "Open backlog is rising",
+        summary: `${recent.toLocaleString()} indented were still open on ${windows.recent.endDate}, up ${changePct}% on ${previous.toLocaleString()} open on ${windows.previous.endDate}.`,
+        evidence: [
+          { label: "Open now", value: recent, suffix: "" },
+          {
+            label: `Open ${config.windowDays} days earlier`,
+            value: previous,
+            suffix: "",
+          },
+          { label: "Change", value: changePct, suffix: "%" },
+        ],
+        entities: zones
+          .map((entry) => ({
+            name: entry.name,
+            value: entry.recent - entry.previous,
+          }))
+          .filter((entry) => entry.value > 0)
+          .sort((a, b) => b.value - a.value)
+          .slice(0, config.entityLimit),
+        // Both query types: the snapshots count demands that have since
+        // matured, so the supporting rows include their matured indents
+        dimension: "zone",
+        window: null,
+        queryType: null,
+      };
+    },
+  },
+
+  decliningConsignors: {
+    label: "Declining consignors",
+    evaluate: (data, { basis, config, windows }) => {
+      const declining = compareWindows(data, "consignor", windows, (record) =>
+        getUnits(record, basis)
+      )
+        .filter(
+          (entry) =>
+            entry.previous >= config.minUnits &&
+            -entry.changePct >= config.consignorDecline
+        )
+        .sort((a, b) => a.change - b.change);
+      if (declining.length === 0) return null;
+
+      const [top] = declining;
+      const lapsed = declining.filter((entry) => entry.recent === 0).length;
+      return {
+        rule: "decliningConsignors",
+        severity: lapsed > 0 ? "high" : "medium",
+        title: `${declining.length} consignor${declining.length > 1 ? "s" : ""} indenting less`,
+        summary: `${top.name} indented ${top.recent.toLocaleString()} in the last ${config.windowDays} days against ${top.previous.toLocaleString()} in the ${config.windowDays} before (${top.changePct}%).${lapsed > 0 ? ` ${lapsed} stopped indenting altogether.` : ""}`,
+        evidence: [
+          {
+            label: "Declining consignors",
+            value: declining.length,
+            suffix: "",
+          },
+          { label: "Stopped indenting", value: lapsed, suffix: "" },
+          {
+            label: "Volume lost",
+            value: -declining.reduce((sum, entry) => sum + entry.change, 0),
+            suffix: "",
+          },
+        ],
+        entities: declining
+          .slice(0, config.entityLimit)
+          .map(({ name, change }) => ({ name, value: change })),
+        dimension: "consignor",
+        window: {
+          startDate: windows.previous.startDate,
+          endDate: windows.recent.endDate,
+        },
+        queryType: null,
+      };
+    },
+  },
+};
+
+/**
+ * Run every rule and return the findings that fire, most severe first
+ */
+export const runInsights = (
+  data,
+  { basis = "units", rules = Object.keys(INSIGHT_RULES), ...config } = {}
+) => {
+  const settings = { ...INSIGHT_CONFIG, ...config };
+  const windows = getInsightWindows(data, settings.windowDays);
+  if (!windows) return [];
+
+  const context = { basis, config: settings, windows };
+  return rules
+    .map((rule) => INSIGHT_RULES[rule].evaluate(data, context))
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        INSIGHT_SEVERITY[a.severity].rank - INSIGHT_SEVERITY[b.severity].rank
+    );
+};
+
+/**
+ * The records behind a finding: those of its entities, within its window
+ * and query type
+ */
+export const getFindingRecords = (data, finding) => {
+  const { getKey } = INSIGHT_DIMENSIONS[finding.dimension];
+  const names = new Set(finding.entities.map((entity) => entity.name));
+
+  return data.filter(
+    (record) =>
+      names.has(getKey(record)) &&
+      (!finding.window || inWindow(record, finding.window)) &&
+      (!finding.queryType || record.qry === finding.queryType)
+  );
+};
+
+/**
+ * Dashboard filters that narrow the view to a finding: its window as a
+ * custom date range, its query type, and its zone when it names only one
+ */
+export const getFindingFilters = (finding) => ({
+  ...(finding.window && { dateRange: finding.window }),
+  ...(finding.queryType && { queryType: finding.queryType }),
+  ...(finding.dimension === "zone" &&
+    finding.entities.length === 1 && { zone: finding.entities[0].name }),
+});
@@ -0,0 +1,254 @@
+/**
+ * Record Grid
+ * Columns, search, filters and sorting for the raw records grid. Queries
+ * return an index array into the records rather than copies of them, and
+ * sort on a key array built once per column, so a few hundred thousand
+ * rows stay responsive.
+ */
+
+import { fromDateString } from "./Dataprocessing.js";
+
+/**
+ * Every field of a processed record (see processData). `type` picks the
+ * filter (text, or a min/max range for number and date); columns marked
+ * `hidden` duplicate another one and start hidden.
+ */
+export const GRID_COLUMNS = [
+  { key: "dmndno", label: "Demand No", type: "text", width: 150 },
+  {
+    key: "qry",
+    label: "Type",
+    type: "text",
+    width: 90,
+    get: (record) =>
+      record.qry === "ODR_RK_OTSG"
+        ? "ODR"
+        : record.qry === "MATURED_INDENTS"
+          ? "Matured"
+          : record.qry,
+  },
+  {
+    key: "demandDateObj",
+    label: "Demand Date",
+    type: "date",
+    width: 130,
+  },
+  { key: "dmndtime", label: "Demand Time", type: "text", width: 110 },
+  { key: "zone", label: "Zone", type: "text", width: 80 },
+  { key: "dvsn", label: "Division", type: "text", width: 90 },
+  { key: "sttnfrom", label: "Station", type: "text", width: 90 },
+  { key: "dstn", label: "Destination", type: "text", width: 110 },
+  { key: "csnr", label: "Consignor", type: "text", width: 140 },
+  { key: "cnsg", label: "Consignee", type: "text", width: 140 },
+  { key: "cmdt", label: "Commodity", type: "text", width: 100 },
+  { key: "rakecmdt", label: "Rake Commodity", type: "text", width: 130 },
+  { key: "tt", label: "Traffic Type", type: "text", width: 110 },
+  { key: "pc", label: "PC", type: "text", width: 70 },
+  { key: "pbf", label: "PBF", type: "text", width: 70 },
+  { key: "via", label: "Via", type: "text", width: 90 },
+  { key: "indttype", label: "Rake Type", type: "text", width: 100 },
+  { key: "rakeUnits", label: "Units", type: "number", width: 90 },
+  { key: "rake8w", label: "8W", type: "number", width: 90 },
+  {
+    key: "outstandingUnits",
+    label: "Outstanding Units",
+    type: "number",
+    width: 140,
+  },
+  {
+    key: "outstanding8w",
+    label: "Outstanding 8W",
+    type: "number",
+    width: 130,
+  },
+  {
+    key: "suppliedUnits",
+    label: "Supplied Units",
+    type: "number",
+    width: 130,
+  },
+  { key: "spldtime", label: "Supplied / Met", type: "text", width: 170 },
+  { key: "month", label: "Month", type: "number", width: 80, hidden: true },
+  { key: "year", label: "Year", type: "number", width: 80, hidden: true },
+  {
+    key: "dmnddate",
+    label: "Demand Date (raw)",
+    type: "text",
+    width: 170,
+    hidden: true,
+  },
+  {
+    key: "indtunit",
+    label: "Units (raw)",
+    type: "text",
+    width: 100,
+    hidden: true,
+  },
+  { key: "indt8w", label: "8W (raw)", type: "text", width: 100, hidden: true },
+  {
+    key: "ostgunit",
+    label: "Outstanding (raw)",
+    type: "text",
+    width: 140,
+    hidden: true,
+  },
+  {
+    key: "ostg8w",
+    label: "Outstanding 8W (raw)",
+    type: "text",
+    width: 160,
+    hidden: true,
+  },
+  {
+    key: "spldunit",
+    label: "Supplied (raw)",
+    type: "text",
+    width: 120,
+    hidden: true,
+  },
+];
+
+/**
+ * Fields the global search looks in: demand number, consignor, consignee
+ * and the origin and destination stations
+ */
+export const GRID_SEARCH_FIELDS = [
+  "dmndno",
+  "csnr",
+  "cnsg",
+  "sttnfrom",
+  "dstn",
+];
+
+const COLUMNS_BY_KEY = new Map(
+  GRID_COLUMNS.map((column) => [column.key, column])
+);
+
+/**
+ * Value of a column for a record: a Date for date columns, a number for
+ * number columns, a string (or null) otherwise
+ */
+export const getColumnValue = (record, column) => {
+  const value = column.get ? column.get(record) : record[column.key];
+  if (value === undefined || value === null || value === "") return null;
+  if (column.type === "date" || column.type === "number") return value;
+  return String(value);
+};
+
+/**
+ * Display text of a column value
+ */
+export const formatColumnValue = (value, column) => {
+  if (value === null) return "";
+  if (column.type === "date") return value.toLocaleDateString();
+  if (column.type === "number") return value.toLocaleString();
+  return value;
+};
+
+/**
+ * Lower-cased search text of every record, built once per dataset
+ */
+export const buildSearchIndex = (data) =>
+  data.map((record) =>
+    GRID_SEARCH_FIELDS.map((field) => record[field] ?? "")
+      .join("\u0000")
+      .toLowerCase()
+  );
+
+// Comparable form of a range bound: a number, a timestamp for dates (a
+// YYYY-MM-DD day in local time, like demandDateObj), or null when the
+// bound is blank. `endOfDay` moves a date bound to the last moment of it.
+const toBound = (value, type, endOfDay = false) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (type === "date") {
+    const date = fromDateString(value);
+    if (endOfDay) date.setDate(date.getDate() + 1);
+    return isNaN(date.getTime()) ? null : date.getTime() - (endOfDay ? 1 : 0);
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Turn { [key]: { text } | { min, max } } into record predicates, dropping
+ * blank filters. A date max covers the whole of its day.
+ */
+const buildPredicates = (filters) =>
+  Object.entries(filters).flatMap(([key, filter]) => {
+    const column = COLUMNS_BY_KEY.get(key);
+    if (!column || !filter) return [];
+
+    if (column.type === "text") {
+      const text = filter.text?.trim().toLowerCase();
+      if (!text) return [];
+      return [
+        (record) =>
+          getColumnValue(record, column)?.toLowerCase().includes(text) || false,
+      ];
+    }
+
+    const min = toBound(filter.min, column.type);
+    const max = toBound(filter.max, column.type, true);
+    if (min === null && max === null) return [];
+
+    return [
+      (record) => {
+        const value = getColumnValue(record, column);
+        if (value === null) return false;
+        const comparable = column.type === "date" ? value.getTime() : value;
+        return (
+          (min === null || comparable >= min) &&
+          (max === null || comparable <= max)
+        );
+      },
+    ];
+  });
+
+/**
+ * Sort key of every record for one column: numbers (timestamps for dates)
+ * or lower-cased strings, with blanks as null so they sort last
+ */
+const buildSortKeys = (data, column) =>
+  data.map((record) => {
+    const value = getColumnValue(record, column);
+    if (value === null) return null;
+    if (column.type === "date") return value.getTime();
+    if (column.type === "number") return value;
+    return value.toLowerCase();
+  });
+
+/**
+ * Indices of the records that match the global search and the column
+ * filters, sorted by { key, direction: "asc" | "desc" } when given (blank
+ * values last, ties in record order). Pass the buildSearchIndex of the
+ * same records to avoid rebuilding it on every query.
+ */
+export const queryGrid = (
+  data,
+  { search = "", filters = {}, sort = null } = {},
+  searchIndex = buildSearchIndex(data)
+) => {
+  const needle = search.trim().toLowerCase();
+  const predicates = buildPredicates(filters);
+
+  const matches = [];
+  for (let idx = 0; idx < data.length; idx++) {
+    if (needle && !searchIndex[idx].includes(needle)) continue;
+    if (predicates.some((predicate) => !predicate(data[idx]))) continue;
+    matches.push(idx);
+  }
+
+  const column = sort && COLUMNS_BY_KEY.get(sort.key);
+  if (!column) return matches;
+
+  const keys = buildSortKeys(data, column);
+  const sign = sort.direction === "desc" ? -1 : 1;
+  return matches.sort((a, b) => {
+    const left = keys[a];
+    const right = keys[b];
+    if (left === right) return a - b;
+    if (left === null) return 1;
+    if (right === null) return -1;
+    return (left < right ? -1 : 1) * sign;
+  });
+};
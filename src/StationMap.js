@@ -0,0 +1,151 @@
+/**
+ * Station Map
+ * Station coordinates and the India boundary are bundled from
+ * data/reference, and projected to SVG here, so the flow map draws without
+ * a tile server or network access.
+ */
+
+import stationCoordinates from "../data/reference/station-coordinates.json" with { type: "json" };
+import indiaBoundary from "../data/reference/india-boundary.json" with { type: "json" };
+import { getOriginDestinationMatrix } from "./Dataprocessing.js";
+
+export const STATION_COORDINATES = stationCoordinates;
+
+export const BOUNDARY = indiaBoundary;
+
+/**
+ * Bounding box ([minLon, minLat, maxLon, maxLat]) of GeoJSON polygons
+ */
+export const getBounds = (geojson) => {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+
+  geojson.features.forEach(({ geometry }) => {
+    const polygons =
+      geometry.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry.coordinates;
+    polygons.flat().forEach((ring) =>
+      ring.forEach(([lon, lat]) => {
+        bounds[0] = Math.min(bounds[0], lon);
+        bounds[1] = Math.min(bounds[1], lat);
+        bounds[2] = Math.max(bounds[2], lon);
+        bounds[3] = Math.max(bounds[3], lat);
+      })
+    );
+  });
+
+  return bounds;
+};
+
+/**
+ * Equirectangular projection of the bounds into a width x height box,
+ * with longitude scaled by the cosine of the middle latitude so shapes
+ * keep their proportions. Returns ([lon, lat]) => [x, y].
+ */
+export const createProjection = (bounds, width, height, padding = 10) => {
+  const [minLon, minLat, maxLon, maxLat] = bounds;
+  const aspect = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const scale = Math.min(
+    (width - 2 * padding) / ((maxLon - minLon) * aspect),
+    (height - 2 * padding) / (maxLat - minLat)
+  );
+  const offsetX = (width - (maxLon - minLon) * aspect * scale) / 2;
+  const offsetY = (height - (maxLat - minLat) * scale) / 2;
+
+  return ([lon, lat]) => [
+    offsetX + (lon - minLon) * aspect * scale,
+    offsetY + (maxLat - lat) * scale,
+  ];
+};
+
+/**
+ * SVG path data of each GeoJSON feature under a projection
+ */
+export const getBoundaryPaths = (geojson, project) =>
+  geojson.features.map(({ properties, geometry }) => {
+    const polygons =
+      geometry.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry.coordinates;
+    return {
+      name: properties?.name,
+      path: polygons
+        .flat()
+        .map(
+          (ring) =>
+            ring
+              .map((point, idx) => {
+                const [x, y] = project(point);
+                return `${idx === 0 ? "M" : "L"}${x.toFixed(1)},${y.toFixed(1)}`;
+              })
+              .join("") + "Z"
+        )
+        .join(""),
+    };
+  });
+
+/**
+ * Stations and origin-destination flows with coordinates. Stations carry
+ * the indents raised at them (`indents`) and received (`inbound`); flows
+ * are station-level matrix cells, largest first. Codes without coordinates
+ * are listed in `missing` and left off the map.
+ */
+export const getStationFlows = (
+  data,
+  basis = "units",
+  coordinates = STATION_COORDINATES
+) => {
+  const { origins, destinations, cells } = getOriginDestinationMatrix(
+    data,
+    "station",
+    basis
+  );
+  const stations = new Map();
+  const missing = new Set();
+
+  const station = (code) => {
+    const location = coordinates[code];
+    if (!location) {
+      missing.add(code);
+      return null;
+    }
+    if (!stations.has(code)) {
+      stations.set(code, {
+        code,
+        name: location.name,
+        lat: location.lat,
+        lon: location.lon,
+        indents: 0,
+        inbound: 0,
+        units: 0,
+      });
+    }
+    return stations.get(code);
+  };
+
+  origins.forEach(({ name, shipments, units }) => {
+    const entry = station(name);
+    if (!entry) return;
+    entry.indents = shipments;
+    entry.units = units;
+  });
+  destinations.forEach(({ name, shipments }) => {
+    const entry = station(name);
+    if (entry) entry.inbound = shipments;
+  });
+
+  return {
+    stations: Array.from(stations.values()).sort(
+      (a, b) => b.indents - a.indents
+    ),
+    flows: cells
+      .filter(
+        ({ origin, destination }) =>
+          origin !== destination &&
+          coordinates[origin] &&
+          coordinates[destination]
+      )
+      .sort((a, b) => b.units - a.units),
+    missing: [...missing].sort(),
+  };
+};
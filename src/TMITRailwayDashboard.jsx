@@ -1,4 +1,13 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, {
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+  createContext,
+  useContext,
+  useDeferredValue,
+  useRef,
+} from "react";
 import {
   LineChart,
   Line,
@@ -21,6 +30,7 @@ import {
   PolarRadiusAxis,
   Radar,
   ComposedChart,
+  ReferenceLine,
 } from "recharts";
 import {
   TrendingUp,
@@ -41,12 +51,71 @@ import {
   BarChart3,
   PieChart as PieChartIcon,
   Target,
-  Award,
+  Clock,
+  Table,
+  Search,
+  Columns3,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
 } from "lucide-react";
 import railwayDatabaseService from "../railway-database-service.js";
 import * as DataProcessing from "./Dataprocessing.js";
+import * as Forecasting from "./Forecasting.js";
+import * as AnomalyDetection from "./AnomalyDetection.js";
+import * as InsightEngine from "./InsightEngine.js";
+import * as CohortAnalysis from "./CohortAnalysis.js";
+import * as StationMap from "./StationMap.js";
+import * as RecordGrid from "./RecordGrid.js";
 
+/**
+ * Readable station, division and zone labels from the reference master.
+ * Until the master loads, every code is shown as it is.
+ */
+const ReferenceLabelsContext = createContext(
+  DataProcessing.createReferenceLabels()
+);
+
+/**
+ * TMIT Railway Dashboard
+ * Loads the reference master and provides its labels to the dashboard
+ */
 export default function TMITRailwayDashboard() {
+  // Station, division and zone master tables and the commodity taxonomy
+  const [referenceData, setReferenceData] = useState({
+    stations: [],
+    divisions: [],
+    zones: [],
+    commodities: [],
+  });
+
+  /**
+   * Load the reference master once; labels fall back to codes without it
+   */
+  useEffect(() => {
+    railwayDatabaseService.getReferenceData().then(setReferenceData);
+  }, []);
+
+  const referenceLabels = useMemo(
+    () =>
+      DataProcessing.createReferenceLabels(
+        DataProcessing.buildReferenceLookup(referenceData)
+      ),
+    [referenceData]
+  );
+
+  return (
+    <ReferenceLabelsContext.Provider value={referenceLabels}>
+      <RailwayDashboard />
+    </ReferenceLabelsContext.Provider>
+  );
+}
+
+/**
+ * Railway Dashboard Component
+ * Data loading, filters and the analysis tabs
+ */
+function RailwayDashboard() {
   // State management
   const [rawData, setRawData] = useState([]);
   const [odrData, setOdrData] = useState([]);
@@ -57,13 +126,32 @@ export default function TMITRailwayDashboard() {
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [error, setError] = useState(null);
   const [dataTimestamp, setDataTimestamp] = useState(null);
-  const [activeTab, setActiveTab] = useState("overview"); // overview, odr, matured, insights
+  const [dataCached, setDataCached] = useState(false);
+  const [activeTab, setActiveTab] = useState("overview"); // overview, odr, matured, routes, records, insights
 
   // Filters
   const [selectedZone, setSelectedZone] = useState("ALL");
-  const [selectedMonth, setSelectedMonth] = useState("ALL");
+  const [datePreset, setDatePreset] = useState("ALL");
+  const [dateRange, setDateRange] = useState({ startDate: "", endDate: "" });
   const [selectedQueryType, setSelectedQueryType] = useState("ALL");
   const [selectedCommodity, setSelectedCommodity] = useState("ALL");
+  // Commodity taxonomy level of the commodity filter: family, group or code
+  const [commodityLevel, setCommodityLevel] = useState("group");
+
+  // Unit basis for every unit total: "units" or "8w" (8-wheeler equivalent)
+  const [unitBasis, setUnitBasis] = useState("units");
+  const unitLabel = DataProcessing.UNIT_BASES[unitBasis];
+
+  // Period size of the trend charts: day, week, month, quarter or fy
+  const [timeGranularity, setTimeGranularity] = useState("month");
+
+  // Compare mode: "off" or a COMPARE_MODES key. Baseline rows are kept with
+  // the range they were fetched for so stale rows are never compared.
+  const [compareMode, setCompareMode] = useState("off");
+  const [baseline, setBaseline] = useState({ range: null, data: [] });
+
+  // Draw demand forecasts with confidence bands on the trend charts
+  const [showForecast, setShowForecast] = useState(false);
 
   // Available filter options
   const [availableZones, setAvailableZones] = useState([]);
@@ -72,15 +160,20 @@ export default function TMITRailwayDashboard() {
   /**
    * Fetch data from database
    */
-  const fetchData = async () => {
+  const fetchData = useCallback(async () => {
     setIsLoading(true);
     setError(null);
     setLoadingStage("Initializing AI Analysis Engine...");
     setLoadingProgress(10);
 
     try {
-      const result = await railwayDatabaseService.fetchAllData(
-        {},
+      // The date range is filtered by the database. Full load the first time
+      // or when the range changes, then only the changes since the last sync
+      const dateFilters = Object.fromEntries(
+        Object.entries(dateRange).filter(([, value]) => value)
+      );
+      const result = await railwayDatabaseService.syncData(
+        dateFilters,
         (progress) => {
           setLoadingProgress(progress.percentage);
           setLoadingStage(progress.message);
@@ -99,6 +192,7 @@ export default function TMITRailwayDashboard() {
         setOdrData(odr);
         setMaturedData(matured);
         setDataTimestamp(result.timestamp);
+        setDataCached(result.cached);
 
         // Extract unique zones and commodities
         const zones = [...new Set(result.data.map((d) => d.zone))].filter(
@@ -123,7 +217,7 @@ export default function TMITRailwayDashboard() {
         console.log(`✅ Loaded ${result.totalRecords} records`);
         console.log(`   - ODR: ${odr.length}`);
         console.log(`   - Matured Indents: ${matured.length}`);
-      } else {
+      } else if (result.error !== "Cancelled") {
         setError(result.error);
         setIsLoading(false);
       }
@@ -131,10 +225,10 @@ export default function TMITRailwayDashboard() {
       setError(err.message);
       setIsLoading(false);
     }
-  };
+  }, [dateRange]);
 
   /**
-   * Initial data load
+   * Load data initially and whenever the date range changes
    */
   useEffect(() => {
     fetchData();
@@ -142,139 +236,370 @@ export default function TMITRailwayDashboard() {
     return () => {
       railwayDatabaseService.cancelFetch();
     };
-  }, []);
+  }, [fetchData]);
 
-  /**
-   * Apply filters to data
-   */
-  useEffect(() => {
-    let filtered = rawData;
+  const referenceLabels = useContext(ReferenceLabelsContext);
 
-    if (selectedZone !== "ALL") {
-      filtered = filtered.filter((d) => d.zone === selectedZone);
-    }
+  // Without a taxonomy commodities stay at code level. The charts show one
+  // level below the selected commodity, so choosing a family or group
+  // drills into it.
+  const referenceLookup = referenceLabels.lookup;
+  const filterCommodityLevel =
+    referenceLookup.commodities.size > 0 ? commodityLevel : "code";
+  const chartCommodityLevel =
+    selectedCommodity === "ALL"
+      ? filterCommodityLevel
+      : DataProcessing.COMMODITY_LEVELS[filterCommodityLevel].finer ||
+        filterCommodityLevel;
 
-    if (selectedMonth !== "ALL") {
-      const monthNames = [
-        "Jan",
-        "Feb",
-        "Mar",
-        "Apr",
-        "May",
-        "Jun",
-        "Jul",
-        "Aug",
-        "Sep",
-        "Oct",
-        "Nov",
-        "Dec",
-      ];
-      const monthIndex = monthNames.indexOf(selectedMonth);
-      filtered = filtered.filter((d) => d.month === monthIndex);
-    }
+  const commodityOptions = useMemo(
+    () =>
+      filterCommodityLevel === "code"
+        ? availableCommodities
+        : DataProcessing.aggregateByCommodity(
+            rawData,
+            "units",
+            filterCommodityLevel,
+            referenceLookup
+          )
+            .map((entry) => entry.name)
+            .sort(),
+    [availableCommodities, rawData, filterCommodityLevel, referenceLookup]
+  );
 
-    if (selectedQueryType !== "ALL") {
-      filtered = filtered.filter((d) => d.qry === selectedQueryType);
-    }
+  /**
+   * Baseline range for compare mode, which needs a bounded date range
+   */
+  const baselineRange = useMemo(
+    () =>
+      compareMode !== "off" && dateRange.startDate && dateRange.endDate
+        ? DataProcessing.getBaselineRange(dateRange, compareMode)
+        : null,
+    [compareMode, dateRange]
+  );
 
-    if (selectedCommodity !== "ALL") {
-      filtered = filtered.filter(
-        (d) => d.cmdt === selectedCommodity || d.rakecmdt === selectedCommodity
-      );
-    }
+  /**
+   * Fetch the baseline rows whenever the baseline range changes
+   */
+  useEffect(() => {
+    if (!baselineRange) return;
+
+    railwayDatabaseService.fetchBaselineData(baselineRange).then((result) => {
+      if (result.error === "Cancelled") return;
+      setBaseline({ range: baselineRange, data: result.data });
+    });
+  }, [baselineRange]);
 
-    setFilteredData(filtered);
+  /**
+   * Apply filters to data
+   */
+  useEffect(() => {
+    setFilteredData(
+      DataProcessing.filterRecords(rawData, {
+        zone: selectedZone,
+        queryType: selectedQueryType,
+        commodity: selectedCommodity,
+        commodityLevel: filterCommodityLevel,
+        reference: referenceLookup,
+      })
+    );
   }, [
     rawData,
     selectedZone,
-    selectedMonth,
     selectedQueryType,
     selectedCommodity,
+    filterCommodityLevel,
+    referenceLookup,
   ]);
 
   /**
    * Memoized data aggregations
    */
   const summaryStats = useMemo(
-    () => DataProcessing.calculateSummaryStats(filteredData),
-    [filteredData]
+    () => DataProcessing.calculateSummaryStats(filteredData, unitBasis),
+    [filteredData, unitBasis]
   );
 
   const odrStats = useMemo(
-    () => DataProcessing.calculateSummaryStats(odrData),
-    [odrData]
+    () => DataProcessing.calculateSummaryStats(odrData, unitBasis),
+    [odrData, unitBasis]
   );
 
   const maturedStats = useMemo(
-    () => DataProcessing.calculateSummaryStats(maturedData),
-    [maturedData]
+    () => DataProcessing.calculateSummaryStats(maturedData, unitBasis),
+    [maturedData, unitBasis]
   );
 
-  const monthlyData = useMemo(
-    () => DataProcessing.aggregateByMonth(filteredData),
-    [filteredData]
+  const trendData = useMemo(
+    () =>
+      DataProcessing.aggregateByPeriod(
+        filteredData,
+        timeGranularity,
+        unitBasis,
+        dateRange
+      ),
+    [filteredData, timeGranularity, unitBasis, dateRange]
   );
 
-  const odrMonthlyData = useMemo(
-    () => DataProcessing.aggregateByMonth(odrData),
-    [odrData]
+  const odrTrendData = useMemo(
+    () =>
+      DataProcessing.aggregateByPeriod(
+        odrData,
+        timeGranularity,
+        unitBasis,
+        dateRange
+      ),
+    [odrData, timeGranularity, unitBasis, dateRange]
   );
 
-  const maturedMonthlyData = useMemo(
-    () => DataProcessing.aggregateByMonth(maturedData),
-    [maturedData]
+  const maturedTrendData = useMemo(
+    () =>
+      DataProcessing.aggregateByPeriod(
+        maturedData,
+        timeGranularity,
+        unitBasis,
+        dateRange
+      ),
+    [maturedData, timeGranularity, unitBasis, dateRange]
   );
 
   const commodityData = useMemo(
-    () => DataProcessing.aggregateByCommodity(filteredData),
-    [filteredData]
+    () =>
+      DataProcessing.aggregateByCommodity(
+        filteredData,
+        unitBasis,
+        chartCommodityLevel,
+        referenceLookup
+      ),
+    [filteredData, unitBasis, chartCommodityLevel, referenceLookup]
   );
 
+  // The ODR and matured tabs are not narrowed by commodity, so their mix
+  // is shown at the filter's level
   const odrCommodityData = useMemo(
-    () => DataProcessing.aggregateByCommodity(odrData),
-    [odrData]
+    () =>
+      DataProcessing.aggregateByCommodity(
+        odrData,
+        unitBasis,
+        filterCommodityLevel,
+        referenceLookup
+      ),
+    [odrData, unitBasis, filterCommodityLevel, referenceLookup]
   );
 
   const maturedCommodityData = useMemo(
-    () => DataProcessing.aggregateByCommodity(maturedData),
-    [maturedData]
+    () =>
+      DataProcessing.aggregateByCommodity(
+        maturedData,
+        unitBasis,
+        filterCommodityLevel,
+        referenceLookup
+      ),
+    [maturedData, unitBasis, filterCommodityLevel, referenceLookup]
   );
 
   const topConsignors = useMemo(
-    () => DataProcessing.getTopConsignors(filteredData, 10),
-    [filteredData]
+    () => DataProcessing.getTopConsignors(filteredData, 10, unitBasis),
+    [filteredData, unitBasis]
   );
 
   const topDestinations = useMemo(
-    () => DataProcessing.getTopDestinations(filteredData, 10),
-    [filteredData]
+    () => DataProcessing.getTopDestinations(filteredData, 10, unitBasis),
+    [filteredData, unitBasis]
   );
 
   const zoneData = useMemo(
-    () => DataProcessing.aggregateByZone(filteredData),
-    [filteredData]
+    () => DataProcessing.aggregateByZone(filteredData, unitBasis),
+    [filteredData, unitBasis]
   );
 
   const rakeTypeData = useMemo(
-    () => DataProcessing.aggregateByRakeType(filteredData, 10),
-    [filteredData]
+    () => DataProcessing.aggregateByRakeType(filteredData, 10, unitBasis),
+    [filteredData, unitBasis]
   );
 
   const divisionData = useMemo(
-    () => DataProcessing.aggregateByDivision(filteredData),
-    [filteredData]
+    () => DataProcessing.aggregateByDivision(filteredData, unitBasis),
+    [filteredData, unitBasis]
   );
 
   const routeData = useMemo(
-    () => DataProcessing.getRouteAnalysis(filteredData, 12),
-    [filteredData]
+    () => DataProcessing.getRouteAnalysis(filteredData, 12, unitBasis),
+    [filteredData, unitBasis]
   );
 
   const consigneeData = useMemo(
-    () => DataProcessing.getConsigneeAnalysis(filteredData, 10),
-    [filteredData]
+    () => DataProcessing.getConsigneeAnalysis(filteredData, 10, unitBasis),
+    [filteredData, unitBasis]
   );
 
+  /**
+   * Compare mode: the same aggregations over the baseline rows, as deltas
+   * against the current ones and baseline series aligned to the trends
+   */
+  const comparison = useMemo(() => {
+    if (
+      !baselineRange ||
+      baseline.range?.startDate !== baselineRange.startDate ||
+      baseline.range?.endDate !== baselineRange.endDate
+    ) {
+      return null;
+    }
+
+    const filtered = DataProcessing.filterRecords(baseline.data, {
+      zone: selectedZone,
+      queryType: selectedQueryType,
+      commodity: selectedCommodity,
+      commodityLevel: filterCommodityLevel,
+      reference: referenceLookup,
+    });
+    const odr = baseline.data.filter((d) => d.qry === "ODR_RK_OTSG");
+    const matured = baseline.data.filter((d) => d.qry === "MATURED_INDENTS");
+    const periods = (data) =>
+      DataProcessing.aggregateByPeriod(
+        data,
+        timeGranularity,
+        unitBasis,
+        baselineRange
+      );
+
+    return {
+      label: `${DataProcessing.COMPARE_MODES[compareMode].label} (${baselineRange.startDate} to ${baselineRange.endDate})`,
+      summary: DataProcessing.compareSummaryStats(
+        summaryStats,
+        DataProcessing.calculateSummaryStats(filtered, unitBasis)
+      ),
+      odr: DataProcessing.compareSummaryStats(
+        odrStats,
+        DataProcessing.calculateSummaryStats(odr, unitBasis)
+      ),
+      matured: DataProcessing.compareSummaryStats(
+        maturedStats,
+        DataProcessing.calculateSummaryStats(matured, unitBasis)
+      ),
+      trend: DataProcessing.alignBaselineSeries(trendData, periods(filtered)),
+      odrTrend: DataProcessing.alignBaselineSeries(odrTrendData, periods(odr)),
+      maturedTrend: DataProcessing.alignBaselineSeries(
+        maturedTrendData,
+        periods(matured)
+      ),
+      commodities: DataProcessing.compareRankings(
+        commodityData,
+        DataProcessing.aggregateByCommodity(
+          filtered,
+          unitBasis,
+          chartCommodityLevel,
+          referenceLookup
+        ),
+        "name",
+        "value"
+      ),
+      zones: DataProcessing.compareRankings(
+        zoneData,
+        DataProcessing.aggregateByZone(filtered, unitBasis),
+        "zone",
+        "orders"
+      ),
+      consignors: DataProcessing.compareRankings(
+        topConsignors,
+        DataProcessing.getTopConsignors(filtered, Infinity, unitBasis),
+        "name",
+        "orders"
+      ),
+    };
+  }, [
+    baseline,
+    baselineRange,
+    compareMode,
+    selectedZone,
+    selectedQueryType,
+    selectedCommodity,
+    filterCommodityLevel,
+    chartCommodityLevel,
+    referenceLookup,
+    timeGranularity,
+    unitBasis,
+    summaryStats,
+    odrStats,
+    maturedStats,
+    trendData,
+    odrTrendData,
+    maturedTrendData,
+    commodityData,
+    zoneData,
+    topConsignors,
+  ]);
+
+  /**
+   * Trend series as drawn: baseline overlay in compare mode, then the
+   * demand forecast when enabled
+   */
+  const displayTrends = useMemo(() => {
+    const withForecast = (series) =>
+      showForecast
+        ? Forecasting.forecastTrend(series, timeGranularity, "demands")
+        : { series, model: null, backtest: null };
+
+    return {
+      overview: withForecast(comparison ? comparison.trend : trendData),
+      odr: withForecast(comparison ? comparison.odrTrend : odrTrendData),
+      matured: withForecast(
+        comparison ? comparison.maturedTrend : maturedTrendData
+      ),
+    };
+  }, [
+    showForecast,
+    timeGranularity,
+    comparison,
+    trendData,
+    odrTrendData,
+    maturedTrendData,
+  ]);
+
+  /**
+   * Drill into a commodity chart slice: select it when the chart is at the
+   * filter's level, otherwise move the filter one level down to it
+   */
+  const drillCommodity = (name) => {
+    if (selectedCommodity !== "ALL") {
+      const { finer } = DataProcessing.COMMODITY_LEVELS[filterCommodityLevel];
+      if (!finer) return;
+      setCommodityLevel(finer);
+    }
+    setSelectedCommodity(name);
+  };
+
+  /**
+   * Roll the commodity filter up one level: to the parent of the selected
+   * commodity, or to every commodity of the coarser level
+   */
+  const rollUpCommodity = () => {
+    const { coarser } = DataProcessing.COMMODITY_LEVELS[filterCommodityLevel];
+    if (selectedCommodity !== "ALL") {
+      setSelectedCommodity(
+        DataProcessing.getCommodityParent(
+          selectedCommodity,
+          filterCommodityLevel,
+          referenceLookup
+        ) || "ALL"
+      );
+    }
+    if (coarser) setCommodityLevel(coarser);
+  };
+
+  /**
+   * Narrow the dashboard to an insight's filters and show the overview
+   */
+  const applyInsightFilters = ({ zone, queryType, dateRange: range }) => {
+    if (zone) setSelectedZone(zone);
+    setSelectedQueryType(queryType || "ALL");
+    if (range) {
+      setDatePreset("custom");
+      setDateRange(range);
+    }
+    setActiveTab("overview");
+  };
+
   const COLORS = [
     "#FF6B6B",
     "#4ECDC4",
@@ -432,7 +757,7 @@ export default function TMITRailwayDashboard() {
                     {summaryStats.totalUnits.toLocaleString()}
                   </p>
                   <p className="text-xs text-gray-500 uppercase tracking-wider">
-                    Total Units
+                    Total {unitLabel.label}
                   </p>
                 </div>
                 <div className="h-12 w-px bg-gray-700"></div>
@@ -464,6 +789,7 @@ export default function TMITRailwayDashboard() {
                   <span className="text-gray-500">•</span>
                   <span className="text-gray-400">
                     Last sync: {new Date(dataTimestamp).toLocaleString()}
+                    {dataCached && " (served from cache)"}
                   </span>
                   <span className="text-gray-500">•</span>
                   <span className="text-blue-400 font-semibold">
@@ -489,6 +815,8 @@ export default function TMITRailwayDashboard() {
               { id: "overview", label: "Overview", icon: BarChart3 },
               { id: "odr", label: "ODR Analysis", icon: FileText },
               { id: "matured", label: "Matured Indents", icon: CheckCircle },
+              { id: "routes", label: "Routes", icon: MapPin },
+              { id: "records", label: "Records", icon: Table },
               { id: "insights", label: "AI Insights", icon: Brain },
             ].map((tab) => (
               <button
@@ -526,35 +854,83 @@ export default function TMITRailwayDashboard() {
                 <option value="ALL">All Zones ({availableZones.length})</option>
                 {availableZones.map((zone) => (
                   <option key={zone} value={zone}>
-                    {zone}
+                    {referenceLabels.zone(zone)}
                   </option>
                 ))}
               </select>
 
+              <div className="flex items-center gap-2">
+                <select
+                  value={datePreset}
+                  onChange={(e) => {
+                    setDatePreset(e.target.value);
+                    if (e.target.value !== "custom") {
+                      setDateRange(
+                        DataProcessing.getDateRangeForPreset(e.target.value)
+                      );
+                    }
+                  }}
+                  className="bg-slate-700/50 text-gray-200 px-4 py-2.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 font-medium cursor-pointer transition-all hover:bg-slate-700 text-sm"
+                >
+                  {DataProcessing.DATE_RANGE_PRESETS.map((preset) => (
+                    <option key={preset.key} value={preset.key}>
+                      {preset.label}
+                    </option>
+                  ))}
+                </select>
+                {["startDate", "endDate"].map((field) => (
+                  <input
+                    key={field}
+                    type="date"
+                    value={dateRange[field]}
+                    max={field === "startDate" ? dateRange.endDate : undefined}
+                    min={field === "endDate" ? dateRange.startDate : undefined}
+                    onChange={(e) => {
+                      setDatePreset("custom");
+                      setDateRange({ ...dateRange, [field]: e.target.value });
+                    }}
+                    title={field === "startDate" ? "From" : "To"}
+                    className="bg-slate-700/50 text-gray-200 px-3 py-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 text-sm"
+                  />
+                ))}
+              </div>
+
               <select
-                value={selectedMonth}
-                onChange={(e) => setSelectedMonth(e.target.value)}
+                value={timeGranularity}
+                onChange={(e) => setTimeGranularity(e.target.value)}
+                title="Trend period"
                 className="bg-slate-700/50 text-gray-200 px-4 py-2.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 font-medium cursor-pointer transition-all hover:bg-slate-700 text-sm"
               >
-                <option value="ALL">All Months</option>
-                {[
-                  "Jan",
-                  "Feb",
-                  "Mar",
-                  "Apr",
-                  "May",
-                  "Jun",
-                  "Jul",
-                  "Aug",
-                  "Sep",
-                  "Oct",
-                  "Nov",
-                  "Dec",
-                ].map((m) => (
-                  <option key={m} value={m}>
-                    {m}
-                  </option>
-                ))}
+                {Object.entries(DataProcessing.TIME_GRANULARITIES).map(
+                  ([key, { label }]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  )
+                )}
+              </select>
+
+              <select
+                value={
+                  dateRange.startDate && dateRange.endDate ? compareMode : "off"
+                }
+                onChange={(e) => setCompareMode(e.target.value)}
+                disabled={!dateRange.startDate || !dateRange.endDate}
+                title={
+                  dateRange.startDate && dateRange.endDate
+                    ? "Compare with a baseline period"
+                    : "Select a date range to compare"
+                }
+                className="bg-slate-700/50 text-gray-200 px-4 py-2.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 font-medium cursor-pointer transition-all hover:bg-slate-700 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <option value="off">No Comparison</option>
+                {Object.entries(DataProcessing.COMPARE_MODES).map(
+                  ([key, { label }]) => (
+                    <option key={key} value={key}>
+                      vs {label}
+                    </option>
+                  )
+                )}
               </select>
 
               <select
@@ -567,37 +943,96 @@ export default function TMITRailwayDashboard() {
                 <option value="MATURED_INDENTS">Matured Indents</option>
               </select>
 
+              {referenceLookup.commodities.size > 0 && (
+                <select
+                  value={commodityLevel}
+                  onChange={(e) => {
+                    setCommodityLevel(e.target.value);
+                    setSelectedCommodity("ALL");
+                  }}
+                  title="Commodity taxonomy level"
+                  className="bg-slate-700/50 text-gray-200 px-4 py-2.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 font-medium cursor-pointer transition-all hover:bg-slate-700 text-sm"
+                >
+                  {Object.entries(DataProcessing.COMMODITY_LEVELS).map(
+                    ([key, { label }]) => (
+                      <option key={key} value={key}>
+                        Commodity {label}
+                      </option>
+                    )
+                  )}
+                </select>
+              )}
+
               <select
                 value={selectedCommodity}
                 onChange={(e) => setSelectedCommodity(e.target.value)}
                 className="bg-slate-700/50 text-gray-200 px-4 py-2.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 font-medium cursor-pointer transition-all hover:bg-slate-700 text-sm"
               >
                 <option value="ALL">
-                  All Commodities ({availableCommodities.length})
+                  All Commodities ({commodityOptions.length})
                 </option>
-                {availableCommodities.map((commodity) => (
+                {commodityOptions.map((commodity) => (
                   <option key={commodity} value={commodity}>
-                    {commodity}
+                    {filterCommodityLevel === "code"
+                      ? referenceLabels.commodity(commodity)
+                      : commodity}
                   </option>
                 ))}
               </select>
 
+              <button
+                onClick={() => setShowForecast(!showForecast)}
+                className={`px-4 py-2.5 rounded-lg border text-sm font-medium transition-all ${
+                  showForecast
+                    ? "bg-orange-500/20 text-orange-400 border-orange-500/40"
+                    : "bg-slate-700/50 text-gray-400 border-gray-600 hover:bg-slate-700"
+                }`}
+              >
+                Forecast
+              </button>
+
+              <div className="flex rounded-lg border border-gray-600 overflow-hidden">
+                {Object.entries(DataProcessing.UNIT_BASES).map(
+                  ([basis, { label }]) => (
+                    <button
+                      key={basis}
+                      onClick={() => setUnitBasis(basis)}
+                      className={`px-4 py-2.5 text-sm font-medium transition-all ${
+                        unitBasis === basis
+                          ? "bg-orange-500/20 text-orange-400"
+                          : "bg-slate-700/50 text-gray-400 hover:bg-slate-700"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  )
+                )}
+              </div>
+
               {(selectedZone !== "ALL" ||
-                selectedMonth !== "ALL" ||
+                datePreset !== "ALL" ||
                 selectedQueryType !== "ALL" ||
                 selectedCommodity !== "ALL") && (
                 <button
                   onClick={() => {
                     setSelectedZone("ALL");
-                    setSelectedMonth("ALL");
+                    setDatePreset("ALL");
+                    setDateRange({ startDate: "", endDate: "" });
                     setSelectedQueryType("ALL");
                     setSelectedCommodity("ALL");
+                    setCompareMode("off");
                   }}
                   className="bg-red-500/20 hover:bg-red-500/30 text-red-400 px-4 py-2.5 rounded-lg border border-red-500/30 transition-all text-sm font-medium"
                 >
                   Clear Filters
                 </button>
               )}
+
+              {comparison && (
+                <span className="text-xs text-gray-400">
+                  Comparing with {comparison.label}
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -609,8 +1044,25 @@ export default function TMITRailwayDashboard() {
               summaryStats={summaryStats}
               odrStats={odrStats}
               maturedStats={maturedStats}
-              monthlyData={monthlyData}
+              trendData={displayTrends.overview.series}
+              trendForecast={displayTrends.overview}
+              timeGranularity={timeGranularity}
+              comparison={comparison}
               commodityData={commodityData}
+              commodityLevel={chartCommodityLevel}
+              selectedCommodity={selectedCommodity}
+              onDrillCommodity={
+                referenceLookup.commodities.size > 0
+                  ? drillCommodity
+                  : setSelectedCommodity
+              }
+              onRollUpCommodity={
+                referenceLookup.commodities.size > 0 &&
+                (filterCommodityLevel !== "family" ||
+                  selectedCommodity !== "ALL")
+                  ? rollUpCommodity
+                  : null
+              }
               topConsignors={topConsignors}
               topDestinations={topDestinations}
               zoneData={zoneData}
@@ -620,6 +1072,8 @@ export default function TMITRailwayDashboard() {
               COLORS={COLORS}
               odrData={odrData}
               maturedData={maturedData}
+              leadTimeData={filteredData}
+              unitBasis={unitBasis}
             />
           )}
 
@@ -627,9 +1081,14 @@ export default function TMITRailwayDashboard() {
             <ODRTab
               odrData={odrData}
               odrStats={odrStats}
-              odrMonthlyData={odrMonthlyData}
+              odrTrendData={displayTrends.odr.series}
+              odrForecast={displayTrends.odr}
+              timeGranularity={timeGranularity}
+              odrDelta={comparison?.odr}
               odrCommodityData={odrCommodityData}
+              commodityLevel={filterCommodityLevel}
               COLORS={COLORS}
+              unitBasis={unitBasis}
             />
           )}
 
@@ -637,23 +1096,31 @@ export default function TMITRailwayDashboard() {
             <MaturedTab
               maturedData={maturedData}
               maturedStats={maturedStats}
-              maturedMonthlyData={maturedMonthlyData}
+              maturedTrendData={displayTrends.matured.series}
+              maturedForecast={displayTrends.matured}
+              timeGranularity={timeGranularity}
+              maturedDelta={comparison?.matured}
               maturedCommodityData={maturedCommodityData}
+              commodityLevel={filterCommodityLevel}
               COLORS={COLORS}
+              unitBasis={unitBasis}
             />
           )}
 
+          {activeTab === "routes" && (
+            <RoutesTab data={filteredData} unitBasis={unitBasis} />
+          )}
+
+          {activeTab === "records" && <RecordsTab data={filteredData} />}
+
           {activeTab === "insights" && (
             <InsightsTab
               rawData={rawData}
-              odrData={odrData}
-              maturedData={maturedData}
-              summaryStats={summaryStats}
-              topConsignors={topConsignors}
-              topDestinations={topDestinations}
-              monthlyData={monthlyData}
-              commodityData={commodityData}
-              routeData={routeData}
+              unitBasis={unitBasis}
+              filteredData={filteredData}
+              timeGranularity={timeGranularity}
+              commodityLevel={chartCommodityLevel}
+              onApplyFilters={applyInsightFilters}
             />
           )}
         </div>
@@ -678,114 +1145,1354 @@ export default function TMITRailwayDashboard() {
 }
 
 /**
- * Overview Tab Component
+ * Forecast Note Component
+ * Model and backtest error of a trend chart's forecast
  */
-function OverviewTab({
-  summaryStats,
-  odrStats,
-  maturedStats,
-  monthlyData,
-  commodityData,
-  topConsignors,
-  topDestinations,
-  zoneData,
-  rakeTypeData,
-  divisionData,
-  routeData,
-  COLORS,
-  odrData,
-  maturedData,
-}) {
+function ForecastNote({ forecast }) {
+  if (!forecast.model) return null;
+
   return (
-    <>
-      {/* KPI Cards */}
-      <div className="grid grid-cols-4 gap-6 mb-8">
-        <div className="bg-gradient-to-br from-orange-500/20 to-red-500/20 backdrop-blur-sm p-6 rounded-2xl border border-orange-500/30 hover:border-orange-500/60 transition-all duration-300 hover:scale-105 shadow-xl">
-          <div className="flex items-center gap-4 mb-3">
-            <div className="bg-orange-500/20 p-3 rounded-xl">
-              <TrendingUp className="text-orange-400" size={24} />
-            </div>
-            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
-              Total Orders
-            </span>
-          </div>
-          <p className="text-4xl font-black text-white mb-2">
-            {summaryStats.totalOrders.toLocaleString()}
-          </p>
-          <div className="flex items-center gap-4 text-xs">
-            <span className="text-blue-400">
-              ODR: {odrStats.totalOrders.toLocaleString()}
-            </span>
-            <span className="text-purple-400">
-              Matured: {maturedStats.totalOrders.toLocaleString()}
-            </span>
-          </div>
-        </div>
+    <span className="block text-xs text-yellow-400/80 mt-1">
+      Forecast: {Forecasting.FORECAST_MODELS[forecast.model].label},{" "}
+      {forecast.confidence * 100}% interval
+      {forecast.backtest &&
+        ` • Backtest error ${
+          forecast.backtest.wape !== null
+            ? `${forecast.backtest.wape}% WAPE`
+            : `MAE ${forecast.backtest.mae}`
+        } over the last ${forecast.backtest.horizon} periods`}
+    </span>
+  );
+}
 
-        <div className="bg-gradient-to-br from-blue-500/20 to-cyan-500/20 backdrop-blur-sm p-6 rounded-2xl border border-blue-500/30 hover:border-blue-500/60 transition-all duration-300 hover:scale-105 shadow-xl">
-          <div className="flex items-center gap-4 mb-3">
-            <div className="bg-blue-500/20 p-3 rounded-xl">
-              <Package className="text-blue-400" size={24} />
-            </div>
-            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
-              Rake Units
-            </span>
-          </div>
-          <p className="text-4xl font-black text-white mb-2">
-            {summaryStats.totalUnits.toLocaleString()}
-          </p>
-          <p className="text-gray-400 text-xs">
-            Avg {summaryStats.avgUnitsPerOrder} units/order
+/**
+ * Forecast Section Component
+ * Next-period demand and unit forecasts per zone or commodity
+ */
+function ForecastSection({ data, granularity, unitBasis, commodityLevel }) {
+  const [dimension, setDimension] = useState("zone");
+  const labels = useContext(ReferenceLabelsContext);
+  const formatName = labels.forDimension(dimension);
+
+  const forecasts = useMemo(
+    () =>
+      Forecasting.forecastBy(data, dimension, granularity, unitBasis, {
+        commodityLevel,
+        reference: labels.lookup,
+      }),
+    [data, dimension, granularity, unitBasis, commodityLevel, labels]
+  );
+  const unitLabel = DataProcessing.UNIT_BASES[unitBasis];
+  const formatBacktest = (forecast) =>
+    !forecast?.backtest
+      ? "n/a"
+      : forecast.backtest.wape !== null
+        ? `${forecast.backtest.wape}%`
+        : `MAE ${forecast.backtest.mae}`;
+
+  return (
+    <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 mb-8 shadow-xl">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-xl font-bold mb-1 text-gray-100 flex items-center gap-2">
+            <TrendingUp className="text-yellow-400" />
+            Demand Forecast
+          </h3>
+          <p className="text-gray-500 text-sm">
+            Next period of the{" "}
+            {DataProcessing.TIME_GRANULARITIES[granularity].label.toLowerCase()}{" "}
+            series with a 95% interval. Backtest error is the weighted absolute
+            percentage error (WAPE) on held-out recent periods.
           </p>
         </div>
+        <div className="flex gap-2">
+          {[
+            ["zone", "Zone"],
+            ["commodity", "Commodity"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setDimension(key)}
+              className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                dimension === key
+                  ? "bg-yellow-500/20 text-yellow-400 border border-yellow-500/40"
+                  : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="border-b border-gray-700">
+              {[
+                dimension === "zone" ? "Zone" : "Commodity",
+                "Period",
+                "Demands",
+                unitLabel.label,
+                "Model",
+                "Backtest Error",
+              ].map((heading) => (
+                <th
+                  key={heading}
+                  className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                >
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {forecasts.map((entry) => (
+              <tr
+                key={entry.name}
+                className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
+              >
+                <td className="py-3 px-4 font-semibold text-gray-200">
+                  {formatName(entry.name)}
+                </td>
+                <td className="py-3 px-4 text-gray-400">
+                  {entry.demands?.period ?? "—"}
+                </td>
+                <td className="py-3 px-4 text-yellow-400 font-semibold">
+                  {entry.demands
+                    ? `${entry.demands.value.toLocaleString()} (${entry.demands.lower.toLocaleString()}–${entry.demands.upper.toLocaleString()})`
+                    : "—"}
+                </td>
+                <td className="py-3 px-4 text-blue-400 font-semibold">
+                  {entry.units
+                    ? `${entry.units.value.toLocaleString()} (${entry.units.lower.toLocaleString()}–${entry.units.upper.toLocaleString()})`
+                    : "—"}
+                </td>
+                <td className="py-3 px-4 text-gray-400">
+                  {entry.demands
+                    ? Forecasting.FORECAST_MODELS[entry.demands.model].label
+                    : "Too little history"}
+                </td>
+                <td className="py-3 px-4 text-gray-400">
+                  {formatBacktest(entry.demands)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
-        <div className="bg-gradient-to-br from-purple-500/20 to-pink-500/20 backdrop-blur-sm p-6 rounded-2xl border border-purple-500/30 hover:border-purple-500/60 transition-all duration-300 hover:scale-105 shadow-xl">
-          <div className="flex items-center gap-4 mb-3">
-            <div className="bg-purple-500/20 p-3 rounded-xl">
-              <Users className="text-purple-400" size={24} />
-            </div>
-            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
-              Active Clients
-            </span>
+/**
+ * Anomaly Section Component
+ * Ranked spikes and collapses in daily indents per zone, division and
+ * consignor (see AnomalyDetection.js)
+ */
+function AnomalySection({ data, commodityLevel }) {
+  const [dimension, setDimension] = useState("ALL");
+  const [sensitivity, setSensitivity] = useState("strict");
+  const labels = useContext(ReferenceLabelsContext);
+
+  const anomalies = useMemo(
+    () =>
+      AnomalyDetection.detectAnomalies(data, {
+        dimensions:
+          dimension === "ALL" ? ["zone", "division", "consignor"] : [dimension],
+        threshold: AnomalyDetection.ANOMALY_SENSITIVITY[sensitivity].threshold,
+        limit: 25,
+        commodityLevel,
+        reference: labels.lookup,
+      }),
+    [data, dimension, sensitivity, commodityLevel, labels]
+  );
+
+  return (
+    <div className="bg-gradient-to-br from-slate-800/60 to-slate-900/60 backdrop-blur-sm p-8 rounded-2xl border border-gray-700/50 shadow-xl">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <AlertCircle className="text-orange-400" size={36} />
+          <div>
+            <h3 className="text-2xl font-bold text-gray-100">Anomaly Alerts</h3>
+            <p className="text-gray-500 text-sm">
+              Days whose indent count departs from the median of the previous{" "}
+              {AnomalyDetection.ANOMALY_CONFIG.window} days by{" "}
+              {AnomalyDetection.ANOMALY_SENSITIVITY[sensitivity].threshold}{" "}
+              robust standard deviations or more
+            </p>
           </div>
-          <p className="text-4xl font-black text-white mb-2">
-            {summaryStats.uniqueConsignors}
-          </p>
-          <p className="text-gray-400 text-xs">
-            {summaryStats.uniqueConsignees} consignees
-          </p>
         </div>
-
-        <div className="bg-gradient-to-br from-green-500/20 to-emerald-500/20 backdrop-blur-sm p-6 rounded-2xl border border-green-500/30 hover:border-green-500/60 transition-all duration-300 hover:scale-105 shadow-xl">
-          <div className="flex items-center gap-4 mb-3">
-            <div className="bg-green-500/20 p-3 rounded-xl">
-              <MapPin className="text-green-400" size={24} />
-            </div>
-            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
-              Destinations
-            </span>
+        <div className="flex gap-4">
+          <div className="flex gap-2">
+            {[
+              ["ALL", "All"],
+              ...Object.entries(AnomalyDetection.ANOMALY_DIMENSIONS).map(
+                ([key, { label }]) => [key, label]
+              ),
+            ].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setDimension(key)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                  dimension === key
+                    ? "bg-orange-500/20 text-orange-400 border border-orange-500/40"
+                    : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
-          <p className="text-4xl font-black text-white mb-2">
-            {summaryStats.uniqueDestinations}
-          </p>
-          <p className="text-gray-400 text-xs">
-            {summaryStats.uniqueZones} zones
-          </p>
+          <select
+            value={sensitivity}
+            onChange={(e) => setSensitivity(e.target.value)}
+            className="bg-slate-700/50 text-gray-200 px-3 py-1.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 text-xs font-semibold cursor-pointer"
+          >
+            {Object.entries(AnomalyDetection.ANOMALY_SENSITIVITY).map(
+              ([key, { label, threshold }]) => (
+                <option key={key} value={key}>
+                  {label} (|z| ≥ {threshold})
+                </option>
+              )
+            )}
+          </select>
         </div>
       </div>
 
-      {/* Charts Grid */}
-      <div className="grid grid-cols-2 gap-6 mb-6">
-        {/* Monthly Trends */}
-        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
-          <h3 className="text-xl font-bold mb-1 text-gray-100">
-            Monthly Demand Trends
-          </h3>
-          <p className="text-gray-500 text-sm mb-6">
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="w-full">
+          <thead className="sticky top-0 bg-slate-800 z-10">
+            <tr className="border-b border-gray-700">
+              {[
+                "Date",
+                "Type",
+                "Dimension",
+                "Name",
+                "Indents",
+                "Expected",
+                "Change",
+                "Score",
+              ].map((heading) => (
+                <th
+                  key={heading}
+                  className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                >
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {anomalies.map((anomaly) => (
+              <tr
+                key={`${anomaly.dimension}:${anomaly.name}:${anomaly.date}`}
+                className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
+              >
+                <td className="py-2 px-4 text-gray-300">{anomaly.date}</td>
+                <td className="py-2 px-4">
+                  <span
+                    className={`flex items-center gap-1 font-semibold ${
+                      anomaly.direction === "spike"
+                        ? "text-orange-400"
+                        : "text-blue-400"
+                    }`}
+                  >
+                    {anomaly.direction === "spike" ? (
+                      <TrendingUp size={14} />
+                    ) : (
+                      <TrendingDown size={14} />
+                    )}
+                    {anomaly.direction === "spike" ? "Spike" : "Collapse"}
+                  </span>
+                </td>
+                <td className="py-2 px-4 text-gray-400">
+                  {AnomalyDetection.ANOMALY_DIMENSIONS[anomaly.dimension].label}
+                </td>
+                <td className="py-2 px-4 font-semibold text-gray-200">
+                  {labels.forDimension(anomaly.dimension)(anomaly.name)}
+                </td>
+                <td className="py-2 px-4 text-gray-200">{anomaly.value}</td>
+                <td className="py-2 px-4 text-gray-400">{anomaly.expected}</td>
+                <td className="py-2 px-4 text-gray-300">
+                  {anomaly.change > 0 ? "+" : ""}
+                  {anomaly.change}
+                  {anomaly.changePct !== null &&
+                    ` (${anomaly.changePct > 0 ? "+" : ""}${anomaly.changePct}%)`}
+                </td>
+                <td className="py-2 px-4 font-bold text-red-400">
+                  {anomaly.z > 0 ? "+" : ""}
+                  {anomaly.z}
+                </td>
+              </tr>
+            ))}
+            {anomalies.length === 0 && (
+              <tr>
+                <td
+                  colSpan={8}
+                  className="py-6 text-center text-gray-500 text-sm"
+                >
+                  No anomalies at this sensitivity
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Insight Section Component
+ * Findings of the rule-based insight engine, each with its evidence,
+ * entities and a way back to the records behind it
+ */
+function InsightSection({ data, unitBasis, onApplyFilters }) {
+  const [expanded, setExpanded] = useState(null);
+  const labels = useContext(ReferenceLabelsContext);
+
+  const findings = useMemo(
+    () => InsightEngine.runInsights(data, { basis: unitBasis }),
+    [data, unitBasis]
+  );
+
+  const severityStyles = {
+    high: "bg-red-500/20 text-red-400 border-red-500/40",
+    medium: "bg-orange-500/20 text-orange-400 border-orange-500/40",
+    low: "bg-blue-500/20 text-blue-400 border-blue-500/40",
+  };
+
+  return (
+    <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-bold text-gray-100 flex items-center gap-2">
+          <Brain className="text-orange-400" />
+          Insights
+        </h3>
+        <span className="text-xs text-gray-500">
+          {findings.length} of {Object.keys(InsightEngine.INSIGHT_RULES).length}{" "}
+          rules fired
+        </span>
+      </div>
+
+      <div className="space-y-4">
+        {findings.map((finding) => {
+          const records =
+            expanded === finding.rule
+              ? InsightEngine.getFindingRecords(data, finding)
+              : [];
+          const filters = InsightEngine.getFindingFilters(finding);
+          const dimensionLabel =
+            InsightEngine.INSIGHT_DIMENSIONS[finding.dimension].label;
+
+          return (
+            <div
+              key={finding.rule}
+              className="bg-slate-700/30 p-5 rounded-xl border border-gray-600/30"
+            >
+              <div className="flex items-start justify-between gap-4 mb-3">
+                <div>
+                  <div className="flex items-center gap-2 mb-1">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs font-bold border ${severityStyles[finding.severity]}`}
+                    >
+                      {InsightEngine.INSIGHT_SEVERITY[finding.severity].label}
+                    </span>
+                    <span className="text-xs text-gray-500 uppercase tracking-wider">
+                      {InsightEngine.INSIGHT_RULES[finding.rule].label}
+                    </span>
+                  </div>
+                  <h4 className="text-lg font-bold text-gray-100">
+                    {finding.title}
+                  </h4>
+                  <p className="text-gray-400 text-sm leading-relaxed">
+                    {finding.summary}
+                  </p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    onClick={() =>
+                      setExpanded(
+                        expanded === finding.rule ? null : finding.rule
+                      )
+                    }
+                    className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                      expanded === finding.rule
+                        ? "bg-orange-500/20 text-orange-400 border border-orange-500/40"
+                        : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+                    }`}
+                  >
+                    {expanded === finding.rule
+                      ? "Hide records"
+                      : "Show records"}
+                  </button>
+                  {Object.keys(filters).length > 0 && (
+                    <button
+                      onClick={() => onApplyFilters(filters)}
+                      className="px-3 py-1.5 rounded-lg text-xs font-semibold transition-all bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+                    >
+                      Apply as filters
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3 mb-3">
+                {finding.evidence.map((item) => (
+                  <div
+                    key={item.label}
+                    className="bg-slate-800/50 p-3 rounded-lg"
+                  >
+                    <p className="text-xs text-gray-500 mb-1">{item.label}</p>
+                    <p className="text-xl font-bold text-gray-100">
+                      {item.value.toLocaleString()}
+                      {item.suffix}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                <span className="text-gray-500">{dimensionLabel}:</span>
+                {finding.entities.map((entity) => (
+                  <span
+                    key={entity.name}
+                    className="px-2 py-1 rounded bg-slate-800/60 text-gray-300"
+                  >
+                    {labels.forDimension(finding.dimension)(entity.name)}{" "}
+                    <span
+                      className={
+                        entity.value < 0 ? "text-red-400" : "text-green-400"
+                      }
+                    >
+                      {entity.value > 0 && finding.rule !== "concentration"
+                        ? "+"
+                        : ""}
+                      {entity.value.toLocaleString()}
+                    </span>
+                  </span>
+                ))}
+              </div>
+
+              {expanded === finding.rule && (
+                <div className="overflow-x-auto max-h-80 overflow-y-auto mt-4">
+                  <table className="w-full">
+                    <thead className="sticky top-0 bg-slate-800 z-10">
+                      <tr className="border-b border-gray-700">
+                        {[
+                          "Demand No",
+                          "Type",
+                          "Demand Date",
+                          "Zone",
+                          "Consignor",
+                          "Route",
+                          "Commodity",
+                          DataProcessing.UNIT_BASES[unitBasis].label,
+                        ].map((heading) => (
+                          <th
+                            key={heading}
+                            className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                          >
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {records.slice(0, 200).map((record) => (
+                        <tr
+                          key={`${record.qry}:${record.dmndno}`}
+                          className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
+                        >
+                          <td className="py-2 px-4 font-mono text-orange-400">
+                            {record.dmndno}
+                          </td>
+                          <td className="py-2 px-4 text-gray-400">
+                            {record.qry === "ODR_RK_OTSG" ? "ODR" : "Matured"}
+                          </td>
+                          <td className="py-2 px-4 text-gray-400">
+                            {record.demandDateObj?.toLocaleDateString()}
+                          </td>
+                          <td className="py-2 px-4 text-gray-200">
+                            {record.zone}
+                          </td>
+                          <td className="py-2 px-4 text-gray-200">
+                            {record.csnr}
+                          </td>
+                          <td className="py-2 px-4 text-gray-200">
+                            {record.sttnfrom} → {record.dstn}
+                          </td>
+                          <td className="py-2 px-4 text-gray-200">
+                            {record.cmdt || record.rakecmdt}
+                          </td>
+                          <td className="py-2 px-4 text-blue-400 font-semibold">
+                            {DataProcessing.getUnits(
+                              record,
+                              unitBasis
+                            ).toLocaleString()}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {records.length > 200 && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      Showing 200 of {records.length.toLocaleString()} records
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {findings.length === 0 && (
+          <p className="py-6 text-center text-gray-500 text-sm">
+            No rule found anything notable in the current data
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Concentration Section Component
+ * Pareto curve, top-N shares and HHI of consignors, consignees,
+ * destinations or routes, overall or within a zone or commodity
+ */
+function ConcentrationSection({
+  data,
+  granularity,
+  unitBasis,
+  commodityLevel,
+}) {
+  const [dimension, setDimension] = useState("consignor");
+  const [groupBy, setGroupBy] = useState("zone");
+  const [scope, setScope] = useState("ALL");
+  const labels = useContext(ReferenceLabelsContext);
+  const groupOptions = useMemo(
+    () => ({ commodityLevel, reference: labels.lookup }),
+    [commodityLevel, labels]
+  );
+
+  const scopedData = useMemo(() => {
+    if (scope === "ALL") return data;
+    const { getKey } = DataProcessing.CONCENTRATION_GROUPS[groupBy];
+    return data.filter((record) => getKey(record, groupOptions) === scope);
+  }, [data, groupBy, scope, groupOptions]);
+
+  const concentration = useMemo(
+    () => DataProcessing.getConcentration(scopedData, dimension, unitBasis),
+    [scopedData, dimension, unitBasis]
+  );
+  const hhiTrend = useMemo(
+    () =>
+      DataProcessing.getConcentrationTrend(
+        scopedData,
+        dimension,
+        granularity,
+        unitBasis
+      ),
+    [scopedData, dimension, granularity, unitBasis]
+  );
+  const byGroup = useMemo(
+    () =>
+      DataProcessing.getConcentrationBy(
+        data,
+        dimension,
+        groupBy,
+        unitBasis,
+        groupOptions
+      ),
+    [data, dimension, groupBy, unitBasis, groupOptions]
+  );
+
+  const formatName = labels.forDimension(dimension);
+  const formatGroup = labels.forDimension(groupBy);
+  const dimensionLabel =
+    DataProcessing.CONCENTRATION_DIMENSIONS[dimension].label;
+  const basisLabel = DataProcessing.UNIT_BASES[unitBasis].shortLabel;
+  const groupLabel = DataProcessing.CONCENTRATION_GROUPS[groupBy].label;
+  const tooltipStyle = {
+    backgroundColor: "#1F2937",
+    border: "1px solid #374151",
+    borderRadius: "8px",
+    color: "#F3F4F6",
+  };
+
+  return (
+    <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-xl font-bold mb-1 text-gray-100 flex items-center gap-2">
+            <Users className="text-blue-400" />
+            {dimensionLabel} Concentration
+            {scope !== "ALL" && (
+              <span className="text-gray-400 font-medium">
+                {" "}
+                in {groupLabel.toLowerCase()} {formatGroup(scope)}
+              </span>
+            )}
+          </h3>
+          <p className="text-gray-500 text-sm">
+            Share of {basisLabel} held by the largest{" "}
+            {dimensionLabel.toLowerCase()} and the Herfindahl-Hirschman index
+            (sum of squared percentage shares)
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {Object.entries(DataProcessing.CONCENTRATION_DIMENSIONS).map(
+            ([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setDimension(key)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                  dimension === key
+                    ? "bg-blue-500/20 text-blue-400 border border-blue-500/40"
+                    : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+                }`}
+              >
+                {label}
+              </button>
+            )
+          )}
+        </div>
+      </div>
+
+      {/* Concentration KPIs */}
+      <div className="grid grid-cols-6 gap-4 mb-6">
+        {concentration.topShares.map(({ n, share }) => (
+          <div key={n} className="bg-slate-700/30 p-4 rounded-lg">
+            <p className="text-xs text-gray-400 mb-1">Top {n} share</p>
+            <p className="text-2xl font-bold text-orange-400">{share}%</p>
+          </div>
+        ))}
+        <div className="bg-slate-700/30 p-4 rounded-lg">
+          <p className="text-xs text-gray-400 mb-1">Make up 80%</p>
+          <p className="text-2xl font-bold text-blue-400">
+            {concentration.entitiesFor80}
+            <span className="text-sm text-gray-500 font-medium">
+              {" "}
+              of {concentration.entities}
+            </span>
+          </p>
+        </div>
+        <div className="bg-slate-700/30 p-4 rounded-lg">
+          <p className="text-xs text-gray-400 mb-1">HHI</p>
+          <p className="text-2xl font-bold text-purple-400">
+            {concentration.hhi.toLocaleString()}
+          </p>
+          <p className="text-xs text-gray-500">{concentration.level}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-6 mb-6">
+        {/* Pareto Chart */}
+        <div>
+          <h4 className="text-sm font-semibold text-gray-300 mb-3">
+            Pareto curve (top 20)
+          </h4>
+          <ResponsiveContainer width="100%" height={320}>
+            <ComposedChart data={concentration.pareto.slice(0, 20)}>
+              <CartesianGrid
+                strokeDasharray="3 3"
+                stroke="#374151"
+                opacity={0.3}
+              />
+              <XAxis
+                dataKey="name"
+                tickFormatter={formatName}
+                stroke="#9CA3AF"
+                style={{ fontSize: "11px" }}
+                angle={-45}
+                textAnchor="end"
+                height={90}
+              />
+              <YAxis
+                yAxisId="left"
+                stroke="#9CA3AF"
+                style={{ fontSize: "12px" }}
+              />
+              <YAxis
+                yAxisId="right"
+                orientation="right"
+                domain={[0, 100]}
+                unit="%"
+                stroke="#9CA3AF"
+                style={{ fontSize: "12px" }}
+              />
+              <Tooltip
+                labelFormatter={formatName}
+                contentStyle={tooltipStyle}
+              />
+              <Legend />
+              <Bar
+                yAxisId="left"
+                dataKey="units"
+                name={basisLabel}
+                fill="#45B7D1"
+                radius={[8, 8, 0, 0]}
+              />
+              <Line
+                yAxisId="right"
+                type="monotone"
+                dataKey="cumulativeShare"
+                name="Cumulative %"
+                stroke="#FFA07A"
+                strokeWidth={3}
+              />
+              <ReferenceLine
+                yAxisId="right"
+                y={80}
+                stroke="#9CA3AF"
+                strokeDasharray="4 4"
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* HHI Trend */}
+        <div>
+          <h4 className="text-sm font-semibold text-gray-300 mb-3">
+            HHI trend ({DataProcessing.TIME_GRANULARITIES[granularity].label})
+          </h4>
+          <ResponsiveContainer width="100%" height={320}>
+            <ComposedChart data={hhiTrend}>
+              <CartesianGrid
+                strokeDasharray="3 3"
+                stroke="#374151"
+                opacity={0.3}
+              />
+              <XAxis
+                dataKey="period"
+                stroke="#9CA3AF"
+                style={{ fontSize: "12px" }}
+              />
+              <YAxis
+                yAxisId="left"
+                domain={[0, 10000]}
+                stroke="#9CA3AF"
+                style={{ fontSize: "12px" }}
+              />
+              <YAxis
+                yAxisId="right"
+                orientation="right"
+                domain={[0, 100]}
+                unit="%"
+                stroke="#9CA3AF"
+                style={{ fontSize: "12px" }}
+              />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Legend />
+              {DataProcessing.HHI_LEVELS.filter(({ max }) =>
+                Number.isFinite(max)
+              ).map(({ max }) => (
+                <ReferenceLine
+                  key={max}
+                  yAxisId="left"
+                  y={max}
+                  stroke="#9CA3AF"
+                  strokeDasharray="4 4"
+                />
+              ))}
+              <Line
+                yAxisId="left"
+                type="monotone"
+                dataKey="hhi"
+                name="HHI"
+                stroke="#BB8FCE"
+                strokeWidth={3}
+              />
+              <Line
+                yAxisId="right"
+                type="monotone"
+                dataKey="top1Share"
+                name="Top 1 %"
+                stroke="#FFA07A"
+                strokeWidth={2}
+              />
+              <Line
+                yAxisId="right"
+                type="monotone"
+                dataKey="top3Share"
+                name="Top 3 %"
+                stroke="#4ECDC4"
+                strokeWidth={2}
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {/* Concentration by Zone / Commodity */}
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-gray-300">
+          By {groupLabel.toLowerCase()} (select a row to scope the charts)
+        </h4>
+        <div className="flex gap-2">
+          {Object.entries(DataProcessing.CONCENTRATION_GROUPS).map(
+            ([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => {
+                  setGroupBy(key);
+                  setScope("ALL");
+                }}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                  groupBy === key
+                    ? "bg-blue-500/20 text-blue-400 border border-blue-500/40"
+                    : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+                }`}
+              >
+                {label}
+              </button>
+            )
+          )}
+          {scope !== "ALL" && (
+            <button
+              onClick={() => setScope("ALL")}
+              className="px-3 py-1.5 rounded-lg text-xs font-semibold transition-all bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+            >
+              Show overall
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="overflow-x-auto max-h-80 overflow-y-auto">
+        <table className="w-full">
+          <thead className="sticky top-0 bg-slate-800 z-10">
+            <tr className="border-b border-gray-700">
+              {[
+                groupLabel,
+                basisLabel,
+                dimensionLabel,
+                "Top 1",
+                "Top 3",
+                "Make up 80%",
+                "HHI",
+                "Level",
+              ].map((heading) => (
+                <th
+                  key={heading}
+                  className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                >
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {byGroup.map((group) => (
+              <tr
+                key={group.name}
+                onClick={() => setScope(group.name)}
+                className={`border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm cursor-pointer ${
+                  scope === group.name ? "bg-blue-500/10" : ""
+                }`}
+              >
+                <td className="py-2 px-4 font-semibold text-gray-200">
+                  {formatGroup(group.name)}
+                </td>
+                <td className="py-2 px-4 text-gray-300">
+                  {group.total.toLocaleString()}
+                </td>
+                <td className="py-2 px-4 text-gray-300">{group.entities}</td>
+                <td className="py-2 px-4 text-gray-300">
+                  {group.topShares[0].share}%
+                </td>
+                <td className="py-2 px-4 text-gray-300">
+                  {group.topShares[1].share}%
+                </td>
+                <td className="py-2 px-4 text-gray-300">
+                  {group.entitiesFor80}
+                </td>
+                <td className="py-2 px-4 font-bold text-purple-400">
+                  {group.hhi.toLocaleString()}
+                </td>
+                <td className="py-2 px-4 text-gray-400">{group.level}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Retention Section Component
+ * Consignor cohorts by first-seen month with month-over-month retention,
+ * and consignors whose volume has fallen against their trailing average
+ */
+function RetentionSection({ data, unitBasis }) {
+  const [dropThreshold, setDropThreshold] = useState(
+    CohortAnalysis.RETENTION_CONFIG.dropThreshold
+  );
+  const [trailingMonths, setTrailingMonths] = useState(
+    CohortAnalysis.RETENTION_CONFIG.trailingMonths
+  );
+
+  const { offsets, cohorts } = useMemo(
+    () => CohortAnalysis.buildRetentionCohorts(data, unitBasis),
+    [data, unitBasis]
+  );
+  const atRisk = useMemo(
+    () =>
+      CohortAnalysis.findAtRiskConsignors(data, {
+        basis: unitBasis,
+        dropThreshold,
+        trailingMonths,
+      }),
+    [data, unitBasis, dropThreshold, trailingMonths]
+  );
+  const basisLabel = DataProcessing.UNIT_BASES[unitBasis].shortLabel;
+
+  return (
+    <div className="grid grid-cols-2 gap-6 mb-8">
+      {/* Cohort Heatmap */}
+      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+        <h3 className="text-xl font-bold mb-1 text-gray-100 flex items-center gap-2">
+          <Users className="text-teal-400" />
+          Consignor Retention Cohorts
+        </h3>
+        <p className="text-gray-500 text-sm mb-4">
+          Share of each first-seen month&apos;s consignors still indenting after
+          n months
+        </p>
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-slate-800 z-10">
+              <tr className="border-b border-gray-700">
+                {[
+                  "Cohort",
+                  "Size",
+                  ...offsets.map((offset) => `M${offset}`),
+                ].map((heading) => (
+                  <th
+                    key={heading}
+                    className="text-left py-2 px-2 text-gray-400 font-semibold uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {cohorts.map((cohort) => (
+                <tr key={cohort.startDate} className="border-b border-gray-800">
+                  <td className="py-1.5 px-2 font-semibold text-gray-200 whitespace-nowrap">
+                    {cohort.cohort}
+                  </td>
+                  <td className="py-1.5 px-2 text-gray-400">{cohort.size}</td>
+                  {offsets.map((offset) => {
+                    const cell = cohort.retention[offset];
+                    return (
+                      <td
+                        key={offset}
+                        title={
+                          cell
+                            ? `${cell.active} of ${cohort.size} consignors, ${cell.units.toLocaleString()} ${basisLabel}`
+                            : undefined
+                        }
+                        className="py-1.5 px-2 text-center text-gray-100"
+                        style={{
+                          backgroundColor: cell
+                            ? `rgba(78, 205, 196, ${cell.rate / 100})`
+                            : "transparent",
+                        }}
+                      >
+                        {cell ? `${Math.round(cell.rate)}%` : ""}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              {cohorts.length === 0 && (
+                <tr>
+                  <td colSpan={2} className="py-6 text-center text-gray-500">
+                    No dated indents to build cohorts from
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* At-risk Consignors */}
+      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h3 className="text-xl font-bold mb-1 text-gray-100 flex items-center gap-2">
+              <TrendingDown className="text-red-400" />
+              At-risk Consignors
+            </h3>
+            <p className="text-gray-500 text-sm">
+              {atRisk.referenceMonth
+                ? `${atRisk.referenceMonth} ${basisLabel} against the ${trailingMonths} months before`
+                : "No complete month in range"}
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <select
+              value={trailingMonths}
+              onChange={(e) => setTrailingMonths(Number(e.target.value))}
+              className="bg-slate-700/50 text-gray-200 px-3 py-1.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 text-xs font-semibold cursor-pointer"
+            >
+              {[3, 6, 12].map((months) => (
+                <option key={months} value={months}>
+                  {months}-month average
+                </option>
+              ))}
+            </select>
+            <select
+              value={dropThreshold}
+              onChange={(e) => setDropThreshold(Number(e.target.value))}
+              className="bg-slate-700/50 text-gray-200 px-3 py-1.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 text-xs font-semibold cursor-pointer"
+            >
+              {[25, 50, 75, 100].map((threshold) => (
+                <option key={threshold} value={threshold}>
+                  Down {threshold}% or more
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-slate-800 z-10">
+              <tr className="border-b border-gray-700">
+                {[
+                  "Consignor",
+                  "First Seen",
+                  "Last Active",
+                  "Trailing Avg",
+                  "Latest",
+                  "Change",
+                  "Status",
+                ].map((heading) => (
+                  <th
+                    key={heading}
+                    className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {atRisk.consignors.map((consignor) => (
+                <tr
+                  key={consignor.name}
+                  className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
+                >
+                  <td className="py-2 px-4 font-semibold text-gray-200">
+                    {consignor.name}
+                  </td>
+                  <td className="py-2 px-4 text-gray-400">
+                    {consignor.firstSeen}
+                  </td>
+                  <td className="py-2 px-4 text-gray-400">
+                    {consignor.lastActive}
+                  </td>
+                  <td className="py-2 px-4 text-gray-300">
+                    {consignor.trailingAverage.toLocaleString()}
+                  </td>
+                  <td className="py-2 px-4 text-gray-300">
+                    {consignor.recent.toLocaleString()}
+                  </td>
+                  <td className="py-2 px-4 font-bold text-red-400">
+                    {consignor.changePct}%
+                  </td>
+                  <td className="py-2 px-4">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs font-bold border ${
+                        consignor.status === "lapsed"
+                          ? "bg-red-500/20 text-red-400 border-red-500/40"
+                          : "bg-orange-500/20 text-orange-400 border-orange-500/40"
+                      }`}
+                    >
+                      {consignor.status === "lapsed" ? "Lapsed" : "Declining"}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+              {atRisk.consignors.length === 0 && (
+                <tr>
+                  <td
+                    colSpan={7}
+                    className="py-6 text-center text-gray-500 text-sm"
+                  >
+                    No consignor is down {dropThreshold}% or more
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Delta Badge Component
+ * Absolute and percent change of a KPI against the compare-mode baseline
+ */
+function DeltaBadge({ delta }) {
+  if (!delta) return null;
+
+  const { change, changePct, baseline } = delta;
+  const Icon = change < 0 ? TrendingDown : TrendingUp;
+  const color =
+    change > 0
+      ? "text-green-400"
+      : change < 0
+        ? "text-red-400"
+        : "text-gray-400";
+
+  return (
+    <p
+      className={`flex items-center gap-1 text-xs font-semibold my-1 ${color}`}
+    >
+      <Icon size={14} />
+      {change > 0 ? "+" : ""}
+      {change.toLocaleString()}
+      {changePct !== null && ` (${changePct > 0 ? "+" : ""}${changePct}%)`}
+      <span className="text-gray-500 font-normal">
+        vs {baseline.toLocaleString()}
+      </span>
+    </p>
+  );
+}
+
+/**
+ * Comparison Section Component
+ * Commodity, zone and consignor rankings against the baseline period
+ */
+function ComparisonSection({ comparison }) {
+  const rankings = [
+    { title: "Commodities", rows: comparison.commodities, key: "name" },
+    { title: "Zones", rows: comparison.zones, key: "zone" },
+    { title: "Top Consignors", rows: comparison.consignors, key: "name" },
+  ];
+
+  return (
+    <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 mb-6 shadow-xl">
+      <h3 className="text-xl font-bold mb-1 text-gray-100">
+        Period Comparison
+      </h3>
+      <p className="text-gray-500 text-sm mb-6">
+        Orders and rank movement vs {comparison.label}
+      </p>
+      <div className="grid grid-cols-3 gap-6">
+        {rankings.map(({ title, rows, key }) => (
+          <div key={title}>
+            <h4 className="text-sm font-semibold text-gray-300 mb-3">
+              {title}
+            </h4>
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-700">
+                  {["#", "Name", "Orders", "Change"].map((heading) => (
+                    <th
+                      key={heading}
+                      className="text-left py-2 px-2 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, 8).map((row) => (
+                  <tr
+                    key={row[key]}
+                    className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
+                  >
+                    <td className="py-2 px-2 text-gray-400">
+                      {row.rank}
+                      {row.baselineRank !== null &&
+                        row.baselineRank !== row.rank && (
+                          <span
+                            className={`ml-1 text-xs ${
+                              row.baselineRank > row.rank
+                                ? "text-green-400"
+                                : "text-red-400"
+                            }`}
+                          >
+                            {row.baselineRank > row.rank ? "▲" : "▼"}
+                            {Math.abs(row.baselineRank - row.rank)}
+                          </span>
+                        )}
+                      {row.baselineRank === null && (
+                        <span className="ml-1 text-xs text-blue-400">new</span>
+                      )}
+                    </td>
+                    <td className="py-2 px-2 text-gray-200">{row[key]}</td>
+                    <td className="py-2 px-2 text-gray-200">
+                      {row.delta.current.toLocaleString()}
+                    </td>
+                    <td
+                      className={`py-2 px-2 font-semibold ${
+                        row.delta.change > 0
+                          ? "text-green-400"
+                          : row.delta.change < 0
+                            ? "text-red-400"
+                            : "text-gray-400"
+                      }`}
+                    >
+                      {row.delta.change > 0 ? "+" : ""}
+                      {row.delta.change.toLocaleString()}
+                      {row.delta.changePct !== null &&
+                        ` (${row.delta.changePct > 0 ? "+" : ""}${row.delta.changePct}%)`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Overview Tab Component
+ */
+function OverviewTab({
+  summaryStats,
+  odrStats,
+  maturedStats,
+  trendData,
+  trendForecast,
+  timeGranularity,
+  commodityData,
+  commodityLevel,
+  selectedCommodity,
+  onDrillCommodity,
+  onRollUpCommodity,
+  topConsignors,
+  topDestinations,
+  zoneData,
+  rakeTypeData,
+  divisionData,
+  routeData,
+  COLORS,
+  odrData,
+  maturedData,
+  leadTimeData,
+  unitBasis,
+  comparison,
+}) {
+  const unitLabel = DataProcessing.UNIT_BASES[unitBasis];
+  const summaryDelta = comparison?.summary;
+  const labels = useContext(ReferenceLabelsContext);
+  const commodityName = labels.forDimension(
+    commodityLevel === "code" ? "commodity" : commodityLevel
+  );
+  const commodityLevelLabel =
+    DataProcessing.COMMODITY_LEVELS[commodityLevel].label;
+
+  return (
+    <>
+      {/* KPI Cards */}
+      <div className="grid grid-cols-4 gap-6 mb-8">
+        <div className="bg-gradient-to-br from-orange-500/20 to-red-500/20 backdrop-blur-sm p-6 rounded-2xl border border-orange-500/30 hover:border-orange-500/60 transition-all duration-300 hover:scale-105 shadow-xl">
+          <div className="flex items-center gap-4 mb-3">
+            <div className="bg-orange-500/20 p-3 rounded-xl">
+              <TrendingUp className="text-orange-400" size={24} />
+            </div>
+            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
+              Total Orders
+            </span>
+          </div>
+          <p className="text-4xl font-black text-white mb-2">
+            {summaryStats.totalOrders.toLocaleString()}
+          </p>
+          <DeltaBadge delta={summaryDelta?.totalOrders} />
+          <div className="flex items-center gap-4 text-xs">
+            <span className="text-blue-400">
+              ODR: {odrStats.totalOrders.toLocaleString()}
+            </span>
+            <span className="text-purple-400">
+              Matured: {maturedStats.totalOrders.toLocaleString()}
+            </span>
+          </div>
+        </div>
+
+        <div className="bg-gradient-to-br from-blue-500/20 to-cyan-500/20 backdrop-blur-sm p-6 rounded-2xl border border-blue-500/30 hover:border-blue-500/60 transition-all duration-300 hover:scale-105 shadow-xl">
+          <div className="flex items-center gap-4 mb-3">
+            <div className="bg-blue-500/20 p-3 rounded-xl">
+              <Package className="text-blue-400" size={24} />
+            </div>
+            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
+              Rake {unitLabel.label}
+            </span>
+          </div>
+          <p className="text-4xl font-black text-white mb-2">
+            {summaryStats.totalUnits.toLocaleString()}
+          </p>
+          <DeltaBadge delta={summaryDelta?.totalUnits} />
+          <p className="text-gray-400 text-xs">
+            Avg {summaryStats.avgUnitsPerOrder} {unitLabel.shortLabel}/order
+          </p>
+        </div>
+
+        <div className="bg-gradient-to-br from-purple-500/20 to-pink-500/20 backdrop-blur-sm p-6 rounded-2xl border border-purple-500/30 hover:border-purple-500/60 transition-all duration-300 hover:scale-105 shadow-xl">
+          <div className="flex items-center gap-4 mb-3">
+            <div className="bg-purple-500/20 p-3 rounded-xl">
+              <Users className="text-purple-400" size={24} />
+            </div>
+            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
+              Active Clients
+            </span>
+          </div>
+          <p className="text-4xl font-black text-white mb-2">
+            {summaryStats.uniqueConsignors}
+          </p>
+          <DeltaBadge delta={summaryDelta?.uniqueConsignors} />
+          <p className="text-gray-400 text-xs">
+            {summaryStats.uniqueConsignees} consignees
+          </p>
+        </div>
+
+        <div className="bg-gradient-to-br from-green-500/20 to-emerald-500/20 backdrop-blur-sm p-6 rounded-2xl border border-green-500/30 hover:border-green-500/60 transition-all duration-300 hover:scale-105 shadow-xl">
+          <div className="flex items-center gap-4 mb-3">
+            <div className="bg-green-500/20 p-3 rounded-xl">
+              <MapPin className="text-green-400" size={24} />
+            </div>
+            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
+              Destinations
+            </span>
+          </div>
+          <p className="text-4xl font-black text-white mb-2">
+            {summaryStats.uniqueDestinations}
+          </p>
+          <DeltaBadge delta={summaryDelta?.uniqueDestinations} />
+          <p className="text-gray-400 text-xs">
+            {summaryStats.uniqueZones} zones
+          </p>
+        </div>
+      </div>
+
+      {comparison && <ComparisonSection comparison={comparison} />}
+
+      {/* Charts Grid */}
+      <div className="grid grid-cols-2 gap-6 mb-6">
+        {/* Demand Trends */}
+        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+          <h3 className="text-xl font-bold mb-1 text-gray-100">
+            {DataProcessing.TIME_GRANULARITIES[timeGranularity].label} Demand
+            Trends
+          </h3>
+          <p className="text-gray-500 text-sm mb-6">
             Order volume and capacity over time
+            <ForecastNote forecast={trendForecast} />
           </p>
           <ResponsiveContainer width="100%" height={300}>
-            <AreaChart data={monthlyData}>
+            <AreaChart data={trendData}>
               <defs>
                 <linearGradient id="colorDemands" x1="0" y1="0" x2="0" y2="1">
                   <stop offset="5%" stopColor="#FF6B6B" stopOpacity={0.8} />
@@ -802,7 +2509,7 @@ function OverviewTab({
                 opacity={0.3}
               />
               <XAxis
-                dataKey="month"
+                dataKey="period"
                 stroke="#9CA3AF"
                 style={{ fontSize: "12px" }}
               />
@@ -827,32 +2534,83 @@ function OverviewTab({
               <Area
                 type="monotone"
                 dataKey="units"
+                name={unitLabel.label}
                 stroke="#4ECDC4"
                 fillOpacity={1}
                 fill="url(#colorUnits)"
                 strokeWidth={3}
               />
+              {trendForecast.model && (
+                <Area
+                  type="monotone"
+                  dataKey="forecastBand"
+                  name="Forecast interval"
+                  stroke="none"
+                  fill="#F7DC6F"
+                  fillOpacity={0.15}
+                />
+              )}
+              {trendForecast.model && (
+                <Area
+                  type="monotone"
+                  dataKey="forecast"
+                  name="Forecast demands"
+                  stroke="#F7DC6F"
+                  strokeDasharray="6 4"
+                  fill="none"
+                  strokeWidth={2}
+                />
+              )}
+              {comparison && (
+                <Area
+                  type="monotone"
+                  dataKey="baselineDemands"
+                  name="Baseline demands"
+                  stroke="#9CA3AF"
+                  strokeDasharray="5 5"
+                  fill="none"
+                  strokeWidth={2}
+                />
+              )}
             </AreaChart>
           </ResponsiveContainer>
         </div>
 
         {/* Commodity Distribution */}
         <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
-          <h3 className="text-xl font-bold mb-1 text-gray-100">
-            Commodity Distribution
-          </h3>
-          <p className="text-gray-500 text-sm mb-6">
-            Top commodities by order volume
-          </p>
+          <div className="flex items-start justify-between mb-6">
+            <div>
+              <h3 className="text-xl font-bold mb-1 text-gray-100">
+                Commodity Distribution
+              </h3>
+              <p className="text-gray-500 text-sm">
+                Top commodity {commodityLevelLabel.toLowerCase()}s by order
+                volume
+                {selectedCommodity !== "ALL" &&
+                  ` within ${commodityName(selectedCommodity)}`}{" "}
+                • click a slice to drill down
+              </p>
+            </div>
+            {onRollUpCommodity && (
+              <button
+                onClick={onRollUpCommodity}
+                className="px-3 py-1.5 rounded-lg text-xs font-semibold transition-all bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+              >
+                Roll up
+              </button>
+            )}
+          </div>
           <ResponsiveContainer width="100%" height={300}>
             <PieChart>
               <Pie
                 data={commodityData.slice(0, 8)}
+                onClick={(entry) => onDrillCommodity(entry.name)}
+                className="cursor-pointer"
                 cx="50%"
                 cy="50%"
                 labelLine={false}
                 label={({ name, percent }) =>
-                  `${name} ${(percent * 100).toFixed(0)}%`
+                  `${commodityName(name)} ${(percent * 100).toFixed(0)}%`
                 }
                 outerRadius={100}
                 fill="#8884d8"
@@ -879,33 +2637,394 @@ function OverviewTab({
       </div>
 
       <div className="grid grid-cols-2 gap-6 mb-6">
-        {/* Top Consignors */}
+        {/* Top Consignors */}
+        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+          <h3 className="text-xl font-bold mb-1 text-gray-100">
+            Top Consignors
+          </h3>
+          <p className="text-gray-500 text-sm mb-6">
+            Client partners by order volume
+          </p>
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={topConsignors} layout="vertical">
+              <CartesianGrid
+                strokeDasharray="3 3"
+                stroke="#374151"
+                opacity={0.3}
+              />
+              <XAxis
+                type="number"
+                stroke="#9CA3AF"
+                style={{ fontSize: "12px" }}
+              />
+              <YAxis
+                dataKey="name"
+                type="category"
+                stroke="#9CA3AF"
+                style={{ fontSize: "11px" }}
+                width={60}
+              />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: "#1F2937",
+                  border: "1px solid #374151",
+                  borderRadius: "8px",
+                  color: "#F3F4F6",
+                }}
+              />
+              <Bar dataKey="orders" fill="#4ECDC4" radius={[0, 8, 8, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Top Destinations */}
+        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+          <h3 className="text-xl font-bold mb-1 text-gray-100">
+            Top Destinations
+          </h3>
+          <p className="text-gray-500 text-sm mb-6">
+            Most active delivery locations
+          </p>
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={topDestinations}>
+              <CartesianGrid
+                strokeDasharray="3 3"
+                stroke="#374151"
+                opacity={0.3}
+              />
+              <XAxis
+                dataKey="name"
+                tickFormatter={labels.station}
+                stroke="#9CA3AF"
+                style={{ fontSize: "10px" }}
+                angle={-45}
+                textAnchor="end"
+                height={80}
+              />
+              <YAxis stroke="#9CA3AF" style={{ fontSize: "12px" }} />
+              <Tooltip
+                labelFormatter={labels.station}
+                contentStyle={{
+                  backgroundColor: "#1F2937",
+                  border: "1px solid #374151",
+                  borderRadius: "8px",
+                  color: "#F3F4F6",
+                }}
+              />
+              <Bar dataKey="shipments" fill="#FF6B6B" radius={[8, 8, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-6 mb-6">
+        {/* Zone Performance */}
+        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+          <h3 className="text-xl font-bold mb-1 text-gray-100">
+            Zone Performance
+          </h3>
+          <p className="text-gray-500 text-sm mb-6">Railway zone comparison</p>
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={zoneData}>
+              <CartesianGrid
+                strokeDasharray="3 3"
+                stroke="#374151"
+                opacity={0.3}
+              />
+              <XAxis
+                dataKey="zone"
+                tickFormatter={labels.zone}
+                stroke="#9CA3AF"
+                style={{ fontSize: "10px" }}
+                angle={-30}
+                textAnchor="end"
+                height={80}
+              />
+              <YAxis stroke="#9CA3AF" style={{ fontSize: "12px" }} />
+              <Tooltip
+                labelFormatter={labels.zone}
+                contentStyle={{
+                  backgroundColor: "#1F2937",
+                  border: "1px solid #374151",
+                  borderRadius: "8px",
+                  color: "#F3F4F6",
+                }}
+              />
+              <Legend />
+              <Bar dataKey="orders" fill="#45B7D1" radius={[8, 8, 0, 0]} />
+              <Bar
+                dataKey="units"
+                name={unitLabel.label}
+                fill="#F7DC6F"
+                radius={[8, 8, 0, 0]}
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Rake Type Distribution */}
+        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+          <h3 className="text-xl font-bold mb-1 text-gray-100">
+            Rake Type Utilization
+          </h3>
+          <p className="text-gray-500 text-sm mb-6">
+            Equipment deployment by type
+          </p>
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={rakeTypeData} layout="vertical">
+              <CartesianGrid
+                strokeDasharray="3 3"
+                stroke="#374151"
+                opacity={0.3}
+              />
+              <XAxis
+                type="number"
+                stroke="#9CA3AF"
+                style={{ fontSize: "12px" }}
+              />
+              <YAxis
+                dataKey="name"
+                type="category"
+                stroke="#9CA3AF"
+                style={{ fontSize: "10px" }}
+                width={80}
+              />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: "#1F2937",
+                  border: "1px solid #374151",
+                  borderRadius: "8px",
+                  color: "#F3F4F6",
+                }}
+              />
+              <Bar
+                dataKey="units"
+                name={unitLabel.label}
+                fill="#BB8FCE"
+                radius={[0, 8, 8, 0]}
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <LeadTimeSection
+        data={leadTimeData}
+        title="Supply Lead Time"
+        subtitle="Demand to supply lag for supplied and matured indents"
+        commodityLevel={commodityLevel}
+      />
+
+      {/* Route Analysis */}
+      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 mb-6 shadow-xl">
+        <h3 className="text-xl font-bold mb-1 text-gray-100">Top Routes</h3>
+        <p className="text-gray-500 text-sm mb-6">
+          Most active origin-destination pairs
+        </p>
+        <div className="grid grid-cols-3 gap-4">
+          {routeData.map((route, idx) => (
+            <div
+              key={idx}
+              className="bg-slate-700/30 p-4 rounded-lg border border-gray-600/30 hover:border-gray-500/50 transition-all"
+            >
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-xs font-bold text-orange-400">
+                  #{idx + 1}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {route.shipments} shipments
+                </span>
+              </div>
+              <p className="text-sm font-semibold text-gray-200 mb-1">
+                {labels.route(route.route)}
+              </p>
+              <p className="text-xs text-gray-400">
+                {route.units.toLocaleString()} {unitLabel.shortLabel}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Division Activity Table */}
+      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+        <h3 className="text-xl font-bold mb-1 text-gray-100">
+          Division Activity Matrix
+        </h3>
+        <p className="text-gray-500 text-sm mb-6">
+          Operational metrics across railway divisions
+        </p>
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-slate-800 z-10">
+              <tr className="border-b border-gray-700">
+                <th className="text-left py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  Division
+                </th>
+                <th className="text-center py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  Orders
+                </th>
+                <th className="text-center py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  Total {unitLabel.label}
+                </th>
+                <th className="text-center py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  Avg {unitLabel.label}
+                </th>
+                <th className="text-right py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  Performance
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {divisionData.slice(0, 15).map((div) => (
+                <tr
+                  key={div.division}
+                  className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors"
+                >
+                  <td className="py-3 px-4">
+                    <span className="font-bold text-orange-400">
+                      {labels.division(div.division)}
+                    </span>
+                  </td>
+                  <td className="text-center py-3 px-4">
+                    <span className="text-gray-200 font-semibold">
+                      {div.orders.toLocaleString()}
+                    </span>
+                  </td>
+                  <td className="text-center py-3 px-4">
+                    <span className="text-blue-400 font-semibold">
+                      {div.totalUnits.toLocaleString()}
+                    </span>
+                  </td>
+                  <td className="text-center py-3 px-4">
+                    <span className="text-green-400 font-semibold">
+                      {div.avgUnits}
+                    </span>
+                  </td>
+                  <td className="text-right py-3 px-4">
+                    <div className="flex items-center justify-end gap-2">
+                      <div className="w-32 h-2 bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-gradient-to-r from-orange-500 to-red-500 rounded-full transition-all duration-500"
+                          style={{
+                            width: `${
+                              (div.orders /
+                                Math.max(
+                                  ...divisionData.map((d) => d.orders)
+                                )) *
+                              100
+                            }%`,
+                          }}
+                        ></div>
+                      </div>
+                      <span className="text-gray-400 text-xs font-medium w-12">
+                        {Math.round(
+                          (div.orders /
+                            Math.max(...divisionData.map((d) => d.orders))) *
+                            100
+                        )}
+                        %
+                      </span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const LEAD_TIME_DIMENSIONS = [
+  { key: "zone", label: "Zone" },
+  { key: "division", label: "Division" },
+  { key: "commodity", label: "Commodity" },
+  { key: "rake-type", label: "Rake Type" },
+  { key: "route", label: "Route" },
+];
+
+/**
+ * Format a lag in hours as hours or days
+ */
+const formatLeadTime = (hours) => {
+  if (hours === null) return "—";
+  return hours < 48 ? `${hours}h` : `${(hours / 24).toFixed(1)}d`;
+};
+
+/**
+ * Lead Time Section Component
+ * Distribution, monthly trend and slowest segments of the supply lag
+ */
+function LeadTimeSection({ data, title, subtitle, commodityLevel }) {
+  const [dimension, setDimension] = useState("zone");
+  const labels = useContext(ReferenceLabelsContext);
+  const formatName = labels.forDimension(dimension);
+
+  const leadTimeStats = useMemo(
+    () => DataProcessing.calculateLeadTimeStats(data),
+    [data]
+  );
+  const leadTimeDistribution = useMemo(
+    () => DataProcessing.getLeadTimeDistribution(data),
+    [data]
+  );
+  const leadTimeTrend = useMemo(
+    () => DataProcessing.getLeadTimeTrend(data),
+    [data]
+  );
+  const leadTimeSegments = useMemo(
+    () =>
+      DataProcessing.aggregateLeadTimeBy(data, dimension, 10, {
+        commodityLevel,
+        reference: labels.lookup,
+      }),
+    [data, dimension, commodityLevel, labels]
+  );
+
+  return (
+    <>
+      <div className="grid grid-cols-2 gap-6 mb-6">
+        {/* Lead Time Distribution */}
         <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
-          <h3 className="text-xl font-bold mb-1 text-gray-100">
-            Top Consignors
-          </h3>
-          <p className="text-gray-500 text-sm mb-6">
-            Client partners by order volume
-          </p>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={topConsignors} layout="vertical">
+          <div className="flex items-center gap-2 mb-1">
+            <Clock className="text-cyan-400" size={20} />
+            <h3 className="text-xl font-bold text-gray-100">{title}</h3>
+          </div>
+          <p className="text-gray-500 text-sm mb-4">{subtitle}</p>
+          <div className="grid grid-cols-3 gap-4 mb-6">
+            {[
+              ["Median", leadTimeStats.median, "text-cyan-400"],
+              ["P90", leadTimeStats.p90, "text-yellow-400"],
+              ["Max", leadTimeStats.max, "text-red-400"],
+            ].map(([label, value, color]) => (
+              <div
+                key={label}
+                className="bg-slate-700/30 p-3 rounded-lg border border-gray-600/30"
+              >
+                <p className="text-xs text-gray-500 uppercase tracking-wider">
+                  {label}
+                </p>
+                <p className={`text-2xl font-black ${color}`}>
+                  {formatLeadTime(value)}
+                </p>
+              </div>
+            ))}
+          </div>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={leadTimeDistribution}>
               <CartesianGrid
                 strokeDasharray="3 3"
                 stroke="#374151"
                 opacity={0.3}
               />
               <XAxis
-                type="number"
+                dataKey="bucket"
                 stroke="#9CA3AF"
                 style={{ fontSize: "12px" }}
               />
-              <YAxis
-                dataKey="name"
-                type="category"
-                stroke="#9CA3AF"
-                style={{ fontSize: "11px" }}
-                width={60}
-              />
+              <YAxis stroke="#9CA3AF" style={{ fontSize: "12px" }} />
               <Tooltip
                 contentStyle={{
                   backgroundColor: "#1F2937",
@@ -914,33 +3033,36 @@ function OverviewTab({
                   color: "#F3F4F6",
                 }}
               />
-              <Bar dataKey="orders" fill="#4ECDC4" radius={[0, 8, 8, 0]} />
+              <Bar
+                dataKey="count"
+                name="Indents"
+                fill="#4ECDC4"
+                radius={[8, 8, 0, 0]}
+              />
             </BarChart>
           </ResponsiveContainer>
         </div>
 
-        {/* Top Destinations */}
+        {/* Lead Time Trend */}
         <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
           <h3 className="text-xl font-bold mb-1 text-gray-100">
-            Top Destinations
+            Lead Time Trend
           </h3>
           <p className="text-gray-500 text-sm mb-6">
-            Most active delivery locations
+            Median and P90 lag (hours) by demand month across{" "}
+            {leadTimeStats.count.toLocaleString()} supplied indents
           </p>
           <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={topDestinations}>
+            <LineChart data={leadTimeTrend}>
               <CartesianGrid
                 strokeDasharray="3 3"
                 stroke="#374151"
                 opacity={0.3}
               />
               <XAxis
-                dataKey="name"
+                dataKey="month"
                 stroke="#9CA3AF"
-                style={{ fontSize: "10px" }}
-                angle={-45}
-                textAnchor="end"
-                height={80}
+                style={{ fontSize: "12px" }}
               />
               <YAxis stroke="#9CA3AF" style={{ fontSize: "12px" }} />
               <Tooltip
@@ -950,207 +3072,544 @@ function OverviewTab({
                   borderRadius: "8px",
                   color: "#F3F4F6",
                 }}
+                formatter={(value) => formatLeadTime(value)}
               />
-              <Bar dataKey="shipments" fill="#FF6B6B" radius={[8, 8, 0, 0]} />
-            </BarChart>
+              <Legend />
+              <Line
+                type="monotone"
+                dataKey="median"
+                name="Median"
+                stroke="#4ECDC4"
+                strokeWidth={3}
+              />
+              <Line
+                type="monotone"
+                dataKey="p90"
+                name="P90"
+                stroke="#F7DC6F"
+                strokeWidth={3}
+                strokeDasharray="5 5"
+              />
+            </LineChart>
           </ResponsiveContainer>
         </div>
       </div>
 
-      <div className="grid grid-cols-2 gap-6 mb-6">
-        {/* Zone Performance */}
-        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
-          <h3 className="text-xl font-bold mb-1 text-gray-100">
-            Zone Performance
-          </h3>
-          <p className="text-gray-500 text-sm mb-6">Railway zone comparison</p>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={zoneData}>
-              <CartesianGrid
-                strokeDasharray="3 3"
-                stroke="#374151"
-                opacity={0.3}
-              />
-              <XAxis
-                dataKey="zone"
-                stroke="#9CA3AF"
-                style={{ fontSize: "12px" }}
-              />
-              <YAxis stroke="#9CA3AF" style={{ fontSize: "12px" }} />
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#1F2937",
-                  border: "1px solid #374151",
-                  borderRadius: "8px",
-                  color: "#F3F4F6",
-                }}
-              />
-              <Legend />
-              <Bar dataKey="orders" fill="#45B7D1" radius={[8, 8, 0, 0]} />
-              <Bar dataKey="units" fill="#F7DC6F" radius={[8, 8, 0, 0]} />
-            </BarChart>
-          </ResponsiveContainer>
+      {/* Slowest Segments */}
+      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 mb-6 shadow-xl">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-xl font-bold mb-1 text-gray-100">
+              Slowest Segments
+            </h3>
+            <p className="text-gray-500 text-sm">
+              Highest P90 supply lag by{" "}
+              {LEAD_TIME_DIMENSIONS.find(
+                (d) => d.key === dimension
+              ).label.toLowerCase()}
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {LEAD_TIME_DIMENSIONS.map((d) => (
+              <button
+                key={d.key}
+                onClick={() => setDimension(d.key)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                  dimension === d.key
+                    ? "bg-cyan-500/20 text-cyan-400 border border-cyan-500/40"
+                    : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+                }`}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-gray-700">
+                <th className="text-left py-3 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  {LEAD_TIME_DIMENSIONS.find((d) => d.key === dimension).label}
+                </th>
+                <th className="text-center py-3 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  Indents
+                </th>
+                <th className="text-center py-3 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  Median
+                </th>
+                <th className="text-center py-3 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  P90
+                </th>
+                <th className="text-right py-3 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
+                  Max
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {leadTimeSegments.map((segment) => (
+                <tr
+                  key={segment.name}
+                  className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors"
+                >
+                  <td className="py-3 px-4 font-bold text-orange-400">
+                    {formatName(segment.name)}
+                  </td>
+                  <td className="text-center py-3 px-4 text-gray-200 font-semibold">
+                    {segment.count.toLocaleString()}
+                  </td>
+                  <td className="text-center py-3 px-4 text-cyan-400 font-semibold">
+                    {formatLeadTime(segment.median)}
+                  </td>
+                  <td className="text-center py-3 px-4 text-yellow-400 font-semibold">
+                    {formatLeadTime(segment.p90)}
+                  </td>
+                  <td className="text-right py-3 px-4 text-red-400 font-semibold">
+                    {formatLeadTime(segment.max)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
+      </div>
+    </>
+  );
+}
 
-        {/* Rake Type Distribution */}
-        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
-          <h3 className="text-xl font-bold mb-1 text-gray-100">
-            Rake Type Utilization
-          </h3>
-          <p className="text-gray-500 text-sm mb-6">
-            Equipment deployment by type
+const SUPPLY_DIMENSIONS = [
+  { key: "zone", label: "Zone" },
+  { key: "division", label: "Division" },
+  { key: "station", label: "Station" },
+  { key: "commodity", label: "Commodity" },
+];
+
+/**
+ * Supply Ratio Section Component
+ * Fill rate and backlog ratio of ODR indents on the selected unit basis
+ */
+function SupplyRatioSection({ data, basis, commodityLevel }) {
+  const [dimension, setDimension] = useState("zone");
+  const labels = useContext(ReferenceLabelsContext);
+  const formatName = labels.forDimension(dimension);
+
+  const supplyRatios = useMemo(
+    () => DataProcessing.calculateSupplyRatios(data, basis),
+    [data, basis]
+  );
+  const supplyByDimension = useMemo(
+    () =>
+      DataProcessing.aggregateSupplyRatiosBy(data, dimension, basis, 15, {
+        commodityLevel,
+        reference: labels.lookup,
+      }),
+    [data, dimension, basis, commodityLevel, labels]
+  );
+  const basisLabel = DataProcessing.UNIT_BASES[basis].shortLabel;
+
+  return (
+    <>
+      {/* Supply Ratio KPIs */}
+      <h3 className="text-xl font-bold text-gray-100 mb-4">
+        Supply Performance
+      </h3>
+      <div className="grid grid-cols-4 gap-6 mb-6">
+        <div className="bg-gradient-to-br from-green-500/20 to-emerald-500/20 backdrop-blur-sm p-6 rounded-2xl border border-green-500/30 shadow-xl">
+          <div className="flex items-center gap-4 mb-3">
+            <div className="bg-green-500/20 p-3 rounded-xl">
+              <Target className="text-green-400" size={24} />
+            </div>
+            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
+              Fill Rate
+            </span>
+          </div>
+          <p className="text-4xl font-black text-white">
+            {supplyRatios.fillRate}%
+          </p>
+          <p className="text-gray-400 text-xs mt-2">Supplied / indented</p>
+        </div>
+
+        <div className="bg-gradient-to-br from-red-500/20 to-orange-500/20 backdrop-blur-sm p-6 rounded-2xl border border-red-500/30 shadow-xl">
+          <div className="flex items-center gap-4 mb-3">
+            <div className="bg-red-500/20 p-3 rounded-xl">
+              <TrendingDown className="text-red-400" size={24} />
+            </div>
+            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
+              Backlog Ratio
+            </span>
+          </div>
+          <p className="text-4xl font-black text-white">
+            {supplyRatios.backlogRatio}%
+          </p>
+          <p className="text-gray-400 text-xs mt-2">Outstanding / indented</p>
+        </div>
+
+        <div className="bg-gradient-to-br from-blue-500/20 to-cyan-500/20 backdrop-blur-sm p-6 rounded-2xl border border-blue-500/30 shadow-xl">
+          <div className="flex items-center gap-4 mb-3">
+            <div className="bg-blue-500/20 p-3 rounded-xl">
+              <CheckCircle className="text-blue-400" size={24} />
+            </div>
+            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
+              Supplied
+            </span>
+          </div>
+          <p className="text-4xl font-black text-white">
+            {supplyRatios.supplied.toLocaleString()}
+          </p>
+          <p className="text-gray-400 text-xs mt-2">
+            of {supplyRatios.indented.toLocaleString()} {basisLabel} indented
+          </p>
+        </div>
+
+        <div className="bg-gradient-to-br from-yellow-500/20 to-orange-500/20 backdrop-blur-sm p-6 rounded-2xl border border-yellow-500/30 shadow-xl">
+          <div className="flex items-center gap-4 mb-3">
+            <div className="bg-yellow-500/20 p-3 rounded-xl">
+              <AlertCircle className="text-yellow-400" size={24} />
+            </div>
+            <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
+              Outstanding
+            </span>
+          </div>
+          <p className="text-4xl font-black text-white">
+            {supplyRatios.outstanding.toLocaleString()}
+          </p>
+          <p className="text-gray-400 text-xs mt-2">
+            {basisLabel} across {supplyRatios.orders.toLocaleString()} indents
           </p>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={rakeTypeData} layout="vertical">
-              <CartesianGrid
-                strokeDasharray="3 3"
-                stroke="#374151"
-                opacity={0.3}
-              />
-              <XAxis
-                type="number"
-                stroke="#9CA3AF"
-                style={{ fontSize: "12px" }}
-              />
-              <YAxis
-                dataKey="name"
-                type="category"
-                stroke="#9CA3AF"
-                style={{ fontSize: "10px" }}
-                width={80}
-              />
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#1F2937",
-                  border: "1px solid #374151",
-                  borderRadius: "8px",
-                  color: "#F3F4F6",
-                }}
-              />
-              <Bar dataKey="units" fill="#BB8FCE" radius={[0, 8, 8, 0]} />
-            </BarChart>
-          </ResponsiveContainer>
         </div>
       </div>
 
-      {/* Route Analysis */}
+      {/* Supply Ratios by Dimension */}
       <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 mb-6 shadow-xl">
-        <h3 className="text-xl font-bold mb-1 text-gray-100">Top Routes</h3>
-        <p className="text-gray-500 text-sm mb-6">
-          Most active origin-destination pairs
-        </p>
-        <div className="grid grid-cols-3 gap-4">
-          {routeData.map((route, idx) => (
-            <div
-              key={idx}
-              className="bg-slate-700/30 p-4 rounded-lg border border-gray-600/30 hover:border-gray-500/50 transition-all"
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-xl font-bold mb-1 text-gray-100">
+              Fill Rate by{" "}
+              {SUPPLY_DIMENSIONS.find((d) => d.key === dimension).label}
+            </h3>
+            <p className="text-gray-500 text-sm">
+              Supplied and outstanding {basisLabel} with fill rate and backlog
+              ratio
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {SUPPLY_DIMENSIONS.map((d) => (
+              <button
+                key={d.key}
+                onClick={() => setDimension(d.key)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                  dimension === d.key
+                    ? "bg-blue-500/20 text-blue-400 border border-blue-500/40"
+                    : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+                }`}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <ResponsiveContainer width="100%" height={340}>
+          <ComposedChart data={supplyByDimension}>
+            <CartesianGrid
+              strokeDasharray="3 3"
+              stroke="#374151"
+              opacity={0.3}
+            />
+            <XAxis
+              dataKey="name"
+              tickFormatter={formatName}
+              stroke="#9CA3AF"
+              style={{ fontSize: "11px" }}
+              angle={-45}
+              textAnchor="end"
+              height={90}
+            />
+            <YAxis
+              yAxisId="left"
+              stroke="#9CA3AF"
+              style={{ fontSize: "12px" }}
+            />
+            <YAxis
+              yAxisId="right"
+              orientation="right"
+              domain={[0, 100]}
+              unit="%"
+              stroke="#9CA3AF"
+              style={{ fontSize: "12px" }}
+            />
+            <Tooltip
+              labelFormatter={formatName}
+              contentStyle={{
+                backgroundColor: "#1F2937",
+                border: "1px solid #374151",
+                borderRadius: "8px",
+                color: "#F3F4F6",
+              }}
+            />
+            <Legend />
+            <Bar
+              yAxisId="left"
+              dataKey="supplied"
+              name={`Supplied (${basisLabel})`}
+              stackId="supply"
+              fill="#4ECDC4"
+            />
+            <Bar
+              yAxisId="left"
+              dataKey="outstanding"
+              name={`Outstanding (${basisLabel})`}
+              stackId="supply"
+              fill="#FF6B6B"
+              radius={[8, 8, 0, 0]}
+            />
+            <Line
+              yAxisId="right"
+              type="monotone"
+              dataKey="fillRate"
+              name="Fill Rate %"
+              stroke="#52C41A"
+              strokeWidth={3}
+            />
+            <Line
+              yAxisId="right"
+              type="monotone"
+              dataKey="backlogRatio"
+              name="Backlog Ratio %"
+              stroke="#F7DC6F"
+              strokeWidth={2}
+              strokeDasharray="5 5"
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </>
+  );
+}
+
+const AGING_DIMENSIONS = [
+  { key: "division", label: "Division" },
+  { key: "station", label: "Station" },
+  { key: "commodity", label: "Commodity" },
+];
+
+const AGING_COLORS = ["#52C41A", "#F7DC6F", "#FFA07A", "#FF6B6B"];
+
+/**
+ * Aging Section Component
+ * Outstanding ODR demands bucketed by days waiting as of a reference date
+ */
+function AgingSection({ data, basis, commodityLevel }) {
+  const [referenceDate, setReferenceDate] = useState(() =>
+    DataProcessing.toDateString(new Date())
+  );
+  const [dimension, setDimension] = useState("division");
+  const labels = useContext(ReferenceLabelsContext);
+  const formatName = labels.forDimension(dimension);
+  const [selectedBucket, setSelectedBucket] = useState(
+    DataProcessing.AGING_BUCKETS[DataProcessing.AGING_BUCKETS.length - 1].bucket
+  );
+
+  const agingBuckets = useMemo(
+    () => DataProcessing.getAgingBuckets(data, referenceDate, 10, basis),
+    [data, referenceDate, basis]
+  );
+  const agingByDimension = useMemo(
+    () =>
+      DataProcessing.aggregateAgingBy(data, dimension, referenceDate, 15, {
+        commodityLevel,
+        reference: labels.lookup,
+      }),
+    [data, dimension, referenceDate, commodityLevel, labels]
+  );
+  const oldestDemands =
+    agingBuckets.find((entry) => entry.bucket === selectedBucket)?.oldest || [];
+
+  return (
+    <>
+      {/* Aging Buckets */}
+      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 mb-6 shadow-xl">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-xl font-bold mb-1 text-gray-100">
+              Outstanding Indent Aging
+            </h3>
+            <p className="text-gray-500 text-sm">
+              Days waiting since demand date for indents with outstanding units
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            As of
+            <input
+              type="date"
+              value={referenceDate}
+              onChange={(e) =>
+                e.target.value && setReferenceDate(e.target.value)
+              }
+              className="bg-slate-700/50 text-gray-200 px-3 py-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 text-sm"
+            />
+          </label>
+        </div>
+        <div className="grid grid-cols-4 gap-4 mb-6">
+          {agingBuckets.map((entry, idx) => (
+            <button
+              key={entry.bucket}
+              onClick={() => setSelectedBucket(entry.bucket)}
+              className={`text-left p-4 rounded-xl border transition-all ${
+                selectedBucket === entry.bucket
+                  ? "bg-slate-700/60 border-orange-500/60"
+                  : "bg-slate-700/30 border-gray-600/30 hover:border-gray-500/50"
+              }`}
             >
-              <div className="flex items-center justify-between mb-2">
-                <span className="text-xs font-bold text-orange-400">
-                  #{idx + 1}
-                </span>
-                <span className="text-xs text-gray-500">
-                  {route.shipments} shipments
-                </span>
-              </div>
-              <p className="text-sm font-semibold text-gray-200 mb-1">
-                {route.route}
+              <p
+                className="text-xs font-semibold uppercase tracking-wider mb-2"
+                style={{ color: AGING_COLORS[idx] }}
+              >
+                {entry.bucket}
               </p>
-              <p className="text-xs text-gray-400">
-                {route.units.toLocaleString()} units
+              <p className="text-3xl font-black text-white">
+                {entry.orders.toLocaleString()}
               </p>
-            </div>
+              <p className="text-xs text-gray-400 mt-1">
+                {entry.units.toLocaleString()} outstanding{" "}
+                {DataProcessing.UNIT_BASES[basis].shortLabel}
+              </p>
+            </button>
           ))}
         </div>
-      </div>
 
-      {/* Division Activity Table */}
-      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
-        <h3 className="text-xl font-bold mb-1 text-gray-100">
-          Division Activity Matrix
-        </h3>
-        <p className="text-gray-500 text-sm mb-6">
-          Operational metrics across railway divisions
-        </p>
-        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        {/* Oldest Demands */}
+        <h4 className="text-sm font-semibold text-gray-300 mb-3">
+          Oldest demands in {selectedBucket}
+        </h4>
+        <div className="overflow-x-auto max-h-80 overflow-y-auto">
           <table className="w-full">
             <thead className="sticky top-0 bg-slate-800 z-10">
               <tr className="border-b border-gray-700">
-                <th className="text-left py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
-                  Division
-                </th>
-                <th className="text-center py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
-                  Orders
-                </th>
-                <th className="text-center py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
-                  Total Units
-                </th>
-                <th className="text-center py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
-                  Avg Units
-                </th>
-                <th className="text-right py-4 px-4 text-gray-400 font-semibold text-sm uppercase tracking-wider">
-                  Performance
-                </th>
+                {[
+                  "Demand No",
+                  "Division",
+                  "Station",
+                  "Destination",
+                  "Consignor",
+                  "Commodity",
+                  "Demand Date",
+                  "Age",
+                  "Outstanding",
+                ].map((heading) => (
+                  <th
+                    key={heading}
+                    className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
               </tr>
             </thead>
             <tbody>
-              {divisionData.slice(0, 15).map((div) => (
+              {oldestDemands.map((demand) => (
                 <tr
-                  key={div.division}
-                  className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors"
+                  key={demand.dmndno}
+                  className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
                 >
-                  <td className="py-3 px-4">
-                    <span className="font-bold text-orange-400">
-                      {div.division}
-                    </span>
-                  </td>
-                  <td className="text-center py-3 px-4">
-                    <span className="text-gray-200 font-semibold">
-                      {div.orders.toLocaleString()}
-                    </span>
+                  <td className="py-2 px-4 font-mono text-orange-400">
+                    {demand.dmndno}
                   </td>
-                  <td className="text-center py-3 px-4">
-                    <span className="text-blue-400 font-semibold">
-                      {div.totalUnits.toLocaleString()}
-                    </span>
+                  <td className="py-2 px-4 text-gray-200">{demand.dvsn}</td>
+                  <td className="py-2 px-4 text-gray-200">{demand.sttnfrom}</td>
+                  <td className="py-2 px-4 text-gray-200">{demand.dstn}</td>
+                  <td className="py-2 px-4 text-gray-200">{demand.csnr}</td>
+                  <td className="py-2 px-4 text-gray-200">{demand.cmdt}</td>
+                  <td className="py-2 px-4 text-gray-400">
+                    {demand.demandDate.toLocaleDateString()}
                   </td>
-                  <td className="text-center py-3 px-4">
-                    <span className="text-green-400 font-semibold">
-                      {div.avgUnits}
-                    </span>
+                  <td className="py-2 px-4 font-bold text-red-400">
+                    {demand.ageDays}d
                   </td>
-                  <td className="text-right py-3 px-4">
-                    <div className="flex items-center justify-end gap-2">
-                      <div className="w-32 h-2 bg-gray-700 rounded-full overflow-hidden">
-                        <div
-                          className="h-full bg-gradient-to-r from-orange-500 to-red-500 rounded-full transition-all duration-500"
-                          style={{
-                            width: `${
-                              (div.orders /
-                                Math.max(
-                                  ...divisionData.map((d) => d.orders)
-                                )) *
-                              100
-                            }%`,
-                          }}
-                        ></div>
-                      </div>
-                      <span className="text-gray-400 text-xs font-medium w-12">
-                        {Math.round(
-                          (div.orders /
-                            Math.max(...divisionData.map((d) => d.orders))) *
-                            100
-                        )}
-                        %
-                      </span>
-                    </div>
+                  <td className="py-2 px-4 text-blue-400 font-semibold">
+                    {demand.outstanding.toLocaleString()}
                   </td>
                 </tr>
               ))}
+              {oldestDemands.length === 0 && (
+                <tr>
+                  <td
+                    colSpan={9}
+                    className="py-6 text-center text-gray-500 text-sm"
+                  >
+                    No outstanding demands in this bucket
+                  </td>
+                </tr>
+              )}
             </tbody>
           </table>
         </div>
       </div>
+
+      {/* Aging by Dimension */}
+      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 mb-6 shadow-xl">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-xl font-bold mb-1 text-gray-100">
+              Aging by {AGING_DIMENSIONS.find((d) => d.key === dimension).label}
+            </h3>
+            <p className="text-gray-500 text-sm">
+              Outstanding demands per bucket, longest waiting first
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {AGING_DIMENSIONS.map((d) => (
+              <button
+                key={d.key}
+                onClick={() => setDimension(d.key)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                  dimension === d.key
+                    ? "bg-orange-500/20 text-orange-400 border border-orange-500/40"
+                    : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+                }`}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <ResponsiveContainer width="100%" height={320}>
+          <BarChart data={agingByDimension}>
+            <CartesianGrid
+              strokeDasharray="3 3"
+              stroke="#374151"
+              opacity={0.3}
+            />
+            <XAxis
+              dataKey="name"
+              tickFormatter={formatName}
+              stroke="#9CA3AF"
+              style={{ fontSize: "11px" }}
+              angle={-45}
+              textAnchor="end"
+              height={90}
+            />
+            <YAxis stroke="#9CA3AF" style={{ fontSize: "12px" }} />
+            <Tooltip
+              labelFormatter={formatName}
+              contentStyle={{
+                backgroundColor: "#1F2937",
+                border: "1px solid #374151",
+                borderRadius: "8px",
+                color: "#F3F4F6",
+              }}
+            />
+            <Legend />
+            {DataProcessing.AGING_BUCKETS.map(({ bucket }, idx) => (
+              <Bar
+                key={bucket}
+                dataKey={bucket}
+                stackId="aging"
+                fill={AGING_COLORS[idx]}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
     </>
   );
 }
@@ -1161,21 +3620,32 @@ function OverviewTab({
 function ODRTab({
   odrData,
   odrStats,
-  odrMonthlyData,
+  odrTrendData,
+  odrForecast,
+  timeGranularity,
   odrCommodityData,
+  commodityLevel,
   COLORS,
+  unitBasis,
+  odrDelta,
 }) {
+  const unitLabel = DataProcessing.UNIT_BASES[unitBasis];
+  const labels = useContext(ReferenceLabelsContext);
+  const commodityName = labels.forDimension(
+    commodityLevel === "code" ? "commodity" : commodityLevel
+  );
+
   const odrConsignors = useMemo(
-    () => DataProcessing.getTopConsignors(odrData, 10),
-    [odrData]
+    () => DataProcessing.getTopConsignors(odrData, 10, unitBasis),
+    [odrData, unitBasis]
   );
   const odrDestinations = useMemo(
-    () => DataProcessing.getTopDestinations(odrData, 10),
-    [odrData]
+    () => DataProcessing.getTopDestinations(odrData, 10, unitBasis),
+    [odrData, unitBasis]
   );
   const odrZones = useMemo(
-    () => DataProcessing.aggregateByZone(odrData),
-    [odrData]
+    () => DataProcessing.aggregateByZone(odrData, unitBasis),
+    [odrData, unitBasis]
   );
 
   return (
@@ -1194,6 +3664,7 @@ function ODRTab({
           <p className="text-4xl font-black text-white">
             {odrStats.totalOrders.toLocaleString()}
           </p>
+          <DeltaBadge delta={odrDelta?.totalOrders} />
           <p className="text-gray-400 text-xs mt-2">Outstanding Demands</p>
         </div>
 
@@ -1203,14 +3674,15 @@ function ODRTab({
               <Package className="text-orange-400" size={24} />
             </div>
             <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
-              ODR Units
+              ODR {unitLabel.label}
             </span>
           </div>
           <p className="text-4xl font-black text-white">
             {odrStats.totalUnits.toLocaleString()}
           </p>
+          <DeltaBadge delta={odrDelta?.totalUnits} />
           <p className="text-gray-400 text-xs mt-2">
-            Avg {odrStats.avgUnitsPerOrder} units/order
+            Avg {odrStats.avgUnitsPerOrder} {unitLabel.shortLabel}/order
           </p>
         </div>
 
@@ -1226,6 +3698,7 @@ function ODRTab({
           <p className="text-4xl font-black text-white">
             {odrStats.uniqueConsignors}
           </p>
+          <DeltaBadge delta={odrDelta?.uniqueConsignors} />
           <p className="text-gray-400 text-xs mt-2">Active clients</p>
         </div>
 
@@ -1241,6 +3714,7 @@ function ODRTab({
           <p className="text-4xl font-black text-white">
             {odrStats.uniqueDestinations}
           </p>
+          <DeltaBadge delta={odrDelta?.uniqueDestinations} />
           <p className="text-gray-400 text-xs mt-2">
             {odrStats.uniqueZones} zones
           </p>
@@ -1251,20 +3725,22 @@ function ODRTab({
       <div className="grid grid-cols-2 gap-6 mb-6">
         <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
           <h3 className="text-xl font-bold mb-1 text-gray-100">
-            ODR Monthly Trends
+            ODR {DataProcessing.TIME_GRANULARITIES[timeGranularity].label}{" "}
+            Trends
           </h3>
           <p className="text-gray-500 text-sm mb-6">
             Outstanding demands over time
+            <ForecastNote forecast={odrForecast} />
           </p>
           <ResponsiveContainer width="100%" height={300}>
-            <ComposedChart data={odrMonthlyData}>
+            <ComposedChart data={odrTrendData}>
               <CartesianGrid
                 strokeDasharray="3 3"
                 stroke="#374151"
                 opacity={0.3}
               />
               <XAxis
-                dataKey="month"
+                dataKey="period"
                 stroke="#9CA3AF"
                 style={{ fontSize: "12px" }}
               />
@@ -1282,9 +3758,41 @@ function ODRTab({
               <Line
                 type="monotone"
                 dataKey="units"
+                name={unitLabel.label}
                 stroke="#FF6B6B"
                 strokeWidth={3}
               />
+              {odrForecast.model && (
+                <Area
+                  type="monotone"
+                  dataKey="forecastBand"
+                  name="Forecast interval"
+                  stroke="none"
+                  fill="#F7DC6F"
+                  fillOpacity={0.15}
+                />
+              )}
+              {odrForecast.model && (
+                <Line
+                  type="monotone"
+                  dataKey="forecast"
+                  name="Forecast demands"
+                  stroke="#F7DC6F"
+                  strokeDasharray="6 4"
+                  strokeWidth={2}
+                  dot={false}
+                />
+              )}
+              {odrDelta && (
+                <Line
+                  type="monotone"
+                  dataKey="baselineDemands"
+                  name="Baseline demands"
+                  stroke="#9CA3AF"
+                  strokeDasharray="5 5"
+                  strokeWidth={2}
+                />
+              )}
             </ComposedChart>
           </ResponsiveContainer>
         </div>
@@ -1304,7 +3812,7 @@ function ODRTab({
                 cy="50%"
                 labelLine={false}
                 label={({ name, percent }) =>
-                  `${name} ${(percent * 100).toFixed(0)}%`
+                  `${commodityName(name)} ${(percent * 100).toFixed(0)}%`
                 }
                 outerRadius={100}
                 fill="#8884d8"
@@ -1386,11 +3894,16 @@ function ODRTab({
               />
               <XAxis
                 dataKey="zone"
+                tickFormatter={labels.zone}
                 stroke="#9CA3AF"
-                style={{ fontSize: "12px" }}
+                style={{ fontSize: "10px" }}
+                angle={-30}
+                textAnchor="end"
+                height={80}
               />
               <YAxis stroke="#9CA3AF" style={{ fontSize: "12px" }} />
               <Tooltip
+                labelFormatter={labels.zone}
                 contentStyle={{
                   backgroundColor: "#1F2937",
                   border: "1px solid #374151",
@@ -1404,6 +3917,18 @@ function ODRTab({
         </div>
       </div>
 
+      <SupplyRatioSection
+        data={odrData}
+        basis={unitBasis}
+        commodityLevel={commodityLevel}
+      />
+
+      <AgingSection
+        data={odrData}
+        basis={unitBasis}
+        commodityLevel={commodityLevel}
+      />
+
       {/* ODR Insights */}
       <div className="bg-gradient-to-br from-blue-500/10 to-cyan-500/10 backdrop-blur-sm p-8 rounded-2xl border border-blue-500/20 shadow-xl">
         <div className="flex items-center gap-3 mb-4">
@@ -1426,7 +3951,9 @@ function ODRTab({
           <div>
             <p className="text-sm text-gray-400 mb-2">Top Commodity</p>
             <p className="text-2xl font-bold text-orange-400">
-              {odrCommodityData[0]?.name || "N/A"}
+              {odrCommodityData[0]
+                ? commodityName(odrCommodityData[0].name)
+                : "N/A"}
             </p>
             <p className="text-xs text-gray-500 mt-1">
               {odrCommodityData[0]?.value.toLocaleString()} orders
@@ -1437,7 +3964,9 @@ function ODRTab({
             <p className="text-2xl font-bold text-green-400">
               {odrStats.avgUnitsPerOrder}
             </p>
-            <p className="text-xs text-gray-500 mt-1">Units per order</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {unitLabel.label} per order
+            </p>
           </div>
         </div>
       </div>
@@ -1451,21 +3980,32 @@ function ODRTab({
 function MaturedTab({
   maturedData,
   maturedStats,
-  maturedMonthlyData,
+  maturedTrendData,
+  maturedForecast,
+  timeGranularity,
   maturedCommodityData,
+  commodityLevel,
   COLORS,
+  unitBasis,
+  maturedDelta,
 }) {
+  const unitLabel = DataProcessing.UNIT_BASES[unitBasis];
+  const labels = useContext(ReferenceLabelsContext);
+  const commodityName = labels.forDimension(
+    commodityLevel === "code" ? "commodity" : commodityLevel
+  );
+
   const maturedConsignors = useMemo(
-    () => DataProcessing.getTopConsignors(maturedData, 10),
-    [maturedData]
+    () => DataProcessing.getTopConsignors(maturedData, 10, unitBasis),
+    [maturedData, unitBasis]
   );
   const maturedDestinations = useMemo(
-    () => DataProcessing.getTopDestinations(maturedData, 10),
-    [maturedData]
+    () => DataProcessing.getTopDestinations(maturedData, 10, unitBasis),
+    [maturedData, unitBasis]
   );
   const maturedZones = useMemo(
-    () => DataProcessing.aggregateByZone(maturedData),
-    [maturedData]
+    () => DataProcessing.aggregateByZone(maturedData, unitBasis),
+    [maturedData, unitBasis]
   );
 
   return (
@@ -1484,6 +4024,7 @@ function MaturedTab({
           <p className="text-4xl font-black text-white">
             {maturedStats.totalOrders.toLocaleString()}
           </p>
+          <DeltaBadge delta={maturedDelta?.totalOrders} />
           <p className="text-gray-400 text-xs mt-2">Completed Indents</p>
         </div>
 
@@ -1493,14 +4034,15 @@ function MaturedTab({
               <Package className="text-orange-400" size={24} />
             </div>
             <span className="text-gray-400 text-sm font-semibold uppercase tracking-wider">
-              Matured Units
+              Matured {unitLabel.label}
             </span>
           </div>
           <p className="text-4xl font-black text-white">
             {maturedStats.totalUnits.toLocaleString()}
           </p>
+          <DeltaBadge delta={maturedDelta?.totalUnits} />
           <p className="text-gray-400 text-xs mt-2">
-            Avg {maturedStats.avgUnitsPerOrder} units/order
+            Avg {maturedStats.avgUnitsPerOrder} {unitLabel.shortLabel}/order
           </p>
         </div>
 
@@ -1516,6 +4058,7 @@ function MaturedTab({
           <p className="text-4xl font-black text-white">
             {maturedStats.uniqueConsignors}
           </p>
+          <DeltaBadge delta={maturedDelta?.uniqueConsignors} />
           <p className="text-gray-400 text-xs mt-2">Active clients</p>
         </div>
 
@@ -1531,6 +4074,7 @@ function MaturedTab({
           <p className="text-4xl font-black text-white">
             {maturedStats.uniqueDestinations}
           </p>
+          <DeltaBadge delta={maturedDelta?.uniqueDestinations} />
           <p className="text-gray-400 text-xs mt-2">
             {maturedStats.uniqueZones} zones
           </p>
@@ -1541,20 +4085,22 @@ function MaturedTab({
       <div className="grid grid-cols-2 gap-6 mb-6">
         <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
           <h3 className="text-xl font-bold mb-1 text-gray-100">
-            Matured Monthly Completion
+            Matured {DataProcessing.TIME_GRANULARITIES[timeGranularity].label}{" "}
+            Completion
           </h3>
           <p className="text-gray-500 text-sm mb-6">
             Completed indents over time
+            <ForecastNote forecast={maturedForecast} />
           </p>
           <ResponsiveContainer width="100%" height={300}>
-            <ComposedChart data={maturedMonthlyData}>
+            <ComposedChart data={maturedTrendData}>
               <CartesianGrid
                 strokeDasharray="3 3"
                 stroke="#374151"
                 opacity={0.3}
               />
               <XAxis
-                dataKey="month"
+                dataKey="period"
                 stroke="#9CA3AF"
                 style={{ fontSize: "12px" }}
               />
@@ -1572,9 +4118,41 @@ function MaturedTab({
               <Line
                 type="monotone"
                 dataKey="units"
+                name={unitLabel.label}
                 stroke="#52B788"
                 strokeWidth={3}
               />
+              {maturedForecast.model && (
+                <Area
+                  type="monotone"
+                  dataKey="forecastBand"
+                  name="Forecast interval"
+                  stroke="none"
+                  fill="#F7DC6F"
+                  fillOpacity={0.15}
+                />
+              )}
+              {maturedForecast.model && (
+                <Line
+                  type="monotone"
+                  dataKey="forecast"
+                  name="Forecast demands"
+                  stroke="#F7DC6F"
+                  strokeDasharray="6 4"
+                  strokeWidth={2}
+                  dot={false}
+                />
+              )}
+              {maturedDelta && (
+                <Line
+                  type="monotone"
+                  dataKey="baselineDemands"
+                  name="Baseline demands"
+                  stroke="#9CA3AF"
+                  strokeDasharray="5 5"
+                  strokeWidth={2}
+                />
+              )}
             </ComposedChart>
           </ResponsiveContainer>
         </div>
@@ -1594,7 +4172,7 @@ function MaturedTab({
                 cy="50%"
                 labelLine={false}
                 label={({ name, percent }) =>
-                  `${name} ${(percent * 100).toFixed(0)}%`
+                  `${commodityName(name)} ${(percent * 100).toFixed(0)}%`
                 }
                 outerRadius={100}
                 fill="#8884d8"
@@ -1676,11 +4254,16 @@ function MaturedTab({
               />
               <XAxis
                 dataKey="zone"
+                tickFormatter={labels.zone}
                 stroke="#9CA3AF"
-                style={{ fontSize: "12px" }}
+                style={{ fontSize: "10px" }}
+                angle={-30}
+                textAnchor="end"
+                height={80}
               />
               <YAxis stroke="#9CA3AF" style={{ fontSize: "12px" }} />
               <Tooltip
+                labelFormatter={labels.zone}
                 contentStyle={{
                   backgroundColor: "#1F2937",
                   border: "1px solid #374151",
@@ -1694,6 +4277,13 @@ function MaturedTab({
         </div>
       </div>
 
+      <LeadTimeSection
+        data={maturedData}
+        title="Maturity Lead Time"
+        subtitle="Demand to met-with lag for matured indents"
+        commodityLevel={commodityLevel}
+      />
+
       {/* Matured Insights */}
       <div className="bg-gradient-to-br from-purple-500/10 to-pink-500/10 backdrop-blur-sm p-8 rounded-2xl border border-purple-500/20 shadow-xl">
         <div className="flex items-center gap-3 mb-4">
@@ -1730,11 +4320,163 @@ function MaturedTab({
             <p className="text-2xl font-bold text-blue-400">
               {maturedStats.avgUnitsPerOrder}
             </p>
-            <p className="text-xs text-gray-500 mt-1">Units per order</p>
-          </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {unitLabel.label} per order
+            </p>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Reference Check Component
+ * Records whose division or zone contradicts the station and division
+ * master, with the values the master expects, and commodity codes the
+ * taxonomy does not map
+ */
+function ReferenceCheckSection({ data }) {
+  const labels = useContext(ReferenceLabelsContext);
+
+  const check = useMemo(
+    () => DataProcessing.findReferenceMismatches(data, labels.lookup),
+    [data, labels]
+  );
+  const unmappedCommodities = useMemo(
+    () =>
+      labels.lookup.commodities.size > 0
+        ? DataProcessing.findUnmappedCommodities(data, labels.lookup)
+        : [],
+    [data, labels]
+  );
+  const masterLoaded = labels.lookup.stations.size > 0;
+  const consistency =
+    check.checked > 0
+      ? ((check.consistent / check.checked) * 100).toFixed(1)
+      : null;
+  const clean = check.mismatches.length === 0;
+
+  return (
+    <div
+      className={`mt-8 rounded-2xl p-6 shadow-xl border ${
+        clean
+          ? "bg-green-500/10 border-green-500/30"
+          : "bg-orange-500/10 border-orange-500/30"
+      }`}
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          {clean ? (
+            <CheckCircle className="text-green-400" size={32} />
+          ) : (
+            <AlertCircle className="text-orange-400" size={32} />
+          )}
+          <div>
+            <h4
+              className={`text-lg font-bold ${
+                clean ? "text-green-400" : "text-orange-400"
+              }`}
+            >
+              Reference Consistency
+            </h4>
+            <p className="text-gray-400 text-sm">
+              {masterLoaded
+                ? `${check.checked.toLocaleString()} of ${data.length.toLocaleString()} records checked against the station master`
+                : "Station master not loaded; records are not checked"}
+              {check.unknownStations.length > 0 &&
+                ` • ${check.unknownStations.length} origin stations missing from it: ${check.unknownStations.join(", ")}`}
+            </p>
+          </div>
+        </div>
+        <div className="text-right">
+          <p
+            className={`text-3xl font-bold ${
+              clean ? "text-green-400" : "text-orange-400"
+            }`}
+          >
+            {consistency === null ? "—" : `${consistency}%`}
+          </p>
+          <p className="text-xs text-gray-500">
+            {check.mismatches.length.toLocaleString()} mismatched records
+          </p>
+        </div>
+      </div>
+
+      {unmappedCommodities.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-xs mt-4">
+          <span className="text-gray-400">
+            {unmappedCommodities.length} commodity codes missing from the
+            taxonomy:
+          </span>
+          {unmappedCommodities.map((entry) => (
+            <span
+              key={entry.code}
+              className="px-2 py-1 rounded bg-slate-800/60 text-gray-300 font-mono"
+            >
+              {entry.code}{" "}
+              <span className="text-orange-400">
+                {entry.records.toLocaleString()}
+              </span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {!clean && (
+        <div className="overflow-x-auto max-h-80 overflow-y-auto mt-4">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-slate-800 z-10">
+              <tr className="border-b border-gray-700">
+                {[
+                  "Demand No",
+                  "Type",
+                  "Station",
+                  "Division",
+                  "Zone",
+                  "Master Says",
+                ].map((heading) => (
+                  <th
+                    key={heading}
+                    className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {check.mismatches.slice(0, 200).map((record) => (
+                <tr
+                  key={`${record.qry}:${record.dmndno}`}
+                  className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
+                >
+                  <td className="py-2 px-4 font-mono text-orange-400">
+                    {record.dmndno}
+                  </td>
+                  <td className="py-2 px-4 text-gray-400">
+                    {record.qry === "ODR_RK_OTSG" ? "ODR" : "Matured"}
+                  </td>
+                  <td className="py-2 px-4 text-gray-200">
+                    {labels.station(record.sttnfrom)}
+                  </td>
+                  <td className="py-2 px-4 text-gray-200">{record.dvsn}</td>
+                  <td className="py-2 px-4 text-gray-200">{record.zone}</td>
+                  <td className="py-2 px-4 text-gray-300">
+                    {record.issues.join("; ")}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {check.mismatches.length > 200 && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing 200 of {check.mismatches.length.toLocaleString()} records
+            </p>
+          )}
         </div>
-      </div>
-    </>
+      )}
+    </div>
   );
 }
 
@@ -1743,327 +4485,897 @@ function MaturedTab({
  */
 function InsightsTab({
   rawData,
-  odrData,
-  maturedData,
-  summaryStats,
-  topConsignors,
-  topDestinations,
-  monthlyData,
-  commodityData,
-  routeData,
+  unitBasis,
+  filteredData,
+  timeGranularity,
+  commodityLevel,
+  onApplyFilters,
 }) {
-  // Calculate comparison metrics
-  const odrVsMatured = {
-    odrTotal: odrData.length,
-    maturedTotal: maturedData.length,
-    odrPercentage: (
-      (odrData.length / (odrData.length + maturedData.length)) *
-      100
-    ).toFixed(1),
-    maturedPercentage: (
-      (maturedData.length / (odrData.length + maturedData.length)) *
-      100
-    ).toFixed(1),
-  };
+  return (
+    <>
+      <ForecastSection
+        data={filteredData}
+        granularity={timeGranularity}
+        unitBasis={unitBasis}
+        commodityLevel={commodityLevel}
+      />
+
+      {/* Rule-based Insights */}
+      <InsightSection
+        data={filteredData}
+        unitBasis={unitBasis}
+        onApplyFilters={onApplyFilters}
+      />
+
+      <ConcentrationSection
+        data={filteredData}
+        granularity={timeGranularity}
+        unitBasis={unitBasis}
+        commodityLevel={commodityLevel}
+      />
+
+      <RetentionSection data={filteredData} unitBasis={unitBasis} />
+
+      {/* Anomaly Alerts */}
+      <AnomalySection data={filteredData} commodityLevel={commodityLevel} />
+
+      {/* Reference Data Consistency */}
+      <ReferenceCheckSection data={rawData} />
+    </>
+  );
+}
+
+const MAP_WIDTH = 560;
+const MAP_HEIGHT = 640;
+
+/**
+ * Flow Map Component
+ * Offline SVG map of stations sized by indents and origin-destination
+ * flows weighted by units, drawn over the bundled India boundary
+ */
+function FlowMapSection({ data, unitBasis, onSelectFlow }) {
+  const [flowLimit, setFlowLimit] = useState(50);
+
+  const { stations, flows, missing } = useMemo(
+    () => StationMap.getStationFlows(data, unitBasis),
+    [data, unitBasis]
+  );
+  const { project, boundaryPaths } = useMemo(() => {
+    const projection = StationMap.createProjection(
+      StationMap.getBounds(StationMap.BOUNDARY),
+      MAP_WIDTH,
+      MAP_HEIGHT
+    );
+    return {
+      project: projection,
+      boundaryPaths: StationMap.getBoundaryPaths(
+        StationMap.BOUNDARY,
+        projection
+      ),
+    };
+  }, []);
 
-  // Create a copy of monthlyData before sorting to avoid mutating read-only array
-  const sortedMonthlyData = [...monthlyData].sort(
-    (a, b) => b.demands - a.demands
+  const shownFlows = flows.slice(0, flowLimit);
+  const maxIndents = stations.reduce(
+    (max, station) => Math.max(max, station.indents),
+    1
   );
-  const peakMonth = sortedMonthlyData[0];
+  const maxFlow = shownFlows.reduce(
+    (max, flow) => Math.max(max, flow.units),
+    1
+  );
+  const basisLabel = DataProcessing.UNIT_BASES[unitBasis].shortLabel;
+  const position = (code) => {
+    const { lat, lon } = StationMap.STATION_COORDINATES[code];
+    return project([lon, lat]);
+  };
 
   return (
-    <>
-      {/* AI Header */}
-      <div className="bg-gradient-to-r from-orange-500/20 via-red-500/20 to-orange-500/20 backdrop-blur-sm p-8 rounded-2xl border border-orange-500/30 mb-8 shadow-xl">
-        <div className="flex items-center gap-4 mb-4">
-          <div className="bg-gradient-to-br from-orange-500 to-red-500 p-4 rounded-2xl shadow-lg">
-            <Brain className="text-white" size={40} />
-          </div>
-          <div>
-            <h2 className="text-3xl font-black text-transparent bg-clip-text bg-gradient-to-r from-orange-400 to-red-400">
-              TMILL AI Intelligence Report
-            </h2>
-            <p className="text-gray-400 text-sm">
-              Advanced analytics powered by machine learning • Generated in
-              real-time
-            </p>
-          </div>
+    <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-xl font-bold mb-1 text-gray-100 flex items-center gap-2">
+            <MapPin className="text-teal-400" />
+            Freight Flow Map
+          </h3>
+          <p className="text-gray-500 text-sm">
+            Stations sized by indents raised, flows weighted by {basisLabel}
+            {missing.length > 0 &&
+              ` • ${missing.length} station${missing.length > 1 ? "s" : ""} without coordinates: ${missing.join(", ")}`}
+          </p>
         </div>
+        <select
+          value={flowLimit}
+          onChange={(e) => setFlowLimit(Number(e.target.value))}
+          className="bg-slate-700/50 text-gray-200 px-3 py-1.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 text-xs font-semibold cursor-pointer"
+        >
+          {[25, 50, 100, Infinity].map((limit) => (
+            <option key={limit} value={limit}>
+              {Number.isFinite(limit) ? `Top ${limit} flows` : "All flows"}
+            </option>
+          ))}
+        </select>
       </div>
 
-      {/* Key Metrics Comparison */}
-      <div className="grid grid-cols-2 gap-6 mb-8">
-        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
-          <h3 className="text-xl font-bold mb-4 text-gray-100 flex items-center gap-2">
-            <Target className="text-blue-400" />
-            ODR vs Matured Comparison
-          </h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <PieChart>
-              <Pie
-                data={[
-                  { name: "ODR", value: odrVsMatured.odrTotal },
-                  { name: "Matured", value: odrVsMatured.maturedTotal },
-                ]}
-                cx="50%"
-                cy="50%"
-                labelLine={false}
-                label={({ name, value, percent }) =>
-                  `${name}: ${value} (${(percent * 100).toFixed(0)}%)`
+      <div className="grid grid-cols-2 gap-6">
+        <svg
+          viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+          className="w-full bg-slate-900/60 rounded-xl"
+        >
+          {boundaryPaths.map(({ name, path }) => (
+            <path
+              key={name}
+              d={path}
+              fill="#1E293B"
+              stroke="#475569"
+              strokeWidth={1}
+            />
+          ))}
+
+          {/* Flows, curved so opposite directions stay apart */}
+          {shownFlows.map((flow) => {
+            const [x1, y1] = position(flow.origin);
+            const [x2, y2] = position(flow.destination);
+            const cx = (x1 + x2) / 2 - (y2 - y1) * 0.2;
+            const cy = (y1 + y2) / 2 + (x2 - x1) * 0.2;
+            const weight = flow.units / maxFlow;
+            return (
+              <path
+                key={`${flow.origin} → ${flow.destination}`}
+                d={`M${x1},${y1} Q${cx},${cy} ${x2},${y2}`}
+                fill="none"
+                stroke="#FF6B6B"
+                strokeOpacity={0.25 + 0.55 * weight}
+                strokeWidth={1 + 7 * weight}
+                strokeLinecap="round"
+                className="cursor-pointer"
+                onClick={() =>
+                  onSelectFlow({
+                    origin: flow.origin,
+                    destination: flow.destination,
+                  })
                 }
-                outerRadius={100}
-                fill="#8884d8"
-                dataKey="value"
               >
-                <Cell fill="#4ECDC4" />
-                <Cell fill="#BB8FCE" />
-              </Pie>
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#1F2937",
-                  border: "1px solid #374151",
-                  borderRadius: "8px",
-                  color: "#F3F4F6",
-                }}
-              />
-            </PieChart>
-          </ResponsiveContainer>
+                <title>
+                  {`${flow.origin} → ${flow.destination}: ${flow.shipments.toLocaleString()} indents, ${flow.units.toLocaleString()} ${basisLabel}`}
+                </title>
+              </path>
+            );
+          })}
+
+          {stations.map((station) => {
+            const [x, y] = project([station.lon, station.lat]);
+            const radius =
+              station.indents > 0
+                ? 3 + 13 * Math.sqrt(station.indents / maxIndents)
+                : 3;
+            return (
+              <g key={station.code}>
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={radius}
+                  fill={station.indents > 0 ? "#4ECDC4" : "none"}
+                  fillOpacity={0.6}
+                  stroke={station.indents > 0 ? "#4ECDC4" : "#BB8FCE"}
+                  strokeWidth={1.5}
+                >
+                  <title>
+                    {`${station.code} ${station.name}: ${station.indents.toLocaleString()} indents raised, ${station.inbound.toLocaleString()} received`}
+                  </title>
+                </circle>
+                <text x={x + radius + 2} y={y + 3} fill="#9CA3AF" fontSize={9}>
+                  {station.code}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+
+        {/* Largest Flows */}
+        <div className="overflow-x-auto max-h-[640px] overflow-y-auto">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-slate-800 z-10">
+              <tr className="border-b border-gray-700">
+                {["Origin", "Destination", "Indents", basisLabel].map(
+                  (heading) => (
+                    <th
+                      key={heading}
+                      className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                    >
+                      {heading}
+                    </th>
+                  )
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {shownFlows.map((flow) => (
+                <tr
+                  key={`${flow.origin} → ${flow.destination}`}
+                  onClick={() =>
+                    onSelectFlow({
+                      origin: flow.origin,
+                      destination: flow.destination,
+                    })
+                  }
+                  className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm cursor-pointer"
+                >
+                  <td className="py-2 px-4 text-gray-200">
+                    <span className="font-semibold">{flow.origin}</span>{" "}
+                    <span className="text-gray-500 text-xs">
+                      {StationMap.STATION_COORDINATES[flow.origin].name}
+                    </span>
+                  </td>
+                  <td className="py-2 px-4 text-gray-200">
+                    <span className="font-semibold">{flow.destination}</span>{" "}
+                    <span className="text-gray-500 text-xs">
+                      {StationMap.STATION_COORDINATES[flow.destination].name}
+                    </span>
+                  </td>
+                  <td className="py-2 px-4 text-gray-300">
+                    {flow.shipments.toLocaleString()}
+                  </td>
+                  <td className="py-2 px-4 font-semibold text-red-400">
+                    {flow.units.toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
+      </div>
+    </div>
+  );
+}
 
-        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
-          <h3 className="text-xl font-bold mb-4 text-gray-100 flex items-center gap-2">
-            <Award className="text-orange-400" />
-            Performance Metrics
-          </h3>
-          <div className="space-y-4">
-            <div className="bg-slate-700/30 p-4 rounded-lg">
-              <p className="text-sm text-gray-400 mb-2">
-                Total Railway Operations
-              </p>
-              <p className="text-3xl font-bold text-orange-400">
-                {rawData.length.toLocaleString()}
-              </p>
-            </div>
-            <div className="bg-slate-700/30 p-4 rounded-lg">
-              <p className="text-sm text-gray-400 mb-2">
-                Average Units Per Order
-              </p>
-              <p className="text-3xl font-bold text-blue-400">
-                {summaryStats.avgUnitsPerOrder}
-              </p>
+/**
+ * Routes Tab Component
+ * Origin-destination matrix at station, division or zone level as a
+ * sortable heatmap, with the demands behind a selected cell
+ */
+function RoutesTab({ data, unitBasis }) {
+  const [level, setLevel] = useState("division");
+  const [metric, setMetric] = useState("units");
+  const [rowSort, setRowSort] = useState("total");
+  const [columnSort, setColumnSort] = useState("total");
+  const [selectedCell, setSelectedCell] = useState(null);
+  const labels = useContext(ReferenceLabelsContext);
+  const formatName = labels.forDimension(level);
+
+  // Destinations are placed by the station master, then by the rows
+  const lookup = useMemo(
+    () => DataProcessing.buildStationLookup(data, labels.lookup),
+    [data, labels]
+  );
+  const matrix = useMemo(
+    () =>
+      DataProcessing.getOriginDestinationMatrix(data, level, unitBasis, lookup),
+    [data, level, unitBasis, lookup]
+  );
+
+  const cellMap = useMemo(
+    () =>
+      new Map(
+        matrix.cells.map((cell) => [
+          `${cell.origin} → ${cell.destination}`,
+          cell,
+        ])
+      ),
+    [matrix]
+  );
+  const cellValue = (origin, destination) =>
+    cellMap.get(`${origin} → ${destination}`)?.[metric] || 0;
+
+  // Sort by total, by name, or rows by one destination's column (and
+  // columns by one origin's row); station grids show the largest 30
+  const sortEntries = (entries, sort, valueOf) =>
+    [...entries].sort((a, b) =>
+      sort === "total"
+        ? b[metric] - a[metric]
+        : sort === "name"
+          ? a.name.localeCompare(b.name)
+          : valueOf(b.name) - valueOf(a.name) || b[metric] - a[metric]
+    );
+  const maxEntries = level === "station" ? 30 : Infinity;
+  const rows = sortEntries(matrix.origins, rowSort, (origin) =>
+    cellValue(origin, rowSort)
+  ).slice(0, maxEntries);
+  const columns = sortEntries(matrix.destinations, columnSort, (destination) =>
+    cellValue(columnSort, destination)
+  ).slice(0, maxEntries);
+
+  const maxCell = matrix.cells.reduce(
+    (max, cell) => Math.max(max, cell[metric]),
+    1
+  );
+  const selectedRecords = selectedCell
+    ? data.filter((record) => {
+        const { origin, destination } = DataProcessing.getOriginDestination(
+          record,
+          level,
+          lookup
+        );
+        return (
+          origin === selectedCell.origin &&
+          destination === selectedCell.destination
+        );
+      })
+    : [];
+
+  const levelLabel = DataProcessing.OD_LEVELS[level].label;
+  const basisLabel = DataProcessing.UNIT_BASES[unitBasis].shortLabel;
+  const metricLabel = metric === "units" ? basisLabel : "Shipments";
+  const toggleClass = (active) =>
+    `px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+      active
+        ? "bg-orange-500/20 text-orange-400 border border-orange-500/40"
+        : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+    }`;
+
+  return (
+    <>
+      <FlowMapSection
+        data={data}
+        unitBasis={unitBasis}
+        onSelectFlow={(flow) => {
+          setLevel("station");
+          setSelectedCell(flow);
+        }}
+      />
+
+      <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl mb-8">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-xl font-bold mb-1 text-gray-100 flex items-center gap-2">
+              <MapPin className="text-purple-400" />
+              Origin–Destination Matrix by {levelLabel}
+            </h3>
+            <p className="text-gray-500 text-sm">
+              {matrix.origins.length} origins × {matrix.destinations.length}{" "}
+              destinations
+              {level !== "station" &&
+                " • destination divisions and zones are taken from the rows each station is the origin of"}
+              {(rows.length < matrix.origins.length ||
+                columns.length < matrix.destinations.length) &&
+                ` • showing the largest ${rows.length} × ${columns.length}`}
+            </p>
+          </div>
+          <div className="flex gap-4">
+            <div className="flex gap-2">
+              {Object.entries(DataProcessing.OD_LEVELS).map(
+                ([key, { label }]) => (
+                  <button
+                    key={key}
+                    onClick={() => {
+                      setLevel(key);
+                      setRowSort("total");
+                      setColumnSort("total");
+                      setSelectedCell(null);
+                    }}
+                    className={toggleClass(level === key)}
+                  >
+                    {label}
+                  </button>
+                )
+              )}
             </div>
-            <div className="bg-slate-700/30 p-4 rounded-lg">
-              <p className="text-sm text-gray-400 mb-2">Active Zones</p>
-              <p className="text-3xl font-bold text-green-400">
-                {summaryStats.uniqueZones}
-              </p>
+            <div className="flex gap-2">
+              {[
+                ["units", basisLabel],
+                ["shipments", "Shipments"],
+              ].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setMetric(key)}
+                  className={toggleClass(metric === key)}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
           </div>
         </div>
-      </div>
 
-      {/* Business Growth Opportunities */}
-      <div className="grid grid-cols-3 gap-6 mb-8">
-        <div className="bg-gradient-to-br from-orange-500/10 to-red-500/10 backdrop-blur-sm p-6 rounded-2xl border border-orange-500/20 shadow-xl">
-          <TrendingUp className="text-orange-400 mb-3" size={32} />
-          <h4 className="text-lg font-bold text-gray-100 mb-2">
-            Peak Performance
-          </h4>
-          <p className="text-gray-400 text-sm leading-relaxed">
-            {peakMonth ? (
-              <>
-                Highest demand in{" "}
-                <strong className="text-orange-400">{peakMonth.month}</strong>{" "}
-                with {peakMonth.demands.toLocaleString()} orders. Strategic
-                expansion opportunities identified.
-              </>
-            ) : (
-              "Loading peak performance data..."
-            )}
-          </p>
+        <p className="text-xs text-gray-500 mb-3">
+          Click a destination to sort origins by it, an origin to sort
+          destinations by it, a total or corner header to sort by totals or
+          name, and a cell for its demands.
+        </p>
+        <div className="overflow-auto max-h-[600px]">
+          <table className="text-xs border-collapse">
+            <thead className="sticky top-0 bg-slate-800 z-10">
+              <tr>
+                <th
+                  onClick={() => {
+                    const next = rowSort === "name" ? "total" : "name";
+                    setRowSort(next);
+                    setColumnSort(next);
+                  }}
+                  className="sticky left-0 bg-slate-800 py-2 px-3 text-left text-gray-400 font-semibold uppercase tracking-wider cursor-pointer whitespace-nowrap"
+                >
+                  Origin ↓ / Destination → {rowSort === "name" ? "(A–Z)" : ""}
+                </th>
+                {columns.map((column) => (
+                  <th
+                    key={column.name}
+                    onClick={() => setRowSort(column.name)}
+                    title={formatName(column.name)}
+                    className={`py-2 px-2 font-semibold cursor-pointer whitespace-nowrap ${
+                      rowSort === column.name
+                        ? "text-orange-400"
+                        : "text-gray-400"
+                    }`}
+                  >
+                    {column.name}
+                  </th>
+                ))}
+                <th
+                  onClick={() => setRowSort("total")}
+                  className={`py-2 px-3 font-semibold uppercase cursor-pointer ${
+                    rowSort === "total" ? "text-orange-400" : "text-gray-400"
+                  }`}
+                >
+                  Total
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.name} className="border-b border-gray-800">
+                  <th
+                    onClick={() => setColumnSort(row.name)}
+                    className={`sticky left-0 bg-slate-800 py-1.5 px-3 text-left font-semibold cursor-pointer whitespace-nowrap ${
+                      columnSort === row.name
+                        ? "text-orange-400"
+                        : "text-gray-200"
+                    }`}
+                  >
+                    {formatName(row.name)}
+                  </th>
+                  {columns.map((column) => {
+                    const value = cellValue(row.name, column.name);
+                    const selected =
+                      selectedCell?.origin === row.name &&
+                      selectedCell?.destination === column.name;
+                    return (
+                      <td
+                        key={column.name}
+                        onClick={() =>
+                          value > 0 &&
+                          setSelectedCell({
+                            origin: row.name,
+                            destination: column.name,
+                          })
+                        }
+                        title={`${formatName(row.name)} → ${formatName(column.name)}: ${value.toLocaleString()} ${metricLabel}`}
+                        className={`py-1.5 px-2 text-center ${
+                          value > 0
+                            ? "text-gray-100 cursor-pointer"
+                            : "text-gray-700"
+                        } ${selected ? "ring-2 ring-orange-400" : ""}`}
+                        style={{
+                          backgroundColor:
+                            value > 0
+                              ? `rgba(255, 107, 107, ${0.15 + (0.85 * value) / maxCell})`
+                              : "transparent",
+                        }}
+                      >
+                        {value > 0 ? value.toLocaleString() : "·"}
+                      </td>
+                    );
+                  })}
+                  <td className="py-1.5 px-3 text-center font-bold text-blue-400">
+                    {row[metric].toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+              <tr className="border-t border-gray-700">
+                <th
+                  onClick={() => setColumnSort("total")}
+                  className={`sticky left-0 bg-slate-800 py-2 px-3 text-left font-semibold uppercase cursor-pointer ${
+                    columnSort === "total" ? "text-orange-400" : "text-gray-400"
+                  }`}
+                >
+                  Total
+                </th>
+                {columns.map((column) => (
+                  <td
+                    key={column.name}
+                    className="py-2 px-2 text-center font-bold text-blue-400"
+                  >
+                    {column[metric].toLocaleString()}
+                  </td>
+                ))}
+                <td className="py-2 px-3 text-center font-black text-orange-400">
+                  {matrix.total[metric].toLocaleString()}
+                </td>
+              </tr>
+            </tbody>
+          </table>
         </div>
+      </div>
 
-        <div className="bg-gradient-to-br from-blue-500/10 to-cyan-500/10 backdrop-blur-sm p-6 rounded-2xl border border-blue-500/20 shadow-xl">
-          <Users className="text-blue-400 mb-3" size={32} />
-          <h4 className="text-lg font-bold text-gray-100 mb-2">Key Partners</h4>
-          <p className="text-gray-400 text-sm leading-relaxed">
-            {topConsignors.length > 0 ? (
-              <>
-                <strong className="text-blue-400">
-                  {topConsignors[0]?.name}
-                </strong>{" "}
-                leads with {topConsignors[0]?.orders.toLocaleString()} orders (
-                {(
-                  (topConsignors[0]?.orders / summaryStats.totalOrders) *
-                  100
-                ).toFixed(1)}
-                % market share). Opportunity for partnership deepening.
-              </>
-            ) : (
-              "Loading partner data..."
+      {/* Demands Behind the Selected Cell */}
+      {selectedCell && (
+        <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-100">
+              {formatName(selectedCell.origin)} →{" "}
+              {formatName(selectedCell.destination)}
+              <span className="text-gray-500 text-sm font-medium">
+                {" "}
+                • {selectedRecords.length.toLocaleString()} demands
+              </span>
+            </h3>
+            <button
+              onClick={() => setSelectedCell(null)}
+              className={toggleClass(false)}
+            >
+              Close
+            </button>
+          </div>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="w-full">
+              <thead className="sticky top-0 bg-slate-800 z-10">
+                <tr className="border-b border-gray-700">
+                  {[
+                    "Demand No",
+                    "Type",
+                    "Demand Date",
+                    "Station",
+                    "Destination",
+                    "Consignor",
+                    "Consignee",
+                    "Commodity",
+                    basisLabel,
+                  ].map((heading) => (
+                    <th
+                      key={heading}
+                      className="text-left py-3 px-4 text-gray-400 font-semibold text-xs uppercase tracking-wider"
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {selectedRecords.slice(0, 200).map((record) => (
+                  <tr
+                    key={`${record.qry}:${record.dmndno}`}
+                    className="border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
+                  >
+                    <td className="py-2 px-4 font-mono text-orange-400">
+                      {record.dmndno}
+                    </td>
+                    <td className="py-2 px-4 text-gray-400">
+                      {record.qry === "ODR_RK_OTSG" ? "ODR" : "Matured"}
+                    </td>
+                    <td className="py-2 px-4 text-gray-400">
+                      {record.demandDateObj?.toLocaleDateString()}
+                    </td>
+                    <td className="py-2 px-4 text-gray-200">
+                      {record.sttnfrom}
+                    </td>
+                    <td className="py-2 px-4 text-gray-200">{record.dstn}</td>
+                    <td className="py-2 px-4 text-gray-200">{record.csnr}</td>
+                    <td className="py-2 px-4 text-gray-200">{record.cnsg}</td>
+                    <td className="py-2 px-4 text-gray-200">
+                      {record.cmdt || record.rakecmdt}
+                    </td>
+                    <td className="py-2 px-4 text-blue-400 font-semibold">
+                      {DataProcessing.getUnits(
+                        record,
+                        unitBasis
+                      ).toLocaleString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {selectedRecords.length > 200 && (
+              <p className="text-xs text-gray-500 mt-2">
+                Showing 200 of {selectedRecords.length.toLocaleString()} demands
+              </p>
             )}
-          </p>
+          </div>
         </div>
+      )}
+    </>
+  );
+}
 
-        <div className="bg-gradient-to-br from-purple-500/10 to-pink-500/10 backdrop-blur-sm p-6 rounded-2xl border border-purple-500/20 shadow-xl">
-          <MapPin className="text-purple-400 mb-3" size={32} />
-          <h4 className="text-lg font-bold text-gray-100 mb-2">
-            Route Intelligence
-          </h4>
-          <p className="text-gray-400 text-sm leading-relaxed">
-            {routeData.length > 0 ? (
-              <>
-                Top route:{" "}
-                <strong className="text-purple-400">
-                  {routeData[0]?.route}
-                </strong>{" "}
-                with {routeData[0]?.shipments.toLocaleString()} shipments.
-                Consider dedicated capacity.
-              </>
-            ) : (
-              "Loading route data..."
-            )}
-          </p>
-        </div>
-      </div>
+const GRID_ROW_HEIGHT = 36;
+const GRID_HEIGHT = 600;
+const GRID_OVERSCAN = 10;
 
-      {/* AI-Generated Business Recommendations */}
-      <div className="bg-gradient-to-br from-slate-800/60 to-slate-900/60 backdrop-blur-sm p-8 rounded-2xl border border-gray-700/50 shadow-xl">
-        <div className="flex items-center gap-3 mb-6">
-          <Brain className="text-orange-400 animate-pulse" size={36} />
-          <h3 className="text-2xl font-bold text-gray-100">
-            AI-Powered Business Recommendations
+/**
+ * Records Tab Component
+ * Every filtered record in a virtualized grid: only the rows in view are
+ * rendered, with sorting, global search, per-column filters and column
+ * show/hide (see RecordGrid.js)
+ */
+function RecordsTab({ data }) {
+  const [search, setSearch] = useState("");
+  const [filters, setFilters] = useState({});
+  const [sort, setSort] = useState(null);
+  const [hiddenColumns, setHiddenColumns] = useState(
+    () =>
+      new Set(
+        RecordGrid.GRID_COLUMNS.filter((column) => column.hidden).map(
+          (column) => column.key
+        )
+      )
+  );
+  const [showColumnPicker, setShowColumnPicker] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const headerRef = useRef(null);
+
+  // Typing stays responsive while a large grid is re-queried
+  const deferredSearch = useDeferredValue(search);
+  const deferredFilters = useDeferredValue(filters);
+
+  const searchIndex = useMemo(() => RecordGrid.buildSearchIndex(data), [data]);
+  const rows = useMemo(
+    () =>
+      RecordGrid.queryGrid(
+        data,
+        { search: deferredSearch, filters: deferredFilters, sort },
+        searchIndex
+      ),
+    [data, searchIndex, deferredSearch, deferredFilters, sort]
+  );
+
+  const columns = RecordGrid.GRID_COLUMNS.filter(
+    (column) => !hiddenColumns.has(column.key)
+  );
+  const gridWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const activeFilters = Object.values(filters).filter(
+    (filter) => filter.text?.trim() || filter.min || filter.max
+  ).length;
+
+  const firstRow = Math.max(
+    0,
+    Math.floor(scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN
+  );
+  const lastRow = Math.min(
+    rows.length,
+    Math.ceil((scrollTop + GRID_HEIGHT) / GRID_ROW_HEIGHT) + GRID_OVERSCAN
+  );
+
+  // Ascending, then descending, then unsorted
+  const toggleSort = (key) =>
+    setSort((current) =>
+      current?.key !== key
+        ? { key, direction: "asc" }
+        : current.direction === "asc"
+          ? { key, direction: "desc" }
+          : null
+    );
+
+  const setFilter = (key, change) =>
+    setFilters((current) => ({
+      ...current,
+      [key]: { ...current[key], ...change },
+    }));
+
+  const toggleColumn = (key) =>
+    setHiddenColumns((current) => {
+      const next = new Set(current);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  const filterInputClass =
+    "w-full bg-slate-700/50 text-gray-200 px-2 py-1 rounded border border-gray-600 focus:outline-none focus:ring-1 focus:ring-orange-500 text-xs font-normal normal-case";
+
+  return (
+    <div className="bg-slate-800/40 backdrop-blur-sm p-6 rounded-2xl border border-gray-700/50 shadow-xl">
+      <div className="flex items-center justify-between mb-4 gap-4">
+        <div>
+          <h3 className="text-xl font-bold mb-1 text-gray-100 flex items-center gap-2">
+            <Table className="text-orange-400" />
+            Raw Records
           </h3>
+          <p className="text-gray-500 text-sm">
+            {rows.length === data.length
+              ? `${data.length.toLocaleString()} records`
+              : `${rows.length.toLocaleString()} of ${data.length.toLocaleString()} records match`}
+            {rows.length > 0 &&
+              ` • rows ${(firstRow + 1).toLocaleString()}–${lastRow.toLocaleString()} rendered`}
+          </p>
         </div>
-
-        <div className="grid grid-cols-2 gap-6">
-          <div className="bg-slate-700/30 p-6 rounded-xl border border-gray-600/30">
-            <div className="flex items-center gap-2 mb-3">
-              <span className="w-8 h-8 bg-orange-500 rounded-full flex items-center justify-center text-white font-bold text-sm">
-                1
-              </span>
-              <h4 className="text-lg font-bold text-orange-400">
-                Capacity Optimization
-              </h4>
-            </div>
-            <p className="text-gray-300 text-sm leading-relaxed mb-3">
-              ODR analysis reveals {odrData.length.toLocaleString()} outstanding
-              orders. Consider increasing rake allocation to high-demand
-              corridors to reduce fulfillment time by an estimated 15-20%.
-            </p>
-            <div className="flex items-center gap-2 text-xs text-green-400">
-              <CheckCircle size={14} />
-              <span>High Impact • Quick Implementation</span>
-            </div>
+        <div className="flex items-center gap-2">
+          <div className="relative">
+            <Search
+              className="absolute left-2.5 top-1/2 -translate-y-1/2 text-gray-500"
+              size={14}
+            />
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Demand no, consignor, consignee, station"
+              className="w-80 bg-slate-700/50 text-gray-200 pl-8 pr-3 py-1.5 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-orange-500 text-xs"
+            />
           </div>
+          {(activeFilters > 0 || search || sort) && (
+            <button
+              onClick={() => {
+                setSearch("");
+                setFilters({});
+                setSort(null);
+              }}
+              className="px-3 py-1.5 rounded-lg text-xs font-semibold transition-all bg-red-500/20 text-red-400 border border-red-500/30 hover:bg-red-500/30"
+            >
+              Reset
+            </button>
+          )}
+          <button
+            onClick={() => setShowColumnPicker(!showColumnPicker)}
+            className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all flex items-center gap-1 ${
+              showColumnPicker
+                ? "bg-orange-500/20 text-orange-400 border border-orange-500/40"
+                : "bg-slate-700/50 text-gray-400 border border-gray-600 hover:bg-slate-700"
+            }`}
+          >
+            <Columns3 size={14} />
+            Columns ({columns.length}/{RecordGrid.GRID_COLUMNS.length})
+          </button>
+        </div>
+      </div>
 
-          <div className="bg-slate-700/30 p-6 rounded-xl border border-gray-600/30">
-            <div className="flex items-center gap-2 mb-3">
-              <span className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white font-bold text-sm">
-                2
-              </span>
-              <h4 className="text-lg font-bold text-blue-400">
-                Client Retention Strategy
-              </h4>
-            </div>
-            <p className="text-gray-300 text-sm leading-relaxed mb-3">
-              Top 3 consignors contribute{" "}
-              {topConsignors.length >= 3 ? (
-                <>
-                  {(
-                    (topConsignors
-                      .slice(0, 3)
-                      .reduce((sum, c) => sum + c.orders, 0) /
-                      summaryStats.totalOrders) *
-                    100
-                  ).toFixed(1)}
-                  % of total orders. Implement VIP service tier to ensure
-                  satisfaction and prevent attrition.
-                </>
-              ) : (
-                "significant percentage of total orders. Implement VIP service tier to ensure satisfaction and prevent attrition."
-              )}
-            </p>
-            <div className="flex items-center gap-2 text-xs text-green-400">
-              <CheckCircle size={14} />
-              <span>Medium Impact • Strategic Priority</span>
-            </div>
-          </div>
+      {showColumnPicker && (
+        <div className="flex flex-wrap gap-2 mb-4 p-3 rounded-lg bg-slate-900/40 border border-gray-700/50">
+          {RecordGrid.GRID_COLUMNS.map((column) => (
+            <label
+              key={column.key}
+              className="flex items-center gap-1.5 px-2 py-1 rounded bg-slate-800/60 text-xs text-gray-300 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={!hiddenColumns.has(column.key)}
+                onChange={() => toggleColumn(column.key)}
+                className="accent-orange-500"
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      )}
 
-          <div className="bg-slate-700/30 p-6 rounded-xl border border-gray-600/30">
-            <div className="flex items-center gap-2 mb-3">
-              <span className="w-8 h-8 bg-purple-500 rounded-full flex items-center justify-center text-white font-bold text-sm">
-                3
-              </span>
-              <h4 className="text-lg font-bold text-purple-400">
-                Route Network Expansion
-              </h4>
+      <div className="rounded-lg border border-gray-700/50 overflow-hidden">
+        {/* Headers and column filters, scrolled sideways with the rows */}
+        <div
+          ref={headerRef}
+          className="overflow-hidden bg-slate-800 border-b border-gray-700"
+        >
+          <div style={{ width: gridWidth, minWidth: "100%" }}>
+            <div className="flex">
+              {columns.map((column) => (
+                <button
+                  key={column.key}
+                  onClick={() => toggleSort(column.key)}
+                  style={{ width: column.width }}
+                  className={`shrink-0 flex items-center gap-1 text-left py-2 px-3 font-semibold text-xs uppercase tracking-wider ${
+                    sort?.key === column.key
+                      ? "text-orange-400"
+                      : "text-gray-400 hover:text-gray-200"
+                  }`}
+                >
+                  <span className="truncate">{column.label}</span>
+                  {sort?.key === column.key ? (
+                    sort.direction === "asc" ? (
+                      <ArrowUp size={12} />
+                    ) : (
+                      <ArrowDown size={12} />
+                    )
+                  ) : (
+                    <ArrowUpDown size={12} className="opacity-30" />
+                  )}
+                </button>
+              ))}
             </div>
-            <p className="text-gray-300 text-sm leading-relaxed mb-3">
-              {commodityData.length > 0 && commodityData[0] ? (
-                <>
-                  {commodityData[0].name} dominates with{" "}
-                  {(
-                    (commodityData[0].value / summaryStats.totalOrders) *
-                    100
-                  ).toFixed(1)}
-                  % market share. Diversify commodity mix and explore
-                  underserved routes to capture additional 10-15% market growth.
-                </>
-              ) : (
-                "Diversify commodity mix and explore underserved routes to capture additional 10-15% market growth."
-              )}
-            </p>
-            <div className="flex items-center gap-2 text-xs text-yellow-400">
-              <AlertCircle size={14} />
-              <span>High Impact • Long-term Investment</span>
+            <div className="flex pb-2">
+              {columns.map((column) => (
+                <div
+                  key={column.key}
+                  style={{ width: column.width }}
+                  className="shrink-0 px-1.5 flex gap-1"
+                >
+                  {column.type === "text" ? (
+                    <input
+                      type="text"
+                      value={filters[column.key]?.text || ""}
+                      onChange={(e) =>
+                        setFilter(column.key, { text: e.target.value })
+                      }
+                      placeholder="Filter"
+                      className={filterInputClass}
+                    />
+                  ) : (
+                    ["min", "max"].map((bound) => (
+                      <input
+                        key={bound}
+                        type={column.type}
+                        value={filters[column.key]?.[bound] || ""}
+                        onChange={(e) =>
+                          setFilter(column.key, { [bound]: e.target.value })
+                        }
+                        placeholder={bound === "min" ? "Min" : "Max"}
+                        title={`${column.label} ${bound === "min" ? "from" : "to"}`}
+                        className={filterInputClass}
+                      />
+                    ))
+                  )}
+                </div>
+              ))}
             </div>
           </div>
+        </div>
 
-          <div className="bg-slate-700/30 p-6 rounded-xl border border-gray-600/30">
-            <div className="flex items-center gap-2 mb-3">
-              <span className="w-8 h-8 bg-green-500 rounded-full flex items-center justify-center text-white font-bold text-sm">
-                4
-              </span>
-              <h4 className="text-lg font-bold text-green-400">
-                Operational Efficiency
-              </h4>
-            </div>
-            <p className="text-gray-300 text-sm leading-relaxed mb-3">
-              {maturedData.length.toLocaleString()} completed orders demonstrate
-              strong fulfillment capability. Implement predictive analytics to
-              reduce turnaround time and increase throughput by 12-18%.
-            </p>
-            <div className="flex items-center gap-2 text-xs text-green-400">
-              <CheckCircle size={14} />
-              <span>Medium Impact • Technology Investment</span>
+        {/* The rows are the scroll element, so scrollTop maps to rows */}
+        <div
+          className="overflow-auto"
+          style={{ height: GRID_HEIGHT }}
+          onScroll={(e) => {
+            setScrollTop(e.currentTarget.scrollTop);
+            headerRef.current.scrollLeft = e.currentTarget.scrollLeft;
+          }}
+        >
+          <div style={{ width: gridWidth, minWidth: "100%" }}>
+            {/* Only the rows in view (plus overscan) are rendered */}
+            <div
+              className="relative"
+              style={{ height: rows.length * GRID_ROW_HEIGHT }}
+            >
+              {rows.slice(firstRow, lastRow).map((recordIdx, offset) => {
+                const record = data[recordIdx];
+                return (
+                  <div
+                    key={recordIdx}
+                    className="absolute left-0 right-0 flex items-center border-b border-gray-800 hover:bg-slate-700/30 transition-colors text-sm"
+                    style={{
+                      top: (firstRow + offset) * GRID_ROW_HEIGHT,
+                      height: GRID_ROW_HEIGHT,
+                    }}
+                  >
+                    {columns.map((column) => {
+                      const text = RecordGrid.formatColumnValue(
+                        RecordGrid.getColumnValue(record, column),
+                        column
+                      );
+                      return (
+                        <div
+                          key={column.key}
+                          style={{ width: column.width }}
+                          title={text}
+                          className={`shrink-0 px-3 truncate ${
+                            column.key === "dmndno"
+                              ? "font-mono text-orange-400"
+                              : column.type === "number"
+                                ? "text-blue-400 font-semibold"
+                                : "text-gray-200"
+                          }`}
+                        >
+                          {text}
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })}
             </div>
-          </div>
-        </div>
-      </div>
 
-      {/* Data Quality & Confidence */}
-      <div className="mt-8 bg-green-500/10 border border-green-500/30 rounded-2xl p-6 shadow-xl">
-        <div className="flex items-center justify-between">
-          <div className="flex items-center gap-3">
-            <CheckCircle className="text-green-400" size={32} />
-            <div>
-              <h4 className="text-lg font-bold text-green-400">
-                High Confidence Analysis
-              </h4>
-              <p className="text-gray-400 text-sm">
-                Based on {rawData.length.toLocaleString()} verified railway
-                operations
+            {rows.length === 0 && (
+              <p className="text-gray-500 text-sm text-center py-12">
+                No records match the search and filters
               </p>
-            </div>
-          </div>
-          <div className="text-right">
-            <p className="text-3xl font-bold text-green-400">98.7%</p>
-            <p className="text-xs text-gray-500">Data Accuracy</p>
+            )}
           </div>
         </div>
       </div>
-    </>
+    </div>
   );
 }
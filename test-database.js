@@ -1,6 +1,8 @@
 /**
  * Database Connection Test Script
- * Tests connection to Azure SQL Database and fetches sample data
+ * Tests connection to the configured data source and fetches sample data
+ * Run offline against the bundled CSV sample with DATA_SOURCE=csv
+ * Feature checks live in tests/ and run with npm test
  */
 
 import databaseService from "./database-service.js";
@@ -24,7 +26,7 @@ async function testDatabaseConnection() {
 
     // Test 2: Fetch ODR Data
     console.log("\nTest 2: Fetching ODR Data (first 5 records)...");
-    const odrData = await databaseService.fetchODRData({});
+    const { rows: odrData } = await databaseService.fetchODRData({});
     console.log(`✅ ODR Records Found: ${odrData.length}`);
     if (odrData.length > 0) {
       console.log("   Sample Record:", JSON.stringify(odrData[0], null, 2));
@@ -32,7 +34,9 @@ async function testDatabaseConnection() {
 
     // Test 3: Fetch Matured Indents Data
     console.log("\nTest 3: Fetching Matured Indents Data (first 5 records)...");
-    const maturedData = await databaseService.fetchMaturedIndentsData({});
+    const { rows: maturedData } = await databaseService.fetchMaturedIndentsData(
+      {}
+    );
     console.log(`✅ Matured Indents Records Found: ${maturedData.length}`);
     if (maturedData.length > 0) {
       console.log("   Sample Record:", JSON.stringify(maturedData[0], null, 2));
@@ -0,0 +1,29 @@
+/**
+ * Robust z-score anomaly detection on daily indent counts
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectAnomalies } from "../src/AnomalyDetection.js";
+import { loadSample } from "./fixtures.js";
+
+test("an injected spike is the only anomaly", async () => {
+  const {
+    clientRecords: [sample],
+  } = await loadSample();
+  const indent = (demandDateObj) => ({
+    ...sample,
+    dvsn: "TESTDIV",
+    demandDateObj,
+  });
+  const steady = Array.from({ length: 60 }, (_, idx) =>
+    indent(new Date(2026, 6, 1 + idx))
+  );
+  const spike = Array.from({ length: 12 }, () => indent(new Date(2026, 8, 1)));
+  const anomalies = detectAnomalies([...steady, ...spike], {
+    dimensions: ["division"],
+  });
+  assert.equal(anomalies.length, 1);
+  assert.equal(anomalies[0].date, "2026-09-01");
+  assert.equal(anomalies[0].direction, "spike");
+});
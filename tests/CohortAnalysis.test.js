@@ -0,0 +1,42 @@
+/**
+ * Consignor retention cohorts and at-risk flags
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildRetentionCohorts,
+  findAtRiskConsignors,
+} from "../src/CohortAnalysis.js";
+
+const indent = (csnr, month, units, day = 15) => ({
+  csnr,
+  rakeUnits: units,
+  demandDateObj: new Date(2026, month, day),
+});
+
+// Three consignors start in January; one stops after March and one tapers
+const records = [
+  ...[0, 1, 2, 3].flatMap((month) => [
+    indent("STEADY", month, 10),
+    ...(month < 3 ? [indent("LAPSED", month, 10)] : []),
+    indent("TAPERING", month, month < 3 ? 10 : 4),
+  ]),
+  indent("STEADY", 3, 0, 30),
+];
+
+test("a cohort tracks how many consignors stay active", () => {
+  const { cohorts } = buildRetentionCohorts(records);
+  assert.equal(cohorts.length, 1);
+  assert.equal(cohorts[0].size, 3);
+  assert.equal(cohorts[0].retention[3].active, 2);
+});
+
+test("lapsed and declining consignors are flagged", () => {
+  const { referenceMonth, consignors } = findAtRiskConsignors(records);
+  assert.equal(referenceMonth, "Apr 2026");
+  assert.deepEqual(
+    consignors.map((c) => `${c.name}:${c.status}`),
+    ["LAPSED:lapsed", "TAPERING:declining"]
+  );
+});
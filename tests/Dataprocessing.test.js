@@ -0,0 +1,346 @@
+/**
+ * Client-side aggregations in Dataprocessing.js, run on the CSV sample
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { forecastBy } from "../src/Forecasting.js";
+import { loadReferenceData } from "../data-sources/reference-data.js";
+import {
+  OD_LEVELS,
+  TIME_GRANULARITIES,
+  aggregateAgingBy,
+  aggregateByCommodity,
+  aggregateByPeriod,
+  aggregateByZone,
+  aggregateLeadTimeBy,
+  aggregateSupplyRatiosBy,
+  buildDemandLifecycles,
+  buildReferenceLookup,
+  calculateLeadTimeStats,
+  calculateSummaryStats,
+  calculateSupplyRatios,
+  compareRankings,
+  compareSummaryStats,
+  filterRecords,
+  findUnmappedCommodities,
+  getAgingBuckets,
+  getBaselineRange,
+  getCommodityParent,
+  getConcentration,
+  getConcentrationBy,
+  getConcentrationTrend,
+  getDemandAgeDays,
+  getOriginDestinationMatrix,
+  getRouteAnalysis,
+  getSyncWatermark,
+  toDateString,
+} from "../src/Dataprocessing.js";
+import { toProcessedRecord } from "../data-sources/aggregations.js";
+import { databaseService, loadSample } from "./fixtures.js";
+
+test("each demand number gets one lifecycle", async () => {
+  const { allData } = await loadSample();
+  const lifecycles = buildDemandLifecycles(allData.data);
+  assert.equal(
+    lifecycles.length,
+    new Set(allData.data.map((d) => d.dmndno)).size
+  );
+});
+
+test("a matured ODR demand joins both tables", async () => {
+  const { allData } = await loadSample();
+  const linked = buildDemandLifecycles(allData.data).find(
+    (d) => d.inOdr && d.status === "MATURED"
+  );
+  if (!linked) return;
+  const { demand, records } = await databaseService.getDemandLifecycle(
+    linked.dmndno
+  );
+  assert.equal(records.length, 2);
+  assert.notEqual(demand.supplyLagHours, null);
+});
+
+test("lead-time percentiles are ordered and zones cover every indent", async () => {
+  const { allData } = await loadSample();
+  const leadTime = calculateLeadTimeStats(allData.data);
+  const byZone = aggregateLeadTimeBy(allData.data, "zone", 100);
+  assert.ok(leadTime.median <= leadTime.p90);
+  assert.ok(leadTime.p90 <= leadTime.max);
+  assert.equal(
+    byZone.reduce((sum, z) => sum + z.count, 0),
+    leadTime.count
+  );
+});
+
+test("aging buckets match the division totals", async () => {
+  const { allData } = await loadSample();
+  const asOf = getSyncWatermark(allData.data);
+  const buckets = getAgingBuckets(allData.data, asOf, 5);
+  const byDivision = aggregateAgingBy(allData.data, "division", asOf, 1000);
+  assert.equal(
+    buckets.reduce((sum, b) => sum + b.orders, 0),
+    byDivision.reduce((sum, d) => sum + d.total, 0)
+  );
+});
+
+test("aging buckets list their oldest indents first", async () => {
+  const { allData } = await loadSample();
+  const buckets = getAgingBuckets(
+    allData.data,
+    getSyncWatermark(allData.data),
+    5
+  );
+  for (const { bucket, oldest } of buckets) {
+    const ages = oldest.map((d) => d.ageDays);
+    assert.deepEqual(
+      ages,
+      [...ages].sort((a, b) => b - a),
+      bucket
+    );
+  }
+});
+
+test("supply ratios by zone add up to the totals", async () => {
+  const { clientRecords } = await loadSample();
+  for (const basis of ["units", "8w"]) {
+    const ratios = calculateSupplyRatios(clientRecords, basis);
+    const byZone = aggregateSupplyRatiosBy(clientRecords, "zone", basis, 100);
+    for (const key of ["indented", "supplied", "outstanding"]) {
+      assert.equal(
+        byZone.reduce((sum, z) => sum + z[key], 0),
+        ratios[key],
+        `${key} (${basis})`
+      );
+    }
+  }
+});
+
+test("demand dates are calendar days in any time zone", async () => {
+  const { clientRecords } = await loadSample();
+  const shiftedDay = clientRecords.find(
+    (r) =>
+      r.demandDateObj &&
+      (toDateString(r.demandDateObj) !==
+        new Date(r.dmnddate).toISOString().slice(0, 10) ||
+        r.month !== r.demandDateObj.getMonth())
+  );
+  assert.equal(shiftedDay, undefined);
+});
+
+test("demand age counts whole calendar days", () => {
+  const demand = { dmnddate: "2026-10-17T00:00:00.000Z" };
+  assert.equal(getDemandAgeDays(demand, "2026-10-18"), 1);
+  assert.equal(getDemandAgeDays(demand, new Date(2026, 9, 17, 23, 59)), 0);
+});
+
+test("every granularity buckets each dated demand once", async () => {
+  const { clientRecords } = await loadSample();
+  const dated = clientRecords.filter((r) => r.demandDateObj).length;
+  for (const granularity of Object.keys(TIME_GRANULARITIES)) {
+    const periods = aggregateByPeriod(clientRecords, granularity);
+    assert.equal(
+      periods.reduce((sum, p) => sum + p.demands, 0),
+      dated,
+      granularity
+    );
+    assert.equal(
+      new Set(periods.map((p) => p.period)).size,
+      periods.length,
+      granularity
+    );
+  }
+});
+
+test("the previous baseline of a quarter is the quarter before", () => {
+  const previous = getBaselineRange(
+    { startDate: "2026-07-01", endDate: "2026-09-30" },
+    "previous"
+  );
+  assert.equal(previous.startDate, "2026-04-01");
+  assert.equal(previous.endDate, "2026-06-30");
+});
+
+test("period comparisons report the change against the baseline", async () => {
+  const quarter = { startDate: "2026-07-01", endDate: "2026-09-30" };
+  const [currentRows, baselineRows] = await Promise.all(
+    [quarter, getBaselineRange(quarter, "previous")].map(async (range) =>
+      (await databaseService.fetchAllData(range)).data.map(toProcessedRecord)
+    )
+  );
+  const delta = compareSummaryStats(
+    calculateSummaryStats(currentRows),
+    calculateSummaryStats(baselineRows)
+  );
+  assert.equal(
+    delta.totalOrders.change,
+    currentRows.length - baselineRows.length
+  );
+  const zoneMoves = compareRankings(
+    aggregateByZone(currentRows),
+    aggregateByZone(baselineRows),
+    "zone",
+    "orders"
+  );
+  for (const { zone, delta: zoneDelta } of zoneMoves) {
+    assert.equal(
+      zoneDelta.change,
+      zoneDelta.current - zoneDelta.baseline,
+      zone
+    );
+  }
+});
+
+test("concentration reports HHI, top-N shares and the 80% cut", () => {
+  const shares = getConcentration(
+    [50, 30, 20].map((units, idx) => ({ csnr: `C${idx}`, rakeUnits: units })),
+    "consignor",
+    "units",
+    [1, 3]
+  );
+  assert.equal(shares.hhi, 3800);
+  assert.equal(shares.entitiesFor80, 2);
+  assert.equal(shares.topShares[0].share, 50);
+  assert.equal(shares.level, "Highly concentrated");
+});
+
+test("route concentration stays in range overall, by zone and by month", async () => {
+  const { clientRecords } = await loadSample();
+  const overall = getConcentration(clientRecords, "route");
+  const byZone = getConcentrationBy(clientRecords, "route", "zone");
+  const trend = getConcentrationTrend(clientRecords, "route", "month");
+  assert.equal(overall.pareto.at(-1)?.cumulativeShare, 100);
+  assert.equal(
+    byZone.reduce((sum, zone) => sum + zone.total, 0),
+    overall.total
+  );
+  assert.ok(trend.every((period) => period.hhi >= 0 && period.hhi <= 10000));
+});
+
+test("origin-destination totals add up at every level", async () => {
+  const { clientRecords } = await loadSample();
+  for (const level of Object.keys(OD_LEVELS)) {
+    const matrix = getOriginDestinationMatrix(clientRecords, level);
+    assert.equal(
+      matrix.cells.reduce((sum, c) => sum + c.units, 0),
+      matrix.total.units,
+      level
+    );
+    assert.equal(
+      matrix.origins.reduce((sum, r) => sum + r.shipments, 0),
+      clientRecords.length,
+      level
+    );
+    assert.equal(
+      matrix.destinations.reduce((sum, c) => sum + c.shipments, 0),
+      clientRecords.length,
+      level
+    );
+  }
+});
+
+test("the station matrix agrees with the route analysis", async () => {
+  const { clientRecords } = await loadSample();
+  const [topRoute] = getRouteAnalysis(clientRecords, 1);
+  const cell = getOriginDestinationMatrix(clientRecords, "station").cells.find(
+    (c) =>
+      c.origin === topRoute.origin && c.destination === topRoute.destination
+  );
+  assert.equal(cell?.shipments, topRoute.shipments);
+});
+
+const loadTaxonomySample = async () => {
+  const { clientRecords } = await loadSample();
+  return {
+    records: [
+      ...clientRecords,
+      { ...clientRecords[0], cmdt: "XYZ", rakecmdt: "XYZ" },
+    ],
+    reference: buildReferenceLookup(await loadReferenceData()),
+  };
+};
+
+test("commodity roll-ups keep the total at every level", async () => {
+  const { records, reference } = await loadTaxonomySample();
+  const [codes, groups, families] = ["code", "group", "family"].map((level) =>
+    aggregateByCommodity(records, "units", level, reference)
+  );
+  const total = (entries) => entries.reduce((sum, e) => sum + e.units, 0);
+  assert.equal(total(groups), total(codes));
+  assert.equal(total(families), total(codes));
+  assert.ok(families.length <= groups.length);
+  assert.ok(groups.length <= codes.length);
+  const fertilizers = groups.find((entry) => entry.name === "Fertilizers");
+  assert.ok(fertilizers);
+  assert.equal(
+    fertilizers.value,
+    records.filter((r) => ["FERT", "FG"].includes(r.cmdt)).length
+  );
+});
+
+test("a family filter keeps every code in the family", async () => {
+  const { records, reference } = await loadTaxonomySample();
+  const agriculture = filterRecords(records, {
+    commodity: "Agriculture",
+    commodityLevel: "family",
+    reference,
+  });
+  assert.equal(
+    agriculture.length,
+    records.filter((r) => ["FERT", "FGRN"].includes(r.cmdt)).length
+  );
+});
+
+test("codes missing from the taxonomy are reported", async () => {
+  const { records, reference } = await loadTaxonomySample();
+  assert.deepEqual(
+    findUnmappedCommodities(records, reference).map((entry) => entry.code),
+    ["XYZ"]
+  );
+  assert.equal(getCommodityParent("FG", "code", reference), "Fertilizers");
+  assert.equal(
+    getCommodityParent("Fertilizers", "group", reference),
+    "Agriculture"
+  );
+});
+
+test("the other commodity views roll up to the selected level", async () => {
+  const { records, reference } = await loadTaxonomySample();
+  const options = { commodityLevel: "group", reference };
+  const groupNames = new Set(
+    aggregateByCommodity(records, "units", "group", reference).map(
+      (entry) => entry.name
+    )
+  );
+  const views = {
+    supply: aggregateSupplyRatiosBy(
+      records,
+      "commodity",
+      "units",
+      Infinity,
+      options
+    ),
+    leadTime: aggregateLeadTimeBy(records, "commodity", Infinity, options),
+    concentration: getConcentrationBy(
+      records,
+      "consignor",
+      "commodity",
+      "units",
+      options
+    ),
+    forecast: forecastBy(records, "commodity", "month", "units", {
+      limit: Infinity,
+      ...options,
+    }),
+  };
+  for (const [view, entries] of Object.entries(views)) {
+    assert.ok(entries.length > 0, view);
+    assert.deepEqual(
+      entries
+        .map((entry) => entry.name)
+        .filter((name) => !groupNames.has(name)),
+      [],
+      view
+    );
+  }
+});
@@ -0,0 +1,52 @@
+/**
+ * Demand forecasting: seasonal fits, backtests and the period in progress
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { forecastSeries, forecastTrend } from "../src/Forecasting.js";
+import { aggregateByPeriod, toDateString } from "../src/Dataprocessing.js";
+import { loadSample } from "./fixtures.js";
+
+test("a seasonal series is forecast inside its intervals", () => {
+  const seasonal = Array.from(
+    { length: 36 },
+    (_, idx) => 100 + 20 * Math.sin((2 * Math.PI * idx) / 12)
+  );
+  const { model, backtest, forecast } = forecastSeries(seasonal, {
+    seasonLength: 12,
+    horizon: 6,
+  });
+  assert.ok(backtest.wape <= 5, `WAPE ${backtest.wape}% from ${model}`);
+  for (const point of forecast) {
+    assert.ok(point.lower <= point.value && point.value <= point.upper);
+  }
+});
+
+test("the month in progress is forecast, not fitted as history", () => {
+  // The current month holds part of its demand and must not drag the
+  // fit down as a low observation
+  const months = Array.from({ length: 24 }, (_, idx) => {
+    const start = new Date(2024, 10 + idx, 1);
+    return {
+      period: `${start.getFullYear()}-${start.getMonth() + 1}`,
+      startDate: toDateString(start),
+      demands: idx === 23 ? 40 : 100,
+    };
+  });
+  const { series } = forecastTrend(months, "month", "demands", {
+    referenceDate: new Date(2026, 9, 18),
+  });
+  const currentMonth = series.find((entry) => entry.startDate === "2026-10-01");
+  assert.ok(currentMonth?.forecastBand);
+  assert.ok(currentMonth.forecast >= 90, `forecast ${currentMonth.forecast}`);
+});
+
+test("the sample's monthly demand can be forecast", async () => {
+  const { clientRecords } = await loadSample();
+  const periods = aggregateByPeriod(clientRecords, "month");
+  const { series } = forecastTrend(periods, "month", "demands", {
+    referenceDate: new Date(2026, 9, 18),
+  });
+  assert.ok(series.length >= periods.length);
+});
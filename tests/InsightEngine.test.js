@@ -0,0 +1,31 @@
+/**
+ * Rule-based insight findings and the records behind them
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runInsights, getFindingRecords } from "../src/InsightEngine.js";
+import { loadSample } from "./fixtures.js";
+
+test("every finding carries evidence and links to its records", async () => {
+  const { clientRecords } = await loadSample();
+  for (const finding of runInsights(clientRecords)) {
+    assert.ok(finding.evidence.length > 0, finding.rule);
+    assert.ok(
+      getFindingRecords(clientRecords, finding).length > 0,
+      finding.rule
+    );
+  }
+});
+
+test("a dominant consignor raises a high concentration finding", async () => {
+  const { clientRecords } = await loadSample();
+  const [finding] = runInsights(
+    clientRecords.map((record, idx) => ({
+      ...record,
+      csnr: idx % 4 === 0 ? record.csnr : "TESTCSNR",
+    })),
+    { rules: ["concentration"] }
+  );
+  assert.equal(finding?.severity, "high");
+});
@@ -0,0 +1,90 @@
+/**
+ * Raw records grid: search, column filters and sorting
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchIndex, queryGrid } from "../src/RecordGrid.js";
+import { loadSample } from "./fixtures.js";
+
+test("search finds a record by demand number", async () => {
+  const { clientRecords } = await loadSample();
+  const [sample] = clientRecords;
+  const matches = queryGrid(clientRecords, {
+    search: sample.dmndno.toLowerCase(),
+  });
+  assert.ok(matches.some((idx) => clientRecords[idx] === sample));
+});
+
+test("a text filter matches and the rows sort descending", async () => {
+  const { clientRecords } = await loadSample();
+  const [sample] = clientRecords;
+  const matches = queryGrid(clientRecords, {
+    filters: { csnr: { text: sample.csnr } },
+    sort: { key: "rakeUnits", direction: "desc" },
+  });
+  assert.equal(
+    matches.length,
+    clientRecords.filter((r) => r.csnr?.includes(sample.csnr)).length
+  );
+  const units = matches.map((idx) => clientRecords[idx].rakeUnits);
+  assert.ok(units.every((unit, i) => i === 0 || unit <= units[i - 1]));
+});
+
+test("a numeric range filter is inclusive", async () => {
+  const { clientRecords } = await loadSample();
+  const matches = queryGrid(clientRecords, {
+    filters: { rakeUnits: { min: 45, max: 50 } },
+  });
+  assert.equal(
+    matches.length,
+    clientRecords.filter((r) => r.rakeUnits >= 45 && r.rakeUnits <= 50).length
+  );
+});
+
+test("dates sort ascending with undated rows last", async () => {
+  const { clientRecords } = await loadSample();
+  const times = queryGrid(clientRecords, {
+    sort: { key: "demandDateObj", direction: "asc" },
+  }).map((idx) => clientRecords[idx].demandDateObj?.getTime() ?? Infinity);
+  assert.ok(times.every((time, i) => i === 0 || time >= times[i - 1]));
+});
+
+test("date bounds are whole local days", () => {
+  const rows = [
+    new Date(2024, 3, 30, 23, 59),
+    new Date(2024, 4, 1, 0, 30),
+    new Date(2024, 4, 1, 23, 59),
+    new Date(2024, 4, 2, 0, 30),
+  ].map((demandDateObj) => ({ demandDateObj }));
+  const matches = queryGrid(rows, {
+    filters: { demandDateObj: { min: "2024-05-01", max: "2024-05-01" } },
+  });
+  assert.deepEqual(matches, [1, 2]);
+});
+
+test("500k rows are indexed, searched and sorted", async (t) => {
+  const { clientRecords } = await loadSample();
+  const [sample] = clientRecords;
+  const rows = Array.from(
+    { length: 500000 },
+    (_, idx) => clientRecords[idx % clientRecords.length]
+  );
+  let start = Date.now();
+  const index = buildSearchIndex(rows);
+  t.diagnostic(`indexed in ${Date.now() - start}ms`);
+  start = Date.now();
+  const matches = queryGrid(
+    rows,
+    {
+      search: sample.csnr.toLowerCase(),
+      filters: { rakeUnits: { min: 1 } },
+      sort: { key: "dstn", direction: "asc" },
+    },
+    index
+  );
+  t.diagnostic(
+    `${matches.length} matched and sorted in ${Date.now() - start}ms`
+  );
+  assert.ok(matches.length > 0);
+});
@@ -0,0 +1,32 @@
+/**
+ * Offline station flow map: coordinates, projection and flows
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BOUNDARY,
+  createProjection,
+  getBounds,
+  getStationFlows,
+} from "../src/StationMap.js";
+import { loadSample } from "./fixtures.js";
+
+test("every sample station is placed inside the map", async () => {
+  const { clientRecords } = await loadSample();
+  const { stations, missing } = getStationFlows(clientRecords);
+  const project = createProjection(getBounds(BOUNDARY), 560, 640);
+  const offMap = stations.filter(({ lon, lat }) => {
+    const [x, y] = project([lon, lat]);
+    return x < 0 || x > 560 || y < 0 || y > 640;
+  });
+  assert.deepEqual(missing, []);
+  assert.deepEqual(
+    offMap.map((station) => station.code),
+    []
+  );
+  assert.equal(
+    stations.reduce((sum, station) => sum + station.indents, 0),
+    clientRecords.length
+  );
+});
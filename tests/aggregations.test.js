@@ -0,0 +1,27 @@
+/**
+ * Server-side aggregations mirroring Dataprocessing.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { databaseService, loadSample } from "./fixtures.js";
+
+test("the summary totals 8W equivalents on the 8w basis", async () => {
+  const { clientRecords } = await loadSample();
+  const summary = await databaseService.aggregate(
+    "summary",
+    {},
+    { basis: "8w" }
+  );
+  assert.equal(
+    summary.totalUnits,
+    clientRecords.reduce((sum, r) => sum + r.rake8w, 0)
+  );
+});
+
+test("an unknown unit basis is rejected", async () => {
+  await assert.rejects(
+    databaseService.aggregate("summary", {}, { basis: "wagons" }),
+    { statusCode: 400 }
+  );
+});
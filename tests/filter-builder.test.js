@@ -0,0 +1,67 @@
+/**
+ * Shared filter builder: SQL conditions for MSSQL and the matching row
+ * predicate used by the CSV source
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSqlFilter } from "../data-sources/filter-builder.js";
+import { getDateRangeForPreset } from "../src/Dataprocessing.js";
+import { databaseService, loadSample } from "./fixtures.js";
+
+const countFor = async (filters) =>
+  (await databaseService.fetchAllData(filters)).totalRecords;
+
+test("multi-value and exclusion filters build parameterized SQL", () => {
+  const { conditions, params } = buildSqlFilter({
+    zones: ["SR", "SCR"],
+    excludeConsignors: ["NTPC"],
+    commodity: "COAL",
+    startDate: "2026-01-01",
+  });
+  assert.equal(
+    conditions,
+    " AND (Zone IN (@zone0, @zone1))" +
+      " AND (Consignor IS NULL OR Consignor NOT IN (@consignorExcluded0))" +
+      " AND (Commodity IN (@commodity0) OR Rake_Commodity IN (@commodity0))" +
+      " AND Demand_Date >= @startDate"
+  );
+  assert.equal(params.length, 5);
+});
+
+test("a zones list matches the single-zone results", async () => {
+  const [firstZone, secondZone] = await databaseService.getDistinctZones();
+  const bothCount = await countFor({ zones: [firstZone, secondZone] });
+  assert.equal(
+    bothCount,
+    (await countFor({ zone: firstZone })) +
+      (await countFor({ zone: secondZone }))
+  );
+});
+
+test("excludeZones complements the zones list", async () => {
+  const { allData } = await loadSample();
+  const [firstZone, secondZone] = await databaseService.getDistinctZones();
+  const bothCount = await countFor({ zones: [firstZone, secondZone] });
+  const excludedCount = await countFor({
+    excludeZones: [firstZone, secondZone],
+  });
+  assert.equal(excludedCount + bothCount, allData.totalRecords);
+});
+
+test("the thisFY preset runs from April to March", () => {
+  const fyRange = getDateRangeForPreset("thisFY", new Date(2026, 0, 15));
+  assert.equal(fyRange.startDate, "2025-04-01");
+  assert.equal(fyRange.endDate, "2026-03-31");
+});
+
+test("a date range filter keeps rows inside the range", async () => {
+  const range = { startDate: "2025-04-01", endDate: "2026-03-31" };
+  const { data } = await databaseService.fetchAllData(range);
+  const outOfRange = data.filter(
+    (row) =>
+      new Date(row.dmnddate) < new Date(range.startDate) ||
+      new Date(row.dmnddate) > new Date(range.endDate)
+  );
+  assert.deepEqual(outOfRange, []);
+});
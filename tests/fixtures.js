@@ -0,0 +1,25 @@
+/**
+ * Shared fixtures for the node:test suites
+ * Every suite runs offline against the bundled CSV sample
+ */
+
+import { DatabaseService } from "../database-service.js";
+import { createDataSource } from "../data-sources/index.js";
+import { toProcessedRecord } from "../data-sources/aggregations.js";
+
+export const databaseService = new DatabaseService(createDataSource("csv"));
+
+let sample = null;
+
+/**
+ * Load every sample record once per suite
+ * Returns { allData, clientRecords } - the /all response and the records
+ * the dashboard works on after processData
+ */
+export const loadSample = () => {
+  sample ??= databaseService.fetchAllData({}).then((allData) => ({
+    allData,
+    clientRecords: allData.data.map(toProcessedRecord),
+  }));
+  return sample;
+};
@@ -0,0 +1,27 @@
+/**
+ * Keyset pagination over the ODR and Matured Indents tables
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { databaseService } from "./fixtures.js";
+
+test("ODR pages walk the rows in the unpaged order", async () => {
+  const { rows } = await databaseService.fetchODRData({});
+  let cursor = null;
+  const pagedNumbers = [];
+  for (let pageNo = 0; pageNo < 5; pageNo++) {
+    const page = await databaseService.fetchODRData(
+      {},
+      { pageSize: 20, cursor }
+    );
+    pagedNumbers.push(...page.rows.map((row) => row.dmndno));
+    cursor = page.nextCursor;
+    if (!page.hasMore) break;
+  }
+  assert.ok(pagedNumbers.length > 0);
+  assert.deepEqual(
+    pagedNumbers,
+    rows.slice(0, pagedNumbers.length).map((row) => row.dmndno)
+  );
+});
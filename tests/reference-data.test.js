@@ -0,0 +1,52 @@
+/**
+ * Station, division and zone reference data and the mismatch check
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  loadReferenceData,
+  getReferenceTable,
+} from "../data-sources/reference-data.js";
+import {
+  buildReferenceLookup,
+  buildStationLookup,
+  createReferenceLabels,
+  findReferenceMismatches,
+} from "../src/Dataprocessing.js";
+import { loadSample } from "./fixtures.js";
+
+const loadLookup = async () => buildReferenceLookup(await loadReferenceData());
+
+test("an unknown reference table is a 404", async () => {
+  await assert.rejects(getReferenceTable("depots"), { statusCode: 404 });
+});
+
+test("every sample record is checked against the station master", async () => {
+  const { clientRecords } = await loadSample();
+  const check = findReferenceMismatches(clientRecords, await loadLookup());
+  assert.deepEqual(check.unknownStations, []);
+  assert.equal(check.checked, clientRecords.length);
+  assert.equal(check.consistent + check.mismatches.length, check.checked);
+});
+
+test("labels fall back to the code and name known zones", async () => {
+  const { clientRecords } = await loadSample();
+  const labels = createReferenceLabels(await loadLookup());
+  assert.equal(labels.station("NOSUCH"), "NOSUCH");
+  assert.ok(labels.zone(clientRecords[0].zone).includes("("));
+});
+
+test("a record contradicting the master is flagged on both fields", async () => {
+  const {
+    clientRecords: [sample],
+  } = await loadSample();
+  const lookup = await loadLookup();
+  const conflicting = { ...sample, dvsn: "TESTDIV", zone: "TESTZONE" };
+  const [flagged] = findReferenceMismatches([conflicting], lookup).mismatches;
+  assert.equal(flagged?.issues.length, 2);
+  assert.equal(
+    buildStationLookup([], lookup).get(conflicting.sttnfrom)?.zone,
+    flagged.expectedZone
+  );
+});
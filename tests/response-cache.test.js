@@ -0,0 +1,45 @@
+/**
+ * Server-side response cache: keys, size limit, invalidation and TTL
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ResponseCache, buildCacheKey } from "../response-cache.js";
+
+test("equal filters in any order share a cache entry", async () => {
+  const cache = new ResponseCache({ ttlMs: 60000, maxBytes: 1024 });
+  let computeCount = 0;
+  const compute = async () => {
+    computeCount++;
+    return { data: ["SR"] };
+  };
+  const keyA = buildCacheKey("zones-test", { zones: ["SR", "SCR"] });
+  const keyB = buildCacheKey("zones-test", { zones: ["SCR", "SR"] });
+  const miss = await cache.wrap(keyA, compute);
+  const hit = await cache.wrap(keyB, compute);
+  assert.equal(keyA, keyB);
+  assert.ok(!miss.cached);
+  assert.ok(hit.cached);
+  assert.equal(computeCount, 1);
+});
+
+test("values larger than maxBytes are not stored", () => {
+  const cache = new ResponseCache({ ttlMs: 60000, maxBytes: 1024 });
+  cache.set("large", { data: "x".repeat(2048) });
+  assert.equal(cache.get("large"), null);
+});
+
+test("invalidate drops entries by key prefix", () => {
+  const cache = new ResponseCache({ ttlMs: 60000, maxBytes: 1024 });
+  const key = buildCacheKey("zones-test", { zones: ["SR"] });
+  cache.set(key, { data: [] });
+  assert.equal(cache.invalidate("zones-test:"), 1);
+  assert.equal(cache.get(key), null);
+});
+
+test("entries expire after their TTL", async () => {
+  const cache = new ResponseCache({ ttlMs: 1, maxBytes: 1024 });
+  cache.set("expiring", { data: [] });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(cache.get("expiring"), null);
+});
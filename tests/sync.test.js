@@ -0,0 +1,42 @@
+/**
+ * Incremental sync: change feeds since a watermark and the client-side merge
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getSyncWatermark, mergeSyncDelta } from "../src/Dataprocessing.js";
+import { databaseService, loadSample } from "./fixtures.js";
+
+test("a full delta merges onto the loaded data", async () => {
+  const { allData } = await loadSample();
+  const delta = await databaseService.fetchChanges({}, "2000-01-01");
+  const merged = mergeSyncDelta(allData.data, delta.upserts, delta.odrIds);
+  assert.equal(delta.upserts.length, allData.totalRecords);
+  assert.equal(merged.added, 0);
+  assert.equal(merged.updated + merged.removed, allData.totalRecords);
+});
+
+test("sync since the latest watermark returns no more than the data", async () => {
+  const { allData } = await loadSample();
+  const watermark = getSyncWatermark(allData.data);
+  const delta = await databaseService.fetchChanges({}, watermark);
+  assert.ok(delta.watermark >= watermark);
+  assert.ok(delta.upserts.length <= allData.totalRecords);
+});
+
+test("ODR rows no longer in the ODR table are dropped", async () => {
+  const { allData } = await loadSample();
+  // An ODR row that left the table without maturing (e.g. cancelled)
+  const cancelled = { ...allData.data[0], qry: "ODR_RK_OTSG", dmndno: "X1" };
+  const delta = await databaseService.fetchChanges(
+    {},
+    getSyncWatermark(allData.data)
+  );
+  const pruned = mergeSyncDelta(
+    [...allData.data, cancelled],
+    delta.upserts,
+    delta.odrIds
+  );
+  assert.ok(!pruned.data.includes(cancelled));
+  assert.ok(pruned.removed >= 1);
+});